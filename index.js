@@ -18,7 +18,7 @@ const main = async () => {
 
         // Check if environment validation requested
         if (process.argv.includes('--check-env')) {
-            await scanner.displayEnvironmentCheck();
+            await scanner.displayEnvironmentCheck(process.argv.slice(2));
             return;
         }
 
@@ -6,14 +6,22 @@ const GitLabUser = require('../services/gitlab/gitlabUser');
 const GitLabGroup = require('../services/gitlab/gitlabGroup');
 const EmailSearch = require('../services/emailSearch');
 const GitHubApi = require('../services/github/githubApi');
+const LocalRepo = require('../services/local/localRepo');
+const ApiUtils = require('../utils/apiUtils');
 const ColorUtils = require('../utils/colors');
 const Validators = require('../utils/validators');
 const ConsoleFormatter = require('../formatters/consoleFormatter');
-const { updateHeader } = require('../config/settings');
-const { setDelay } = require('../config/constants');
+const Cassette = require('../utils/cassette');
+const TrailerParser = require('../utils/trailerParser');
+const SshKeyParser = require('../utils/sshKeyParser');
+const CliParser = require('./parser');
+const RateLimiter = require('../core/rateLimiter');
+const { setCacheSettings, setRetrySettings, setCassetteSettings, setBudgetSettings, setKeyStoreSettings } = require('../config/settings');
+const { setDelay, setApiUrl } = require('../config/constants');
 
 class Commands {
-    constructor() {
+    constructor(rateLimiter = new RateLimiter()) {
+        this.rateLimiter = rateLimiter;
         this.setupCommands();
     }
 
@@ -22,7 +30,8 @@ class Commands {
             user: this.runUserRecon.bind(this),
             org: this.runOrgRecon.bind(this),
             email: this.runEmailSearch.bind(this),
-            repository: this.runRepositoryRecon.bind(this)
+            repository: this.runRepositoryRecon.bind(this),
+            local: this.runLocalRecon.bind(this)
         };
     }
 
@@ -34,29 +43,90 @@ class Commands {
                 setDelay(args.delay);
             }
 
-            // If token is provided, add it to the headers - orijinal koddan
-            if (args.token) {
-                if (args.site === 'github') {
-                    updateHeader({ Authorization: `token ${args.token}` });
-                } else {
-                    updateHeader({ 'PRIVATE-TOKEN': args.token });
+            // API calls draw their tokens from the rate limiter's pool
+            ApiUtils.setRateLimiter(this.rateLimiter);
+            const tokens = CliParser.resolveTokens(args);
+            if (tokens.length > 0) {
+                this.rateLimiter.addTokens(tokens, args.site);
+            }
+
+            // Point the selected platform at a GHES or self-managed GitLab instance
+            if (args.api_url) {
+                setApiUrl(args.api_url, args.site);
+                console.log(ColorUtils.green(`Using ${args.site} API at ${ColorUtils.yellow(args.api_url)}`));
+            }
+
+            // Configure the on-disk response cache
+            setCacheSettings({
+                enabled: !args.no_cache,
+                ...(args.cache_dir && { dir: args.cache_dir }),
+                ...(args.cache_ttl !== undefined && { ttl: args.cache_ttl })
+            });
+
+            // Configure the SSH key store and the known-bad key list
+            setKeyStoreSettings({
+                enabled: Boolean(args.key_store),
+                ...(typeof args.key_store === 'string' && { path: args.key_store })
+            });
+            if (args.bad_keys_file) {
+                const count = SshKeyParser.loadBadKeys(args.bad_keys_file);
+                if (count.error) {
+                    ConsoleFormatter.displayError('Invalid --bad-keys-file', count.message);
+                    return null;
                 }
-                console.log(ColorUtils.green(`Using ${args.site} API token`));
+                console.log(ColorUtils.green(`Loaded ${ColorUtils.yellow(count)} known-bad SSH key fingerprints`));
             }
 
+            // Configure how often failed requests are retried
+            if (args.max_retries !== undefined) {
+                setRetrySettings({ maxRetries: args.max_retries });
+            }
+
+            // Cap the total number of API requests for this run
+            if (args.max_requests) {
+                setBudgetSettings({ maxRequests: args.max_requests });
+                console.log(ColorUtils.green(`Request budget: ${ColorUtils.yellow(args.max_requests)} API calls`));
+            }
+
+            // Record API traffic to, or replay it from, a cassette directory
+            if (args.record || args.replay) {
+                setCassetteSettings({
+                    mode: args.replay ? 'replay' : 'record',
+                    dir: args.replay || args.record
+                });
+                console.log(ColorUtils.green(`${args.replay ? 'Replaying' : 'Recording'} API traffic ${args.replay ? 'from' : 'to'} ${ColorUtils.yellow(args.replay || args.record)}`));
+            }
+
+            // All services share one request queue sized by --parallel
+            ApiUtils.configureQueue({
+                concurrency: args.parallel,
+                perHostLimit: args.per_host_limit
+            });
+
             // Determine which command to run
-            if (args.email) {
-                return await this.runEmailSearch(args);
+            let result = null;
+            if (args.local) {
+                result = await this.runLocalRecon(args);
+            } else if (args.email) {
+                result = await this.runEmailSearch(args);
             } else if (args.org) {
-                return await this.runOrgRecon(args);
+                result = await this.runOrgRecon(args);
             } else if (args.user) {
                 if (args.repository) {
-                    return await this.runRepositoryRecon(args);
+                    result = await this.runRepositoryRecon(args);
                 } else {
-                    return await this.runUserRecon(args);
+                    result = await this.runUserRecon(args);
                 }
             }
 
+            // A replay that needed unrecorded requests is not a faithful reproduction
+            const misses = Cassette.getMisses();
+            if (misses.length > 0) {
+                throw new Error(`${misses.length} request(s) missing from cassette ${args.replay}: ${misses.join(', ')}`);
+            }
+
+            return result;
+
         } catch (error) {
             ConsoleFormatter.displayError('Command execution failed', error.message);
             throw error;
@@ -98,7 +168,13 @@ class Commands {
             result = await GitHubOrg.runRecon(args.org, {
                 downloadAvatarFlag: args.download_avatar,
                 outputFormat: args.output,
-                verbose: args.verbose
+                verbose: args.verbose,
+                parallel: args.parallel,
+                allRefs: args.all_refs,
+                deep: args.deep,
+                scanDiscussions: args.scan_discussions,
+                exportNetwork: args.export_network,
+                networkFormat: args.network_format
             });
 
             if (!result) {
@@ -137,8 +213,17 @@ class Commands {
                 skipNoreply: args.skip_noreply,
                 scanNetwork: args.scan_network,
                 findSecrets: args.find_secrets,
+                showSecrets: args.show_secrets,
+                scanDiscussions: args.scan_discussions,
                 exportNetwork: args.export_network,
-                maxRepos: args.max_repos
+                networkDepth: args.network_depth,
+                networkFanOut: args.network_fanout ? args.network_fanout.split(',').map(Number) : undefined,
+                networkHarvest: args.network_harvest,
+                networkFormat: args.network_format,
+                gistRevisions: args.gist_revisions,
+                maxRepos: args.max_repos,
+                graphql: args.graphql,
+                allRefs: args.all_refs
             });
         } else {
             result = await GitLabUser.runRecon(args.user, {
@@ -151,16 +236,62 @@ class Commands {
         return result;
     }
 
+    // Scan a local clone, mirror or bundle without touching the API
+    async runLocalRecon(args) {
+        const result = await LocalRepo.runRecon(args.local, {
+            outputFormat: args.output,
+            username: args.user || null
+        });
+
+        if (!result) {
+            ConsoleFormatter.displayError(`Failed to scan local repository ${args.local}`);
+        }
+
+        return result;
+    }
+
     // Run specific repository reconnaissance - orijinal koddan
     async runRepositoryRecon(args) {
         console.log(ColorUtils.green(`Scanning specific repository: ${ColorUtils.yellow(args.repository)}`));
         
         const { setFound, getFound } = require('../config/settings');
         const emailsToName = new Map();
+        const emailRefs = new Map();
+        const trailerIdentities = new Map();
+        const incompleteRepositories = [];
+        const commitShas = [];
+        const secretsFound = [];
 
         try {
             console.info(ColorUtils.green(`Scanning repository "${ColorUtils.yellow(args.repository)}"`));
-            const emailsToNameNew = await GitHubApi.getEmails(args.user, args.repository);
+            const emailsToNameNew = await GitHubApi.getEmails(args.user, args.repository, {
+                allRefs: args.all_refs,
+                emailRefs,
+                trailerIdentities,
+                commitShas,
+                onError: (failure) => incompleteRepositories.push(failure)
+            });
+
+            // Secret rules over the diff of each of the user's commits
+            if (args.find_secrets) {
+                console.info(ColorUtils.cyan(`Scanning ${commitShas.length} commit diffs for secrets...`));
+                for (const sha of commitShas) {
+                    if (ApiUtils.isBudgetExhausted()) break;
+                    const findings = await GitHubApi.getCommitSecrets(args.user, args.repository, sha, { showSecrets: args.show_secrets });
+                    if (Array.isArray(findings)) {
+                        secretsFound.push(...findings);
+                    }
+                }
+                ConsoleFormatter.displaySecrets(secretsFound);
+            }
+
+            // Co-authors and sign-offs found in the user's commit messages
+            for (const [email, identity] of trailerIdentities.entries()) {
+                if (!emailsToNameNew.has(email)) {
+                    emailsToNameNew.set(email, new Set());
+                }
+                identity.names.forEach((name) => emailsToNameNew.get(email).add(name));
+            }
 
             for (const [email, names] of emailsToNameNew.entries()) {
                 if (!emailsToName.has(email)) {
@@ -197,8 +328,12 @@ class Commands {
                     email_details: Array.from(emailsToName.entries()).map(([email, names]) => ({
                         email,
                         names: Array.from(names),
-                        sources: [args.repository]
-                    }))
+                        sources: [args.repository],
+                        ...(args.all_refs && { refs: Array.from(emailRefs.get(email) || []) }),
+                        ...TrailerParser.describe(trailerIdentities, email)
+                    })),
+                    incomplete_repositories: incompleteRepositories,
+                    ...(args.find_secrets && { secrets_found: secretsFound })
                 };
             } else {
                 console.info(ColorUtils.yellow('No emails found in repository'));
@@ -208,7 +343,9 @@ class Commands {
                     scan_started_at: new Date().toISOString(),
                     scan_completed_at: new Date().toISOString(),
                     leaked_emails: [],
-                    email_details: []
+                    email_details: [],
+                    incomplete_repositories: incompleteRepositories,
+                    ...(args.find_secrets && { secrets_found: secretsFound })
                 };
             }
         } catch (error) {
@@ -253,6 +390,15 @@ class Commands {
                     'gitrecon --user johndoe --repository myproject',
                     'gitrecon --user johndoe --repository myproject --output json'
                 ]
+            },
+            local: {
+                description: 'Scan a local clone, mirror or git bundle offline',
+                usage: 'gitrecon --local <path> [options]',
+                examples: [
+                    'gitrecon --local ./myproject',
+                    'gitrecon --local ./mirror.git --output json',
+                    'gitrecon --local ./backup.bundle'
+                ]
             }
         };
     }
@@ -266,6 +412,10 @@ class Commands {
             };
         }
 
+        if (args.local) {
+            return { isValid: true };
+        }
+
         if (args.repository && !args.user) {
             return {
                 isValid: false,
@@ -31,6 +31,7 @@ ${ColorUtils.yellow('Target Selection:')}
   --user <username>        Scan a user profile
   --org <organization>     Scan an organization/group  
   --email <email>          Find username by email and scan
+  --local <path>           Scan a local clone, mirror or bundle (offline)
   
 ${ColorUtils.yellow('Platform Selection:')}
   --site github|gitlab     Choose platform (default: github)
@@ -63,6 +64,10 @@ ${ColorUtils.yellow('Smart + Deep (Full Recon):')}
   ${ColorUtils.cyan('gitrecon --user johndoe --smart --deep --scan-network')}
   Complete reconnaissance with network mapping
 
+${ColorUtils.yellow('GitHub Enterprise Server / Self-Managed GitLab:')}
+  ${ColorUtils.cyan('gitrecon --user johndoe --api-url https://ghe.example.com/api/v3')}
+  ${ColorUtils.cyan('gitrecon --org mygroup --site gitlab --api-url https://gitlab.example.com/api/v4')}
+
 ${ColorUtils.yellow('GitLab User with Output:')}
   ${ColorUtils.cyan('gitrecon --user johndoe --site gitlab --output html')}
 
@@ -97,26 +102,70 @@ ${ColorUtils.yellow('Target Options:')}
   -e, --email <email>           Email address to search for GitHub username
   -o, --org <organization>      Organization name to scan on GitHub/GitLab
   -r, --repository <repo>       Specific repository to scan (requires --user)
+      --local <path>            Local clone, bare mirror or git bundle to scan
+                                from git history, without the API
 
 ${ColorUtils.yellow('Authentication:')}
   -t, --token <token>           GitHub/GitLab API token to increase rate limit
+                                (repeat to pool several tokens)
+      --tokens-file <path>      File with one token per line for the pool
 
 ${ColorUtils.yellow('Platform & Behavior:')}
   -s, --site <github|gitlab>    Platform to use (default: github)
+      --api-url <url>           API base URL for GitHub Enterprise Server or
+                                self-managed GitLab
+      --config <file>           JSON file with default option values
   -d, --delay <milliseconds>    Delay between API requests (default: 1000)
+      --max-retries <number>    Retries for failed/rate-limited requests (default: 3)
+      --max-requests <number>   Stop gracefully after N API requests
   -f, --include-forks          Include forked repositories in scan
       --max-repos <number>      Maximum repositories to scan
 
 ${ColorUtils.yellow('Smart Scanning (NEW):')}
       --smart                  Enable smart mode: prioritize active repos,
                                filter noreply emails, analyze repo metadata
-      --deep                   Deep scan: gists, events, README, contributors
+      --deep                   Deep scan: gists, events, README, manifests,
+                               contributors, tags, org member keys
       --max-age <months>       Only scan repos updated within N months
       --parallel <number>      Parallel API requests (1-10, default: 3)
+      --per-host-limit <n>     Concurrent requests per host (default: --parallel)
+      --graphql                Harvest commit authors via GitHub GraphQL
+                               (needs a token; falls back to REST)
+      --all-refs               Walk every branch and tag, not only the
+                               default branch (GitHub)
       --skip-noreply           Skip noreply/automated email addresses
       --scan-network           Scan followers/following for connections
-      --find-secrets           Detect potential secrets in commit messages
-      --export-network         Export network graph data
+      --network-depth <n>      Follow hops to crawl (1-4, default: 1)
+      --network-fanout <list>  Followers/following per account per hop
+                               (default: 100,20)
+      --network-harvest        Harvest profile email, events and orgs of
+                               every account the crawl finds
+      --find-secrets           Scan the user's commit diffs for secrets
+                               (--user and --email scans only)
+      --show-secrets           Don't redact secrets found by --find-secrets
+      --gist-revisions <n>     Gist revisions read by --deep user scans: the
+                               original and the newest (2-100, default: 10)
+      --scan-discussions       Mine issues, pull requests and comments of
+                               the scanned repos for emails (GitHub)
+      --export-network         Write a graph of users, orgs, emails, repos
+                               and keys (GitHub users and orgs)
+      --network-format <fmt>   graphml, gexf, dot, cytoscape or all
+                               (default: graphml)
+
+${ColorUtils.yellow('Response Cache:')}
+      --cache-dir <path>        Cache directory (default: ~/.gitrecon/cache)
+      --cache-ttl <seconds>     Reuse cached responses for N seconds (default: 3600)
+      --no-cache               Disable the response cache
+
+${ColorUtils.yellow('SSH Keys:')}
+      --key-store [path]       Index key fingerprints to link accounts across
+                               scans (default: ~/.gitrecon/keys.json)
+      --bad-keys-file <path>   Known-bad key fingerprints to flag
+
+${ColorUtils.yellow('Record & Replay:')}
+      --record <dir>           Save every API request/response as cassette files
+      --replay <dir>           Serve responses from cassettes, never the network;
+                               fails on any request that was not recorded
 
 ${ColorUtils.yellow('Output & Display:')}
   -p, --output <json|html|all>  Output format for saving results
@@ -155,7 +204,11 @@ ${ColorUtils.yellow('Privacy Considerations:')}
 
 ${ColorUtils.yellow('Rate Limiting:')}
   • Use API tokens to increase rate limits: --token <your_token>
+  • Pool several tokens (repeated --token, --tokens-file or GITRECON_TOKENS);
+    requests rotate to the token with the most remaining budget
   • Adjust delays between requests: --delay <milliseconds>
+  • 5xx errors, timeouts and secondary rate limits are retried with backoff
+  • Cached responses are revalidated with ETags; 304 replies don't use quota
   • GitHub: 60 requests/hour (unauthenticated), 5000/hour (authenticated)
   • GitLab: 300 requests/minute (unauthenticated), 2000/minute (authenticated)
 
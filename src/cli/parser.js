@@ -38,8 +38,19 @@ class CliParser {
             type: String,
         });
 
+        parser.add_argument('--local', {
+            help: 'Scan a local clone, bare mirror or git bundle instead of using the API',
+            type: String,
+        });
+
         parser.add_argument('-t', '--token', {
-            help: 'GitHub/GitLab API token to increase the rate limit',
+            help: 'GitHub/GitLab API token to increase the rate limit (repeat to pool several tokens)',
+            type: String,
+            action: 'append',
+        });
+
+        parser.add_argument('--tokens-file', {
+            help: 'File with one API token per line to add to the token pool',
             type: String,
         });
 
@@ -50,6 +61,16 @@ class CliParser {
             default: 'github',
         });
 
+        parser.add_argument('--api-url', {
+            help: 'API base URL for GitHub Enterprise Server (e.g. https://ghe.example.com/api/v3) or self-managed GitLab (e.g. https://gitlab.example.com/api/v4)',
+            type: String,
+        });
+
+        parser.add_argument('--config', {
+            help: 'JSON file with default option values (keys are long option names, e.g. "api-url")',
+            type: String,
+        });
+
         parser.add_argument('-d', '--delay', {
             help: 'Delay between API requests in milliseconds (default: 1000)',
             type: Number,
@@ -122,6 +143,21 @@ class CliParser {
             default: 3,
         });
 
+        parser.add_argument('--per-host-limit', {
+            help: 'Max concurrent requests to a single host (default: same as --parallel)',
+            type: Number,
+        });
+
+        parser.add_argument('--graphql', {
+            help: 'Harvest commit authors via the GitHub GraphQL API (requires a token)',
+            action: 'store_true',
+        });
+
+        parser.add_argument('--all-refs', {
+            help: 'Walk every branch and tag, not only the default branch history',
+            action: 'store_true',
+        });
+
         parser.add_argument('--skip-noreply', {
             help: 'Skip noreply/automated email addresses',
             action: 'store_true',
@@ -132,16 +168,100 @@ class CliParser {
             action: 'store_true',
         });
 
+        parser.add_argument('--network-depth', {
+            help: 'Follow hops to crawl with --scan-network (default: 1, max: 4)',
+            type: Number,
+        });
+
+        parser.add_argument('--network-fanout', {
+            help: 'Followers/following fetched per account, per hop; the last value applies to deeper hops (default: 100,20)',
+            type: String,
+        });
+
+        parser.add_argument('--network-harvest', {
+            help: 'Fetch the profile email, public events and organizations of every account the network crawl finds',
+            action: 'store_true',
+        });
+
         parser.add_argument('--find-secrets', {
-            help: 'Scan commit messages for potential secrets/sensitive data patterns',
+            help: 'Scan the diffs of the user\'s commits for secrets (AWS/GitHub/Slack tokens, private keys, JWTs, high-entropy values)',
+            action: 'store_true',
+        });
+
+        parser.add_argument('--show-secrets', {
+            help: 'Report secrets found by --find-secrets unredacted',
+            action: 'store_true',
+        });
+
+        parser.add_argument('--gist-revisions', {
+            help: 'Gist revisions read by --deep: the original and the newest ones (default: 10, min: 2)',
+            type: Number,
+        });
+
+        parser.add_argument('--scan-discussions', {
+            help: 'Mine issues, pull requests, review and commit comments and pull request commits of the scanned repos for emails',
             action: 'store_true',
         });
 
         parser.add_argument('--export-network', {
-            help: 'Export network graph data (followers/following/orgs)',
+            help: 'Write a graph of users, orgs, emails, repos and keys (followers/following/orgs)',
             action: 'store_true',
         });
 
+        parser.add_argument('--network-format', {
+            help: 'Graph format for --export-network (default: graphml)',
+            choices: ['graphml', 'gexf', 'dot', 'cytoscape', 'all'],
+            default: 'graphml',
+        });
+
+        parser.add_argument('--max-retries', {
+            help: 'Retries for failed or rate-limited API requests (default: 3, max: 10)',
+            type: Number,
+        });
+
+        // Response cache options
+        parser.add_argument('--cache-dir', {
+            help: 'Directory for the on-disk API response cache (default: ~/.gitrecon/cache)',
+            type: String,
+        });
+
+        parser.add_argument('--cache-ttl', {
+            help: 'Seconds a cached response is reused before revalidation (default: 3600)',
+            type: Number,
+        });
+
+        parser.add_argument('--no-cache', {
+            help: 'Disable the on-disk API response cache',
+            action: 'store_true',
+        });
+
+        // SSH key correlation options
+        parser.add_argument('--key-store', {
+            help: 'Index SSH key fingerprints across scans in a JSON file (default: ~/.gitrecon/keys.json)',
+            nargs: '?',
+            const: true,
+        });
+
+        parser.add_argument('--bad-keys-file', {
+            help: 'Known-bad SSH key fingerprints, one per line (SHA256:..., MD5 hex or openssh-blacklist suffixes)',
+            type: String,
+        });
+
+        parser.add_argument('--max-requests', {
+            help: 'Hard ceiling on API requests for this run; the scan stops gracefully when it is reached',
+            type: Number,
+        });
+
+        parser.add_argument('--record', {
+            help: 'Record every API request/response to cassette files in this directory',
+            type: String,
+        });
+
+        parser.add_argument('--replay', {
+            help: 'Serve API responses from cassette files in this directory (no network)',
+            type: String,
+        });
+
         return parser;
     }
 
@@ -150,13 +270,26 @@ class CliParser {
         return this.parser.parse_args(args);
     }
 
+    // Parse only the options we know, ignoring anything else (e.g. --check-env)
+    parseKnown(args = null) {
+        return this.parser.parse_known_args(args)[0];
+    }
+
     // Validate parsed arguments - logic
     validate(args) {
         const errors = [];
 
         // Check that at least one target is specified - orijinal koddan
-        if (!args.user && !args.email && !args.org) {
-            errors.push('You must specify a target using --user, --email or --org');
+        if (!args.user && !args.email && !args.org && !args.local) {
+            errors.push('You must specify a target using --user, --email, --org or --local');
+        }
+
+        // Local path validation
+        if (args.local) {
+            const fs = require('fs');
+            if (!fs.existsSync(args.local)) {
+                errors.push(`Local repository not found: ${args.local}`);
+            }
         }
 
         // Repository argument requires user - logic
@@ -172,6 +305,14 @@ class CliParser {
             }
         }
 
+        // API base URL validation
+        if (args.api_url) {
+            const Validators = require('../utils/validators');
+            if (!Validators.isValidUrl(args.api_url)) {
+                errors.push('API URL must be a valid URL, e.g. https://ghe.example.com/api/v3');
+            }
+        }
+
         // Delay validation
         if (args.delay && (args.delay < 100 || args.delay > 10000)) {
             errors.push('Delay must be between 100 and 10000 milliseconds');
@@ -187,17 +328,141 @@ class CliParser {
             errors.push('Parallel requests must be between 1 and 10');
         }
 
+        if (args.per_host_limit !== undefined && (args.per_host_limit < 1 || args.per_host_limit > 10)) {
+            errors.push('Per-host limit must be between 1 and 10');
+        }
+
         // Max age validation
         if (args.max_age && (args.max_age < 1 || args.max_age > 120)) {
             errors.push('Max age must be between 1 and 120 months');
         }
 
+        // Tokens file validation
+        if (args.tokens_file) {
+            const fs = require('fs');
+            if (!fs.existsSync(args.tokens_file)) {
+                errors.push(`Tokens file not found: ${args.tokens_file}`);
+            }
+        }
+
+        // Max retries validation
+        if (args.max_retries !== undefined && (args.max_retries < 0 || args.max_retries > 10)) {
+            errors.push('Max retries must be between 0 and 10');
+        }
+
+        // Cache TTL validation
+        if (args.cache_ttl !== undefined && args.cache_ttl < 0) {
+            errors.push('Cache TTL cannot be negative');
+        }
+
+        if (args.bad_keys_file) {
+            const fs = require('fs');
+            if (!fs.existsSync(args.bad_keys_file)) {
+                errors.push(`Bad keys file not found: ${args.bad_keys_file}`);
+            }
+        }
+
+        // GraphQL needs authentication and only exists on GitHub
+        if (args.graphql) {
+            if (args.site === 'gitlab') {
+                errors.push('--graphql is only supported for GitHub');
+            } else if (!args.replay && !(args.token || args.tokens_file || process.env.GITRECON_TOKENS)) {
+                errors.push('--graphql requires an API token (--token, --tokens-file or GITRECON_TOKENS)');
+            }
+        }
+
+        // Network crawl validation
+        const networkOptions = args.network_depth !== undefined || args.network_fanout !== undefined || args.network_harvest;
+        if (networkOptions && !args.scan_network && !args.export_network) {
+            errors.push('--network-depth, --network-fanout and --network-harvest require --scan-network or --export-network');
+        }
+
+        if (args.network_depth !== undefined && (!Number.isInteger(args.network_depth) || args.network_depth < 1 || args.network_depth > 4)) {
+            errors.push('Network depth must be between 1 and 4');
+        }
+
+        if (args.network_fanout !== undefined && !/^\d+(,\d+)*$/.test(args.network_fanout)) {
+            errors.push('Network fan-out must be a comma-separated list of numbers, e.g. 100,20');
+        } else if (args.network_fanout !== undefined && args.network_fanout.split(',').some(limit => Number(limit) < 1 || Number(limit) > 1000)) {
+            errors.push('Network fan-out limits must be between 1 and 1000');
+        }
+
+        if (args.export_network && args.site === 'gitlab') {
+            errors.push('--export-network is only supported for GitHub');
+        }
+
+        if (args.find_secrets && args.site === 'gitlab') {
+            errors.push('--find-secrets is only supported for GitHub');
+        }
+
+        if (args.find_secrets && !args.user && !args.email) {
+            errors.push('--find-secrets scans a user\'s commits and requires --user or --email');
+        }
+
+        if (args.gist_revisions !== undefined && !args.deep) {
+            errors.push('--gist-revisions requires --deep');
+        } else if (args.gist_revisions !== undefined && (!Number.isInteger(args.gist_revisions) || args.gist_revisions < 2 || args.gist_revisions > 100)) {
+            errors.push('Gist revisions must be between 2 and 100');
+        }
+
+        if (args.scan_discussions && args.site === 'gitlab') {
+            errors.push('--scan-discussions is only supported for GitHub');
+        }
+
+        if (args.show_secrets && !args.find_secrets) {
+            errors.push('--show-secrets requires --find-secrets');
+        }
+
+        if (args.all_refs && args.site === 'gitlab') {
+            errors.push('--all-refs is only supported for GitHub');
+        }
+
+        // Request budget validation
+        if (args.max_requests !== undefined && args.max_requests < 1) {
+            errors.push('Max requests must be at least 1');
+        }
+
+        // Record/replay validation
+        if (args.record && args.replay) {
+            errors.push('--record and --replay cannot be used together');
+        }
+
+        if (args.replay) {
+            const fs = require('fs');
+            if (!fs.existsSync(args.replay)) {
+                errors.push(`Replay directory not found: ${args.replay}`);
+            }
+        }
+
         return {
             isValid: errors.length === 0,
             errors
         };
     }
 
+    // Collect API tokens from --token flags, --tokens-file and GITRECON_TOKENS
+    static resolveTokens(args) {
+        const tokens = [...(args.token || [])];
+
+        if (args.tokens_file) {
+            const fs = require('fs');
+            fs.readFileSync(args.tokens_file, 'utf-8')
+                .split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(line => line && !line.startsWith('#'))
+                .forEach(token => tokens.push(token));
+        }
+
+        if (process.env.GITRECON_TOKENS) {
+            process.env.GITRECON_TOKENS
+                .split(/[\s,]+/)
+                .filter(Boolean)
+                .forEach(token => tokens.push(token));
+        }
+
+        return [...new Set(tokens)];
+    }
+
     // Get help text
     getHelp() {
         return this.parser.format_help();
@@ -222,8 +487,12 @@ class CliParser {
                 { name: '--email', description: 'Email to search for username' },
                 { name: '--org', description: 'Organization/group to scan' },
                 { name: '--repository', description: 'Specific repository to scan' },
-                { name: '--token', description: 'API token for rate limit increase' },
+                { name: '--local', description: 'Local clone, mirror or bundle to scan offline' },
+                { name: '--token', description: 'API token for rate limit increase (repeatable)' },
+                { name: '--tokens-file', description: 'File of API tokens for the token pool' },
                 { name: '--site', description: 'Platform selection (github/gitlab)' },
+                { name: '--api-url', description: 'API base URL for GHES or self-managed GitLab' },
+                { name: '--config', description: 'JSON file with default option values' },
                 { name: '--delay', description: 'Request delay in milliseconds' },
                 { name: '--include-forks', description: 'Include forked repositories' },
                 { name: '--download-avatar', description: 'Download profile avatars' },
@@ -232,7 +501,20 @@ class CliParser {
                 { name: '--mask-emails', description: 'Privacy protection for emails' },
                 { name: '--max-repos', description: 'Repository scan limit' },
                 { name: '--output-dir', description: 'Custom output directory' },
-                { name: '--theme', description: 'HTML report styling theme' }
+                { name: '--theme', description: 'HTML report styling theme' },
+                { name: '--max-retries', description: 'Retry limit for failed requests' },
+                { name: '--parallel', description: 'Global concurrent request limit' },
+                { name: '--graphql', description: 'Use the GitHub GraphQL API for commit harvesting' },
+                { name: '--all-refs', description: 'Scan all branches and tags' },
+                { name: '--per-host-limit', description: 'Concurrent request limit per host' },
+                { name: '--cache-dir', description: 'Response cache directory' },
+                { name: '--cache-ttl', description: 'Response cache freshness in seconds' },
+                { name: '--no-cache', description: 'Disable the response cache' },
+                { name: '--key-store', description: 'SSH key fingerprint store' },
+                { name: '--bad-keys-file', description: 'Known-bad SSH key fingerprints' },
+                { name: '--max-requests', description: 'API request budget for the run' },
+                { name: '--record', description: 'Record API traffic to a cassette directory' },
+                { name: '--replay', description: 'Replay API traffic from a cassette directory' }
             ]
         };
     }
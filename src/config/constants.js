@@ -24,6 +24,28 @@ const HEADER = {
 
 let DELAY = 1000; // Default delay of one second between requests
 
+// Active API base URLs, overridable for GitHub Enterprise Server and self-managed GitLab
+const apiUrls = {
+    github: API_URL,
+    gitlab: GITLAB_API_URL
+};
+
+// Derive the web host from an API base URL
+const toWebUrl = (apiUrl, site) => {
+    const url = new URL(apiUrl);
+    if (site === 'github' && url.hostname.startsWith('api.')) {
+        // github.com style: api.<host>
+        url.hostname = url.hostname.substring(4);
+    }
+    url.pathname = url.pathname.replace(site === 'gitlab' ? /\/api\/v4\/?$/ : /\/api\/v3\/?$/, '');
+    return url.toString().replace(/\/$/, '');
+};
+
+// GitHub GraphQL endpoint: /graphql on github.com, /api/graphql on GHES
+const toGraphqlUrl = (apiUrl) => {
+    return /\/api\/v3$/.test(apiUrl) ? apiUrl.replace(/\/v3$/, '/graphql') : `${apiUrl}/graphql`;
+};
+
 module.exports = {
     colors,
     API_URL,
@@ -31,5 +53,10 @@ module.exports = {
     HEADER,
     DELAY,
     setDelay: (newDelay) => { DELAY = newDelay; },
-    getDelay: () => DELAY
+    getDelay: () => DELAY,
+    getApiUrl: () => apiUrls.github,
+    getGitlabApiUrl: () => apiUrls.gitlab,
+    setApiUrl: (url, site = 'github') => { apiUrls[site] = url.replace(/\/+$/, ''); },
+    getWebUrl: (site = 'github') => toWebUrl(apiUrls[site], site),
+    getGraphqlUrl: () => toGraphqlUrl(apiUrls.github)
 };
\ No newline at end of file
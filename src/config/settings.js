@@ -1,5 +1,8 @@
 // Global variables and settings
 
+const os = require('os');
+const path = require('path');
+
 let found = [];
 let rateLimitInfo = {
     github: {
@@ -14,6 +17,37 @@ let rateLimitInfo = {
     }
 };
 
+// On-disk response cache settings
+let cacheSettings = {
+    enabled: true,
+    dir: path.join(os.homedir(), '.gitrecon', 'cache'),
+    ttl: 3600 // seconds a cached response is served without revalidation
+};
+
+// Local index of SSH key fingerprints, used to link accounts that share a key; opt-in with --key-store
+let keyStoreSettings = {
+    enabled: false,
+    path: path.join(os.homedir(), '.gitrecon', 'keys.json')
+};
+
+// Retry policy for failed API requests
+let retrySettings = {
+    maxRetries: 3,
+    baseDelay: 1000, // first backoff step in milliseconds
+    maxDelay: 60000 // cap for a single backoff or rate limit wait
+};
+
+// Hard ceiling on API requests per run (--max-requests); null means unlimited
+let budgetSettings = {
+    maxRequests: null
+};
+
+// Record/replay of API traffic: mode is 'record', 'replay' or null
+let cassetteSettings = {
+    mode: null,
+    dir: null
+};
+
 // Factory function to create Repository objects
 const Repository = (name, isFork) => ({
     name,
@@ -39,5 +73,15 @@ module.exports = {
         if (rateLimitInfo[platform]) {
             rateLimitInfo[platform] = newInfo; 
         }
-    }
-};
\ No newline at end of file
+    },
+    getCacheSettings: () => cacheSettings,
+    setCacheSettings: (newSettings) => { cacheSettings = { ...cacheSettings, ...newSettings }; },
+    getKeyStoreSettings: () => keyStoreSettings,
+    setKeyStoreSettings: (newSettings) => { keyStoreSettings = { ...keyStoreSettings, ...newSettings }; },
+    getRetrySettings: () => retrySettings,
+    setRetrySettings: (newSettings) => { retrySettings = { ...retrySettings, ...newSettings }; },
+    getBudgetSettings: () => budgetSettings,
+    setBudgetSettings: (newSettings) => { budgetSettings = { ...budgetSettings, ...newSettings }; },
+    getCassetteSettings: () => cassetteSettings,
+    setCassetteSettings: (newSettings) => { cassetteSettings = { ...cassetteSettings, ...newSettings }; }
+};
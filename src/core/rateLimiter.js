@@ -21,6 +21,12 @@ class RateLimiter {
             gitlab: null
         };
 
+        // Token pools with per-token budget, rotated on every request
+        this.tokenPools = {
+            github: [],
+            gitlab: []
+        };
+
         this.requestCounts = {
             github: { count: 0, resetTime: null },
             gitlab: { count: 0, resetTime: null }
@@ -31,11 +37,99 @@ class RateLimiter {
 
     // Set API token - updateHeader logic
     setToken(token, platform) {
+        this.addTokens([token], platform);
+    }
+
+    // Add tokens to a platform's pool, ignoring duplicates
+    addTokens(tokens, platform) {
         if (!Object.hasOwn(this.tokens, platform)) { 
             throw new Error(`Unsupported platform: ${platform}. Supported platforms: ${Object.keys(this.tokens).join(', ')}`);
         }
-        this.tokens[platform] = token;
-        console.log(ColorUtils.green(`Rate limiter configured for ${platform} with token`));
+
+        const pool = this.tokenPools[platform];
+        tokens.forEach(token => {
+            if (token && !pool.some(entry => entry.token === token)) {
+                pool.push({ token, remaining: null, limit: null, resetTime: null });
+            }
+        });
+
+        this.tokens[platform] = pool.length > 0 ? pool[0].token : null;
+        console.log(ColorUtils.green(`Rate limiter configured for ${platform} with ${pool.length} token${pool.length === 1 ? '' : 's'}`));
+    }
+
+    // Check whether a platform has any pooled tokens
+    hasTokenPool(platform) {
+        return !!this.tokenPools[platform] && this.tokenPools[platform].length > 0;
+    }
+
+    // A token is spent until its reset time passes
+    _isTokenExhausted(entry) {
+        return entry.remaining === 0 && entry.resetTime && entry.resetTime.getTime() > Date.now();
+    }
+
+    // Pick the pooled token with the most remaining budget, or null if all are spent
+    selectToken(platform = 'github') {
+        const available = (this.tokenPools[platform] || []).filter(entry => !this._isTokenExhausted(entry));
+        if (available.length === 0) return null;
+
+        // Tokens we haven't heard back about yet are assumed to have their full budget
+        const budget = (entry) => (entry.remaining === null || (entry.resetTime && entry.resetTime.getTime() <= Date.now())) ?
+            Infinity :
+            entry.remaining;
+
+        return available.reduce((best, entry) => budget(entry) > budget(best) ? entry : best).token;
+    }
+
+    // Get a token for the next request, pausing only when every pooled token is spent
+    async acquireToken(platform = 'github') {
+        if (!this.hasTokenPool(platform)) return null;
+
+        while (true) {
+            const token = this.selectToken(platform);
+            if (token) return token;
+
+            const nextReset = Math.min(...this.tokenPools[platform].map(entry => entry.resetTime.getTime()));
+            const waitTime = Math.max(nextReset - Date.now(), 0) + 1000;
+            console.log(ColorUtils.yellow(`All ${this.tokenPools[platform].length} ${platform} tokens are rate limited. Waiting ${Math.round(waitTime / 1000)} seconds for reset...`));
+            await this.sleep(waitTime);
+        }
+    }
+
+    // Record a pooled token's budget from response headers
+    updateTokenFromHeaders(token, headers, platform = 'github') {
+        const entry = (this.tokenPools[platform] || []).find(candidate => candidate.token === token);
+        const headerKeys = this._getHeaderKeys(platform);
+        if (!entry || !headers || !headerKeys) return;
+
+        const remaining = headers[headerKeys.remaining];
+        const limit = headers[headerKeys.limit];
+        const resetHeader = headers[headerKeys.reset];
+
+        if (remaining !== undefined && resetHeader) {
+            entry.remaining = parseInt(remaining);
+            entry.limit = limit ? parseInt(limit) : entry.limit;
+            entry.resetTime = new Date(parseInt(resetHeader) * 1000);
+        }
+    }
+
+    // Take a token out of rotation until its quota resets
+    markTokenExhausted(token, resetTime, platform = 'github') {
+        const entry = (this.tokenPools[platform] || []).find(candidate => candidate.token === token);
+        if (!entry) return;
+
+        entry.remaining = 0;
+        entry.resetTime = resetTime || new Date(Date.now() + 60000);
+    }
+
+    // Summarize the pool without exposing the tokens themselves
+    getTokenPoolStatus(platform = 'github') {
+        return (this.tokenPools[platform] || []).map(entry => ({
+            token: `…${entry.token.slice(-4)}`,
+            remaining: entry.remaining,
+            limit: entry.limit,
+            resetTime: entry.resetTime,
+            exhausted: !!this._isTokenExhausted(entry)
+        }));
     }
 
     // Check if we're approaching rate limits
@@ -88,27 +182,32 @@ class RateLimiter {
         return null;
     }
 
-    // Update rate limit info from API response headers - orijinal koddan
-    updateFromHeaders(headers, platform = 'github') {
-        if (!headers) {
-            return null;
-        }
-
-        let headerKeys;
-
+    // Rate limit header names per platform
+    _getHeaderKeys(platform) {
         if (platform === 'github') {
-            headerKeys = {
+            return {
                 remaining: 'x-ratelimit-remaining',
                 limit: 'x-ratelimit-limit',
                 reset: 'x-ratelimit-reset'
             };
         } else if (platform === 'gitlab') {
-            headerKeys = {
+            return {
                 remaining: 'ratelimit-remaining',
                 limit: 'ratelimit-limit',
                 reset: 'ratelimit-reset'
             };
-        } else {
+        }
+        return null;
+    }
+
+    // Update rate limit info from API response headers - orijinal koddan
+    updateFromHeaders(headers, platform = 'github') {
+        if (!headers) {
+            return null;
+        }
+
+        const headerKeys = this._getHeaderKeys(platform);
+        if (!headerKeys) {
             return null;
         }
 
@@ -172,6 +271,7 @@ class RateLimiter {
             currentLimit,
             rateLimitInfo,
             requestCounts: this.requestCounts[platform],
+            tokenPool: this.getTokenPoolStatus(platform),
             canMakeRequest: this.canMakeRequest(platform),
             optimalDelay: this.calculateOptimalDelay(platform)
         };
@@ -276,31 +376,6 @@ class RateLimiter {
         setRateLimitInfo(emptyRateLimitInfo, 'gitlab');
     }
 
-
-<<<<<<< HEAD
-
-=======
->>>>>>> 3f81ef5b8cc8d73f2e3f7707246199dad71cb969
-    // Start countdown timer for rate limit reset
-    startCountdown(seconds) {
-        // Clear any existing countdown
-        if (this.countdownInterval) {
-            clearInterval(this.countdownInterval);
-        }
-
-        this.countdownInterval = setInterval(() => {
-            seconds--;
-            const timeStr = this.formatTime(seconds);
-            console.log(`\r⏳ Countdown: ${timeStr} `);
-
-            if (seconds <= 0) {
-                clearInterval(this.countdownInterval);
-                this.countdownInterval = null;
-                console.log("\n🔄 Time is up! Rate limit reset 🎉");
-            }
-        }, 1000);
-    }
-
     // Cleanup resources
     cleanup() {
         // Clear countdown timer if running
@@ -310,6 +385,7 @@ class RateLimiter {
         }
         // Clear tokens
         this.tokens = { github: null, gitlab: null };
+        this.tokenPools = { github: [], gitlab: [] };
     }
 
     // Format time in MM:SS format
@@ -0,0 +1,132 @@
+// Global request scheduler - concurrency limits shared by every service
+
+class RequestQueue {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 3;
+        this.perHostLimit = options.perHostLimit || null; // null means same as concurrency
+        this.active = 0;
+        this.activeByHost = new Map();
+        this.pending = [];
+        this.stats = {
+            scheduled: 0,
+            completed: 0,
+            maxActive: 0
+        };
+    }
+
+    // Update limits; queued tasks pick up the new values immediately
+    configure(options = {}) {
+        if (options.concurrency) {
+            this.concurrency = options.concurrency;
+        }
+        if (options.perHostLimit !== undefined) {
+            this.perHostLimit = options.perHostLimit || null;
+        }
+        this._drain();
+    }
+
+    // Queue a task for a host; resolves with the task's result once it has run
+    schedule(host, task) {
+        this.stats.scheduled++;
+        return new Promise((resolve, reject) => {
+            this.pending.push({ host, task, resolve, reject });
+            this._drain();
+        });
+    }
+
+    // Check whether a host can take another concurrent request
+    _hostHasCapacity(host) {
+        const limit = Math.min(this.perHostLimit || this.concurrency, this.concurrency);
+        return (this.activeByHost.get(host) || 0) < limit;
+    }
+
+    // Start queued tasks in FIFO order while there is capacity
+    _drain() {
+        for (let i = 0; i < this.pending.length && this.active < this.concurrency;) {
+            const entry = this.pending[i];
+            if (!this._hostHasCapacity(entry.host)) {
+                i++;
+                continue;
+            }
+
+            this.pending.splice(i, 1);
+            this._run(entry);
+        }
+    }
+
+    _run(entry) {
+        this.active++;
+        this.activeByHost.set(entry.host, (this.activeByHost.get(entry.host) || 0) + 1);
+        this.stats.maxActive = Math.max(this.stats.maxActive, this.active);
+
+        Promise.resolve()
+            .then(entry.task)
+            .then(entry.resolve, entry.reject)
+            .finally(() => {
+                this.active--;
+                this.activeByHost.set(entry.host, this.activeByHost.get(entry.host) - 1);
+                this.stats.completed++;
+                this._drain();
+            });
+    }
+
+    // Run a worker over items with at most `limit` in flight; onResult sees the
+    // results strictly in item order, as soon as each prefix has completed
+    static async mapOrdered(items, worker, onResult, limit = 3) {
+        const results = new Array(items.length);
+        const done = new Array(items.length).fill(false);
+        let nextIndex = 0;
+        let nextToEmit = 0;
+        let emitting = false;
+
+        const emitReady = async () => {
+            // Only one worker drains at a time; it picks up results finished meanwhile
+            if (emitting) return;
+            emitting = true;
+            try {
+                while (nextToEmit < items.length && done[nextToEmit]) {
+                    const index = nextToEmit++;
+                    if (onResult) {
+                        await onResult(results[index], items[index], index);
+                    }
+                }
+            } finally {
+                emitting = false;
+            }
+        };
+
+        const runWorker = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                try {
+                    results[index] = await worker(items[index], index);
+                } catch (error) {
+                    results[index] = { error: true, message: error.message };
+                }
+                done[index] = true;
+                await emitReady();
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+            workers.push(runWorker());
+        }
+        await Promise.all(workers);
+
+        return results;
+    }
+
+    // Get current queue status
+    getStatus() {
+        return {
+            concurrency: this.concurrency,
+            perHostLimit: this.perHostLimit,
+            active: this.active,
+            pending: this.pending.length,
+            stats: { ...this.stats }
+        };
+    }
+}
+
+module.exports = RequestQueue;
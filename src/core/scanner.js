@@ -7,13 +7,14 @@ const ConsoleFormatter = require('../formatters/consoleFormatter');
 const ColorUtils = require('../utils/colors');
 const RateLimiter = require('./rateLimiter');
 const ProgressTracker = require('./progressTracker');
+const { getApiUrl, getGitlabApiUrl, setApiUrl } = require('../config/constants');
 
 class Scanner {
     constructor() {
         this.parser = new CliParser();
-        this.commands = new Commands();
-        this.helpSystem = new HelpSystem();
         this.rateLimiter = new RateLimiter();
+        this.commands = new Commands(this.rateLimiter);
+        this.helpSystem = new HelpSystem();
         this.progressTracker = new ProgressTracker();
     }    // Main scanning entry point - orijinal main function
     async run(argv = null) {
@@ -22,8 +23,8 @@ class Scanner {
             // Display banner - orijinal koddan
             ConsoleFormatter.displayBanner();
 
-            // Parse command line arguments
-            args = this.parser.parse(argv);
+            // Parse command line arguments, with config file values as defaults
+            args = this.parser.parse(this.applyConfigFile(argv));
 
             // Validate arguments
             const validation = this.parser.validate(args);
@@ -43,11 +44,6 @@ class Scanner {
                 return;
             }
 
-            // Initialize rate limiting if needed
-            if (args.token) {
-                this.rateLimiter.setToken(args.token, args.site);
-            }
-
             // Execute the command
             const result = await this.commands.execute(args);
 
@@ -67,6 +63,32 @@ class Scanner {
         }
     }
 
+    // Prepend options from a --config JSON file so the command line still wins
+    applyConfigFile(argv) {
+        const argList = argv || process.argv.slice(2);
+        const index = argList.indexOf('--config');
+        if (index === -1 || !argList[index + 1]) {
+            return argv;
+        }
+
+        const fs = require('fs');
+        const configPath = argList[index + 1];
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+        } catch (error) {
+            throw new Error(`Could not read config file ${configPath}: ${error.message}`);
+        }
+
+        // Accept both "api-url" and "api_url" style keys
+        const normalized = {};
+        Object.entries(config).forEach(([key, value]) => {
+            normalized[key.replace(/_/g, '-')] = value;
+        });
+
+        return [...this.parseConfig(normalized), ...argList];
+    }
+
     // Run with custom configuration
     async runWithConfig(config) {
         const args = this.parseConfig(config);
@@ -80,6 +102,8 @@ class Scanner {
         Object.entries(config).forEach(([key, value]) => {
             if (value === true) {
                 args.push(`--${key}`);
+            } else if (Array.isArray(value)) {
+                value.forEach(item => args.push(`--${key}`, item.toString()));
             } else if (value !== false && value !== null && value !== undefined) {
                 args.push(`--${key}`, value.toString());
             }
@@ -183,8 +207,10 @@ class Scanner {
     }
 
     // Validate scan environment
-    async validateEnvironment() {
+    async validateEnvironment(site = 'github') {
         const checks = [];
+        const platformName = site === 'gitlab' ? 'GitLab' : 'GitHub';
+        const apiUrl = site === 'gitlab' ? getGitlabApiUrl() : getApiUrl();
 
         // Check Node.js version
         const nodeVersion = process.version;
@@ -197,22 +223,22 @@ class Scanner {
 
         // Check network connectivity
         try {
-            const https = require('https');
+            const client = apiUrl.startsWith('http:') ? require('http') : require('https');
             await new Promise((resolve, reject) => {
-                const req = https.get('https://api.github.com', { timeout: 5000 }, resolve);
+                const req = client.get(apiUrl, { timeout: 5000 }, resolve);
                 req.on('error', reject);
                 req.on('timeout', () => reject(new Error('timeout')));
             });
             checks.push({
-                name: 'GitHub API Connectivity',
+                name: `${platformName} API Connectivity`,
                 status: 'pass',
-                details: 'Successfully connected'
+                details: `Successfully connected to ${apiUrl}`
             });
         } catch (error) {
             checks.push({
-                name: 'GitHub API Connectivity',
+                name: `${platformName} API Connectivity`,
                 status: 'fail',
-                details: error.message
+                details: `${apiUrl}: ${error.message}`
             });
         }
 
@@ -240,10 +266,16 @@ class Scanner {
     }
 
     // Display environment validation results
-    async displayEnvironmentCheck() {
+    async displayEnvironmentCheck(argv = null) {
         console.log(ColorUtils.bright('\n=== ENVIRONMENT CHECK ===\n'));
 
-        const checks = await this.validateEnvironment();
+        // Honor --site/--api-url so self-hosted instances can be probed
+        const args = this.parser.parseKnown(this.applyConfigFile(argv));
+        if (args.api_url) {
+            setApiUrl(args.api_url, args.site);
+        }
+
+        const checks = await this.validateEnvironment(args.site);
 
         checks.forEach(check => {
             const status = check.status === 'pass' ?
@@ -256,6 +256,7 @@ class SmartScanner {
             fetchOrgs = true,
             fetchKeys = true,
             fetchGists = false,
+            gistCount = 0, // each gist's history, and at least one revision
             avgCommitsPerRepo = 50 // conservative estimate
         } = options;
 
@@ -264,7 +265,7 @@ class SmartScanner {
         if (fetchProfile) calls += 1;
         if (fetchOrgs) calls += 1;
         if (fetchKeys) calls += 1;
-        if (fetchGists) calls += 1;
+        if (fetchGists) calls += 1 + gistCount * 2;
 
         // Repos list (paginated, assume 100 per page)
         calls += Math.ceil(repoCount / 100);
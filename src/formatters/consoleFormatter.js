@@ -2,6 +2,7 @@
 
 const ColorUtils = require('../utils/colors');
 const Validators = require('../utils/validators');
+const { getWebUrl } = require('../config/constants');
 
 class ConsoleFormatter {
     // Display banner - orijinal koddan
@@ -36,8 +37,8 @@ class ConsoleFormatter {
         if (data.web_url) {
             console.log(ColorUtils.green(`URL: ${ColorUtils.cyan(data.web_url)}`));
         } else {
-            const platform = data.login ? 'github.com' : 'gitlab.com';
-            console.log(ColorUtils.green(`URL: ${ColorUtils.cyan(`https://${platform}/${data.username}`)}`));
+            const webUrl = getWebUrl(data.login ? 'github' : 'gitlab');
+            console.log(ColorUtils.green(`URL: ${ColorUtils.cyan(`${webUrl}/${data.username}`)}`));
         }
         
         console.log(ColorUtils.green(`Organizations: ${ColorUtils.yellow(data.organizations && data.organizations.length > 0 ? data.organizations.join(', ') : 'None')}`));
@@ -55,6 +56,16 @@ class ConsoleFormatter {
         console.log(ColorUtils.green(`Leaked Emails: ${ColorUtils.yellow(data.leaked_emails ? data.leaked_emails.length : 0)}`));
     }
 
+    // Display social accounts and links found on the profile
+    static displaySocialProfiles(profiles) {
+        if (!profiles || profiles.length === 0) return;
+
+        console.log(`\n${ColorUtils.yellow('Social Profiles:')}`);
+        profiles.forEach(profile => {
+            console.log(`${ColorUtils.cyan(profile.provider.padEnd(14))} ${profile.handle ? `${profile.handle} ` : ''}${ColorUtils.dim(profile.url)}`);
+        });
+    }
+
     // Display SSH keys - orijinal koddan
     static displayKeys(keys) {
         if (!keys || keys.length === 0) return;
@@ -66,6 +77,15 @@ class ConsoleFormatter {
                 console.log(`Title: ${key.title}`);
             }
             console.log(`${key.key.substring(0, 40)}...`);
+            if (key.fingerprint_sha256) {
+                console.log(`Fingerprint: ${key.fingerprint_sha256} (${key.type}${key.bits ? `, ${key.bits} bits` : ''})`);
+            }
+            if (key.weak) {
+                console.log(ColorUtils.red(`Weak: ${key.weaknesses.join('; ')}`));
+            }
+            if (key.also_used_by && key.also_used_by.length > 0) {
+                console.log(ColorUtils.yellow(`Also used by: ${key.also_used_by.map(owner => `${owner.site}:${owner.login}`).join(', ')}`));
+            }
             if (key.created_at) {
                 console.log(`Created: ${key.created_at}`);
             }
@@ -75,6 +95,158 @@ class ConsoleFormatter {
         });
     }
 
+    // Display GPG key fingerprints and UIDs
+    static displayGpgKeys(keys) {
+        if (!keys || keys.length === 0) return;
+
+        console.log(`\n${ColorUtils.yellow('GPG Keys:')}`);
+        keys.forEach((key, index) => {
+            const size = key.curve || (key.bits ? `${key.bits} bits` : null);
+            console.log(ColorUtils.cyan(`Key #${index + 1}: ${key.fingerprint || key.key_id || 'unknown fingerprint'}`));
+            if (key.algorithm) {
+                console.log(`Algorithm: ${key.algorithm}${size ? ` (${size})` : ''}`);
+            }
+            key.uids.forEach(uid => console.log(`UID: ${uid.uid}`));
+            if (key.subkeys.length > 0) {
+                console.log(`Subkeys: ${key.subkeys.map(subkey => subkey.fingerprint || subkey.key_id).join(', ')}`);
+            }
+            if (key.expires_at) {
+                console.log(`Expires: ${key.expires_at}`);
+            }
+        });
+    }
+
+    // Display secrets found in commit diffs
+    static displaySecrets(secrets) {
+        if (!secrets || secrets.length === 0) return;
+
+        console.log(`\n${ColorUtils.red('Potential Secrets:')}`);
+        console.table(secrets.map(finding => ({
+            rule: finding.rule_id,
+            location: `${finding.repository}/${finding.file}:${finding.line}`,
+            commit: finding.commit.substring(0, 7),
+            match: finding.match
+        })));
+    }
+
+    // Display the commit-time heatmap and timezone inference
+    static displayActivityProfile(profile) {
+        if (!profile) return;
+
+        const shades = ' .:-=+*#%@';
+        const max = Math.max(...profile.histogram.counts.flat());
+
+        console.log(`\n${ColorUtils.yellow('Activity Profile:')}`);
+        console.log(`Timezone: UTC${profile.timezone.offset} (${profile.timezone.method === 'declared' ? `declared in ${Math.round(profile.timezone.share * 100)}% of commit dates` : 'estimated from commit hours'})`);
+        console.log(`Busiest hours: ${profile.busiest_hours.map(hour => `${String(hour).padStart(2, '0')}:00`).join(', ')} - busiest days: ${profile.busiest_days.join(', ')} - weekend share: ${Math.round(profile.weekend_share * 100)}%`);
+        console.log(ColorUtils.dim('     0     6     12    18   '));
+        profile.histogram.counts.forEach((hours, day) => {
+            const row = hours.map(count => (count === 0 ? shades[0] : shades[Math.max(1, Math.round(count / max * (shades.length - 1)))])).join('');
+            console.log(`${profile.histogram.days[day]}  ${ColorUtils.cyan(row)}`);
+        });
+        profile.timezone_changes.forEach(change => {
+            console.log(ColorUtils.yellow(`Timezone change ${change.since}: UTC${change.from} -> UTC${change.to}${change.dst ? ' (likely daylight saving)' : ''}`));
+        });
+        if (profile.note) {
+            console.log(ColorUtils.dim(profile.note));
+        }
+    }
+
+    // Display the contributors with the most commits
+    static displayContributors(contributors, limit = 10) {
+        if (!contributors || contributors.length === 0) return;
+
+        console.log(`\n${ColorUtils.yellow(`Top Contributors (${Math.min(limit, contributors.length)} of ${contributors.length}):`)}`);
+        console.table(contributors.slice(0, limit).map(contributor => ({
+            contributor: contributor.login || `${contributor.name || 'Anonymous'} <${contributor.email}>`,
+            commits: contributor.contributions,
+            repositories: contributor.repositories.length
+        })));
+    }
+
+    // Display annotated tag taggers and release authors, one row per tagger/author pair
+    static displayTagIdentities(tagIdentities) {
+        const signers = new Map();
+        (tagIdentities || []).forEach(entry => {
+            const tagger = entry.tagger_email ? `${entry.tagger_name || 'Unknown'} <${entry.tagger_email}>` : null;
+            const key = `${tagger}|${entry.release_author}`;
+            if (!signers.has(key)) {
+                signers.set(key, { tagger: tagger || '-', release_author: entry.release_author || '-', tags: 0, repositories: new Set() });
+            }
+            const signer = signers.get(key);
+            signer.tags++;
+            signer.repositories.add(entry.repository);
+        });
+        if (signers.size === 0) return;
+
+        console.log(`\n${ColorUtils.yellow('Tag & Release Identities:')}`);
+        console.table(Array.from(signers.values()).map(signer => ({ ...signer, repositories: signer.repositories.size })));
+    }
+
+    // Display emails found in manifests and metadata files with the file and field they came from
+    static displayManifestAuthors(authors, limit = 10) {
+        if (!authors || authors.length === 0) return;
+
+        console.log(`\n${ColorUtils.yellow(`Manifest Authors (${Math.min(limit, authors.length)} of ${authors.length}):`)}`);
+        console.table(authors.slice(0, limit).map(author => ({
+            email: author.email,
+            name: author.name || '-',
+            file: `${author.repository}/${author.file}`,
+            field: author.line ? `${author.field} (line ${author.line})` : author.field
+        })));
+    }
+
+    // Display emails found in issues, pull requests and comments with the permalink of their first sighting
+    static displayDiscussions(discussions, limit = 10) {
+        const firstSeen = new Map();
+        (discussions || []).forEach(finding => {
+            const key = finding.email.toLowerCase();
+            if (!firstSeen.has(key)) firstSeen.set(key, { ...finding, count: 0 });
+            firstSeen.get(key).count++;
+        });
+        if (firstSeen.size === 0) return;
+
+        const emails = Array.from(firstSeen.values());
+        console.log(`\n${ColorUtils.yellow(`Discussion Emails (${Math.min(limit, emails.length)} of ${emails.length}):`)}`);
+        console.table(emails.slice(0, limit).map(finding => ({
+            email: finding.email,
+            kind: finding.kind,
+            findings: finding.count,
+            url: finding.url
+        })));
+    }
+
+    // Display emails, secrets and sensitive keywords found in gist files, flagging ones later edited away
+    static displayGistFindings(findings, limit = 10) {
+        if (!findings || findings.length === 0) return;
+
+        console.log(`\n${ColorUtils.yellow(`Gist Findings (${Math.min(limit, findings.length)} of ${findings.length}):`)}`);
+        console.table(findings.slice(0, limit).map(finding => ({
+            gist: finding.gist_id,
+            file: `${finding.file}:${finding.line}`,
+            revision: finding.revision.slice(0, 7),
+            type: finding.type,
+            value: finding.value,
+            removed: finding.removed
+        })));
+    }
+
+    // Display identities that merge more than one email or account
+    static displayIdentities(identities) {
+        const merged = (identities || []).filter(identity => identity.emails.length + identity.logins.length > 1);
+        if (merged.length === 0) return;
+
+        console.log(`\n${ColorUtils.yellow('Identities:')}`);
+        merged.forEach(identity => {
+            const color = identity.confidence >= 0.9 ? ColorUtils.green : ColorUtils.yellow;
+            console.log(`${ColorUtils.bright(`#${identity.id}`)} ${identity.names.join(' / ') || 'No name'} ${color(`(confidence ${identity.confidence})`)}`);
+            [...identity.logins, ...identity.emails].forEach(identifier => console.log(`  ${ColorUtils.cyan(identifier)}`));
+            identity.evidence.forEach(entry => {
+                console.log(ColorUtils.dim(`  ${entry.link[0]} <-> ${entry.link[1]}: ${entry.type}${entry.detail ? ` (${entry.detail})` : ''}`));
+            });
+        });
+    }
+
     // Display leaked emails with table - orijinal koddan
     static displayLeakedEmails(emailDetails, maskEmails = false) {
         if (!emailDetails || emailDetails.length === 0) return;
@@ -97,6 +269,24 @@ class ConsoleFormatter {
         console.table(emailTable);
     }
 
+    // Display repositories whose commit history was only partially fetched
+    static displayIncompleteRepositories(incomplete) {
+        if (!incomplete || incomplete.length === 0) return;
+
+        console.log(`\n${ColorUtils.yellow('Incomplete Repositories:')}`);
+        incomplete.forEach(entry => {
+            const details = entry.rate_limit ? `${entry.rate_limit} rate limit` : entry.message;
+            console.log(ColorUtils.yellow(`  ${entry.repository || entry.project}: ${details} (${entry.retries} retries)`));
+        });
+    }
+
+    // Display phases skipped because the request budget ran out
+    static displaySkippedPhases(data) {
+        if (!data.skipped_phases || data.skipped_phases.length === 0) return;
+
+        console.log(`\n${ColorUtils.yellow('Scan interrupted - skipped phases:')} ${data.skipped_phases.join(', ')}`);
+    }
+
     // Display organizations list - adapted
     static displayOrganizations(orgs, verbose = false) {
         if (!orgs || orgs.length === 0) return;
@@ -216,7 +406,12 @@ class ConsoleFormatter {
 
         // Display common sections
         this.displayKeys(data.keys);
+        this.displayGpgKeys(data.gpg_keys);
+        this.displaySecrets(data.secrets_found);
+        this.displayActivityProfile(data.activity_profile);
         this.displayLeakedEmails(data.email_details, maskEmails);
+        this.displayIncompleteRepositories(data.incomplete_repositories || data.incomplete_projects);
+        this.displaySkippedPhases(data);
         
         if (verbose) {
             this.displaySummary(data);
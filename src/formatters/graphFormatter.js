@@ -0,0 +1,219 @@
+// Network graph export - GraphML, GEXF, Graphviz DOT and Cytoscape.js JSON
+
+const FORMATS = {
+    graphml: 'graphml',
+    gexf: 'gexf',
+    dot: 'dot',
+    cytoscape: 'cyjs'
+};
+
+// Tags of user-scan email sources that mean "the target committed with this email"
+const OWN_EMAIL_SOURCES = ['commit', 'gpg', 'event'];
+
+// Build typed nodes (user, org, email, repo, key) and edges (follows, member_of, committed_with,
+// authored_in, uses_key) from any scan result
+const buildGraph = (data, site = 'github') => {
+    const nodes = new Map();
+    const edges = new Map();
+
+    const addNode = (type, key, label, attributes = {}) => {
+        const id = `${type}:${key}`;
+        if (!nodes.has(id)) {
+            nodes.set(id, { id, type, label, ...attributes });
+        }
+        return id;
+    };
+    const addEdge = (source, target, type, attributes = {}) => {
+        const id = `${source}|${type}|${target}`;
+        if (!edges.has(id)) {
+            edges.set(id, { id, source, target, type, ...attributes });
+        }
+    };
+
+    const owner = data.username || data.organization || data.group || null;
+    const target = data.username
+        ? addNode('user', data.username, data.username, { name: data.name || null, hop: 0 })
+        : (owner ? addNode('org', owner, owner, { name: data.name || null }) : null);
+
+    // Organizations of the target user, members of the target organization
+    (data.organizations || []).forEach(org => {
+        const login = typeof org === 'string' ? org : org.login;
+        addEdge(target, addNode('org', login, login), 'member_of');
+    });
+    (data.members || []).forEach(member => {
+        const login = member.login || member.username;
+        if (login) addEdge(addNode('user', login, login), target, 'member_of');
+    });
+
+    // Follow graph of a network crawl, or the plain follower lists of older results
+    const network = data.network || {};
+    if (network.graph) {
+        network.graph.nodes.forEach(node => {
+            const id = addNode('user', node.id, node.id, { name: node.name || null, hop: node.hop });
+            (node.orgs || []).forEach(org => addEdge(id, addNode('org', org, org), 'member_of'));
+            (node.emails || []).forEach(email => addEdge(id, addNode('email', email, email), 'committed_with'));
+        });
+        network.graph.edges.forEach(edge => {
+            addEdge(addNode('user', edge.source, edge.source), addNode('user', edge.target, edge.target), 'follows', { mutual: edge.mutual });
+        });
+    } else if (target && data.username) {
+        const mutual = new Set(network.mutual_follows || []);
+        (network.followers || []).forEach(user => addEdge(addNode('user', user.login, user.login, { hop: 1 }), target, 'follows', { mutual: mutual.has(user.login) }));
+        (network.following || []).forEach(user => addEdge(target, addNode('user', user.login, user.login, { hop: 1 }), 'follows', { mutual: mutual.has(user.login) }));
+    }
+
+    // Emails: who committed with them and which repositories they were authored in
+    (data.email_details || []).forEach(detail => {
+        const email = addNode('email', detail.email, detail.email, {
+            name: (detail.names || []).join(', ') || null,
+            ...(detail.classification && { classification: detail.classification })
+        });
+
+        if (detail.github_username) {
+            addEdge(addNode('user', detail.github_username, detail.github_username), email, 'committed_with');
+        } else if (data.username && (detail.sources || []).some(source => OWN_EMAIL_SOURCES.includes(source))) {
+            addEdge(target, email, 'committed_with');
+        }
+
+        // GitHub scans list repositories separately; GitLab scans record their projects as sources
+        const repositories = detail.repositories || detail.sources || [];
+        repositories.forEach(repo => {
+            const name = owner && !repo.includes('/') ? `${owner}/${repo}` : repo;
+            addEdge(email, addNode('repo', name, name), 'authored_in');
+        });
+    });
+
+    // SSH keys of the target user or of every organization member
+    const keyOwners = data.username ? [{ login: data.username, keys: data.keys || [] }] : (data.member_keys || []);
+    keyOwners.forEach(({ login, keys }) => keys.filter(key => key.fingerprint_sha256).forEach(key => {
+        const keyId = addNode('key', key.fingerprint_sha256, key.fingerprint_sha256, { key_type: key.type || null, weak: Boolean(key.weak) });
+        addEdge(addNode('user', login, login), keyId, 'uses_key');
+        (key.also_used_by || []).filter(other => other.site === site).forEach(other => {
+            addEdge(addNode('user', other.login, other.login), keyId, 'uses_key');
+        });
+    }));
+
+    return { nodes: Array.from(nodes.values()), edges: Array.from(edges.values()) };
+};
+
+// Control characters other than tab, LF and CR are not allowed in XML 1.0, even escaped
+const escapeXml = (value) => String(value)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeDot = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+// Node and edge attributes other than the structural fields, skipping empty values
+const attributesOf = (element) => Object.entries(element)
+    .filter(([name, value]) => !['id', 'source', 'target'].includes(name) && value !== null && value !== undefined);
+
+// Attribute declarations shared by GraphML and GEXF: name -> xml type
+const declaredAttributes = (elements) => {
+    const declared = new Map();
+    elements.forEach(element => attributesOf(element).forEach(([name, value]) => {
+        if (!declared.has(name)) {
+            declared.set(name, typeof value === 'boolean' ? 'boolean' : (Number.isInteger(value) ? 'int' : 'string'));
+        }
+    }));
+    return declared;
+};
+
+const toGraphML = (graph) => {
+    const nodeKeys = declaredAttributes(graph.nodes);
+    const edgeKeys = declaredAttributes(graph.edges);
+    const keyLines = [
+        ...Array.from(nodeKeys.entries()).map(([name, type]) => `  <key id="n_${name}" for="node" attr.name="${name}" attr.type="${type}"/>`),
+        ...Array.from(edgeKeys.entries()).map(([name, type]) => `  <key id="e_${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`)
+    ];
+    const data = (prefix, element) => attributesOf(element).map(([name, value]) => `<data key="${prefix}_${name}">${escapeXml(value)}</data>`).join('');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        ...keyLines,
+        '  <graph id="gitrecon" edgedefault="directed">',
+        ...graph.nodes.map(node => `    <node id="${escapeXml(node.id)}">${data('n', node)}</node>`),
+        ...graph.edges.map(edge => `    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">${data('e', edge)}</edge>`),
+        '  </graph>',
+        '</graphml>',
+        ''
+    ].join('\n');
+};
+
+const toGexf = (graph) => {
+    const nodeAttributes = Array.from(declaredAttributes(graph.nodes).entries()).filter(([name]) => name !== 'label');
+    const edgeAttributes = Array.from(declaredAttributes(graph.edges).entries());
+    const gexfType = (type) => (type === 'int' ? 'integer' : type);
+    const values = (element, declared) => {
+        const present = declared.filter(([name]) => element[name] !== null && element[name] !== undefined);
+        if (present.length === 0) return '';
+        return `<attvalues>${present.map(([name]) => `<attvalue for="${name}" value="${escapeXml(element[name])}"/>`).join('')}</attvalues>`;
+    };
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+        '  <graph mode="static" defaultedgetype="directed">',
+        '    <attributes class="node">',
+        ...nodeAttributes.map(([name, type]) => `      <attribute id="${name}" title="${name}" type="${gexfType(type)}"/>`),
+        '    </attributes>',
+        '    <attributes class="edge">',
+        ...edgeAttributes.map(([name, type]) => `      <attribute id="${name}" title="${name}" type="${gexfType(type)}"/>`),
+        '    </attributes>',
+        '    <nodes>',
+        ...graph.nodes.map(node => `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}">${values(node, nodeAttributes)}</node>`),
+        '    </nodes>',
+        '    <edges>',
+        ...graph.edges.map(edge => `      <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" label="${edge.type}">${values(edge, edgeAttributes)}</edge>`),
+        '    </edges>',
+        '  </graph>',
+        '</gexf>',
+        ''
+    ].join('\n');
+};
+
+const DOT_SHAPES = { user: 'ellipse', org: 'box', email: 'note', repo: 'folder', key: 'diamond' };
+
+const toDot = (graph) => {
+    const attributes = (element) => attributesOf(element).map(([name, value]) => `${name}="${escapeDot(value)}"`);
+
+    return [
+        'digraph gitrecon {',
+        ...graph.nodes.map(node => `    "${escapeDot(node.id)}" [${[...attributes(node), `shape=${DOT_SHAPES[node.type]}`].join(', ')}];`),
+        ...graph.edges.map(edge => `    "${escapeDot(edge.source)}" -> "${escapeDot(edge.target)}" [${[...attributes(edge), `label="${edge.type}"`].join(', ')}];`),
+        '}',
+        ''
+    ].join('\n');
+};
+
+const toCytoscape = (graph) => JSON.stringify({
+    elements: {
+        nodes: graph.nodes.map(node => ({ data: node })),
+        edges: graph.edges.map(edge => ({ data: edge }))
+    }
+}, null, 2);
+
+const WRITERS = {
+    graphml: toGraphML,
+    gexf: toGexf,
+    dot: toDot,
+    cytoscape: toCytoscape
+};
+
+// Render the graph of a scan result in one format
+const generate = (data, format, site = 'github') => WRITERS[format](buildGraph(data, site));
+
+class GraphFormatter {
+    static FORMATS = FORMATS;
+    static buildGraph = buildGraph;
+    static generate = generate;
+    static toGraphML = toGraphML;
+    static toGexf = toGexf;
+    static toDot = toDot;
+    static toCytoscape = toCytoscape;
+}
+
+module.exports = GraphFormatter;
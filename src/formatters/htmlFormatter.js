@@ -1,7 +1,14 @@
 // HTML report generation
 
+// Every value interpolated into the report comes from the API, commits or user-written profiles
+const escapeHtml = (value) => (value === null || value === undefined ? '' : String(value)).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+})[char]);
+
 // Function to convert data to HTML format - orijinal koddan
 const generateHtml = (data) => {
+    const incomplete = data.incomplete_repositories || data.incomplete_projects || [];
+
     // Simple HTML template for the report
     return `<!DOCTYPE html>
 <html lang="en">
@@ -21,6 +28,8 @@ const generateHtml = (data) => {
         .keys, .emails { margin-top: 20px; }
         pre { background-color: #f5f5f5; padding: 10px; border-radius: 3px; overflow-x: auto; }
         .email-item, .key-item { background-color: #f9f9f9; padding: 10px; margin-bottom: 8px; border-radius: 3px; }
+        .heatmap { border-collapse: collapse; font-size: 0.75em; }
+        .heatmap td, .heatmap th { width: 22px; height: 18px; text-align: center; padding: 0; }
         .footer { margin-top: 30px; text-align: center; font-size: 0.8em; color: #777; }
     </style>
 </head>
@@ -29,43 +38,43 @@ const generateHtml = (data) => {
     
     <div class="container">
         <div class="profile">
-            ${data.avatar_url ? `<img src="${data.avatar_url}" alt="${data.login || data.username} avatar" class="avatar">` : ''}
+            ${data.avatar_url ? `<img src="${escapeHtml(data.avatar_url)}" alt="${escapeHtml(data.login || data.username)} avatar" class="avatar">` : ''}
             <div>
-                <h2>${data.login || data.username || data.name || 'Unknown User'}</h2>
-                <p>${data.bio || data.description || ''}</p>
+                <h2>${escapeHtml(data.login || data.username || data.name || 'Unknown User')}</h2>
+                <p>${escapeHtml(data.bio || data.description)}</p>
             </div>
         </div>
         
         <div class="info-grid">
             <div class="info-item">
-                <span class="label">Name:</span> ${data.name || 'N/A'}
+                <span class="label">Name:</span> ${escapeHtml(data.name || 'N/A')}
             </div>
             <div class="info-item">
-                <span class="label">ID:</span> ${data.id || 'N/A'}
+                <span class="label">ID:</span> ${escapeHtml(data.id || 'N/A')}
             </div>
             <div class="info-item">
-                <span class="label">Location:</span> ${data.location || 'N/A'}
+                <span class="label">Location:</span> ${escapeHtml(data.location || 'N/A')}
             </div>
             <div class="info-item">
-                <span class="label">Email:</span> ${data.email || data.public_email || 'N/A'}
+                <span class="label">Email:</span> ${escapeHtml(data.email || data.public_email || 'N/A')}
             </div>
             <div class="info-item">
-                <span class="label">Company/Organization:</span> ${data.company || data.organization || 'N/A'}
+                <span class="label">Company/Organization:</span> ${escapeHtml(data.company || data.organization || 'N/A')}
             </div>
             <div class="info-item">
-                <span class="label">Blog/Website:</span> ${data.blog || data.web_url || 'N/A'}
+                <span class="label">Blog/Website:</span> ${escapeHtml(data.blog || data.web_url || 'N/A')}
             </div>
             <div class="info-item">
-                <span class="label">Twitter:</span> ${data.twitter_username || data.twitter || 'N/A'}
+                <span class="label">Twitter:</span> ${escapeHtml(data.twitter_username || data.twitter || 'N/A')}
             </div>
             <div class="info-item">
                 <span class="label">Created:</span> ${data.created_at ? new Date(data.created_at).toLocaleDateString() : 'N/A'}
             </div>
             <div class="info-item">
-                <span class="label">Followers:</span> ${data.followers || 'N/A'}
+                <span class="label">Followers:</span> ${escapeHtml(data.followers || 'N/A')}
             </div>
             <div class="info-item">
-                <span class="label">Following:</span> ${data.following || 'N/A'}
+                <span class="label">Following:</span> ${escapeHtml(data.following || 'N/A')}
             </div>
         </div>
     </div>
@@ -75,7 +84,20 @@ const generateHtml = (data) => {
         <h3>Organizations (${data.organizations.length})</h3>
         <div class="info-grid">
             ${data.organizations.map(org => `
-                <div class="info-item">${org}</div>
+                <div class="info-item">${escapeHtml(org)}</div>
+            `).join('')}
+        </div>
+    </div>
+    ` : ''}
+    
+    ${data.social_profiles && data.social_profiles.length > 0 ? `
+    <div class="container">
+        <h3>Social Profiles (${data.social_profiles.length})</h3>
+        <div class="info-grid">
+            ${data.social_profiles.map(profile => `
+                <div class="info-item">
+                    <span class="label">${escapeHtml(profile.provider)}:</span> <a href="${escapeHtml(profile.url)}">${escapeHtml(profile.handle || profile.url)}</a>
+                </div>
             `).join('')}
         </div>
     </div>
@@ -86,30 +108,107 @@ const generateHtml = (data) => {
         <h3>Public Keys (${data.keys.length})</h3>
         ${data.keys.map(key => `
             <div class="key-item">
-                ${key.id ? `<div><span class="label">ID:</span> ${key.id}</div>` : ''}
-                ${key.title ? `<div><span class="label">Title:</span> ${key.title}</div>` : ''}
-                ${key.created_at ? `<div><span class="label">Created:</span> ${key.created_at}</div>` : ''}
-                ${key.expires_at ? `<div><span class="label">Expires:</span> ${key.expires_at}</div>` : ''}
+                ${key.id ? `<div><span class="label">ID:</span> ${escapeHtml(key.id)}</div>` : ''}
+                ${key.title ? `<div><span class="label">Title:</span> ${escapeHtml(key.title)}</div>` : ''}
+                ${key.created_at ? `<div><span class="label">Created:</span> ${escapeHtml(key.created_at)}</div>` : ''}
+                ${key.expires_at ? `<div><span class="label">Expires:</span> ${escapeHtml(key.expires_at)}</div>` : ''}
+                ${key.fingerprint_sha256 ? `<div><span class="label">Fingerprint:</span> <code>${escapeHtml(key.fingerprint_sha256)}</code> (${escapeHtml(key.type)}${key.bits ? `, ${escapeHtml(key.bits)} bits` : ''})</div>` : ''}
+                ${key.weak ? `<div><span class="label">Weak:</span> ${escapeHtml(key.weaknesses.join('; '))}</div>` : ''}
+                ${key.also_used_by && key.also_used_by.length > 0 ? `<div><span class="label">Also used by:</span> ${escapeHtml(key.also_used_by.map(owner => `${owner.site}:${owner.login}`).join(', '))}</div>` : ''}
                 <div><span class="label">Key:</span></div>
-                <pre>${key.key}</pre>
+                <pre>${escapeHtml(key.key)}</pre>
+            </div>
+        `).join('')}
+    </div>
+    ` : ''}
+    
+    ${data.gpg_keys && data.gpg_keys.length > 0 ? `
+    <div class="container keys">
+        <h3>GPG Keys (${data.gpg_keys.length})</h3>
+        ${data.gpg_keys.map(key => `
+            <div class="key-item">
+                <div><span class="label">Fingerprint:</span> <code>${escapeHtml(key.fingerprint || key.key_id || 'Unknown')}</code></div>
+                ${key.algorithm ? `<div><span class="label">Algorithm:</span> ${escapeHtml(key.algorithm)}${key.curve ? ` (${escapeHtml(key.curve)})` : (key.bits ? ` (${escapeHtml(key.bits)} bits)` : '')}</div>` : ''}
+                ${key.uids.map(uid => `<div><span class="label">UID:</span> ${escapeHtml(uid.uid)}</div>`).join('')}
+                ${key.subkeys.length > 0 ? `<div><span class="label">Subkeys:</span> ${escapeHtml(key.subkeys.map(subkey => subkey.fingerprint || subkey.key_id).join(', '))}</div>` : ''}
+                ${key.created_at ? `<div><span class="label">Created:</span> ${escapeHtml(key.created_at)}</div>` : ''}
+                ${key.expires_at ? `<div><span class="label">Expires:</span> ${escapeHtml(key.expires_at)}</div>` : ''}
+            </div>
+        `).join('')}
+    </div>
+    ` : ''}
+    
+    ${data.activity_profile ? `
+    <div class="container">
+        <h3>Activity Profile</h3>
+        <div><span class="label">Timezone:</span> UTC${escapeHtml(data.activity_profile.timezone.offset)} (${data.activity_profile.timezone.method === 'declared' ? 'from commit dates' : 'estimated from commit hours'})</div>
+        <div><span class="label">Commits analyzed:</span> ${data.activity_profile.commits_analyzed}</div>
+        <div><span class="label">Weekend share:</span> ${Math.round(data.activity_profile.weekend_share * 100)}%</div>
+        ${data.activity_profile.timezone_changes.map(change => `<div><span class="label">Timezone change ${escapeHtml(change.since)}:</span> UTC${escapeHtml(change.from)} &rarr; UTC${escapeHtml(change.to)}${change.dst ? ' (likely daylight saving)' : ''}</div>`).join('')}
+        ${data.activity_profile.note ? `<div class="label">${escapeHtml(data.activity_profile.note)}</div>` : ''}
+        <table class="heatmap">
+            <tr><th></th>${Array.from({ length: 24 }, (_, hour) => `<th>${hour}</th>`).join('')}</tr>
+            ${data.activity_profile.histogram.counts.map((hours, day) => {
+                const max = Math.max(...data.activity_profile.histogram.counts.flat());
+                return `<tr><th>${data.activity_profile.histogram.days[day]}</th>${hours.map(count => `<td title="${count}" style="background-color: rgba(46, 160, 67, ${count === 0 ? 0 : (0.15 + 0.85 * count / max).toFixed(2)})">${count || ''}</td>`).join('')}</tr>`;
+            }).join('')}
+        </table>
+    </div>
+    ` : ''}
+    
+    ${data.secrets_found && data.secrets_found.length > 0 ? `
+    <div class="container keys">
+        <h3>Potential Secrets (${data.secrets_found.length})</h3>
+        ${data.secrets_found.map(finding => `
+            <div class="key-item">
+                <div><span class="label">Rule:</span> ${escapeHtml(finding.rule_id)} - ${escapeHtml(finding.description)}</div>
+                <div><span class="label">Location:</span> ${escapeHtml(`${finding.repository}/${finding.file}:${finding.line}`)}</div>
+                <div><span class="label">Commit:</span> <code>${escapeHtml(finding.commit)}</code></div>
+                <div><span class="label">Match:</span> <code>${escapeHtml(finding.match)}</code></div>
             </div>
         `).join('')}
     </div>
     ` : ''}
     
+    ${data.shared_keys && data.shared_keys.length > 0 ? `
+    <div class="container keys">
+        <h3>Shared SSH Keys (${data.shared_keys.length})</h3>
+        ${data.shared_keys.map(entry => `
+            <div class="key-item">
+                <div><span class="label">Fingerprint:</span> <code>${escapeHtml(entry.fingerprint_sha256)}</code> (${escapeHtml(entry.type)})</div>
+                <div><span class="label">Used by:</span> ${escapeHtml(entry.used_by.join(', '))}</div>
+            </div>
+        `).join('')}
+    </div>
+    ` : ''}
+    
+    ${data.identities && data.identities.some(identity => identity.emails.length + identity.logins.length > 1) ? `
+    <div class="container">
+        <h3>Identities</h3>
+        ${data.identities.filter(identity => identity.emails.length + identity.logins.length > 1).map(identity => `
+            <div class="key-item">
+                <div><span class="label">Identity #${identity.id}:</span> ${escapeHtml(identity.names.join(' / ') || 'No name')} (confidence ${identity.confidence})</div>
+                ${identity.logins.length > 0 ? `<div><span class="label">Accounts:</span> ${escapeHtml(identity.logins.join(', '))}</div>` : ''}
+                ${identity.emails.length > 0 ? `<div><span class="label">Emails:</span> ${escapeHtml(identity.emails.join(', '))}</div>` : ''}
+                ${identity.evidence.map(entry => `<div style="font-size: 0.9em; color: #666;">${escapeHtml(entry.link[0])} &harr; ${escapeHtml(entry.link[1])}: ${escapeHtml(entry.type)}${entry.detail ? ` (${escapeHtml(entry.detail)})` : ''}</div>`).join('')}
+            </div>
+        `).join('')}
+    </div>
+    ` : ''}
+
     ${data.leaked_emails && data.leaked_emails.length > 0 ? `
     <div class="container emails">
         <h3>Leaked Emails (${data.leaked_emails.length})</h3>
         ${data.leaked_emails.map(email => `
             <div class="email-item">
-                <div>${email}</div>
+                <div>${escapeHtml(email)}</div>
                 ${data.email_details && data.email_details.find(d => d.email === email) ? `
                     <div style="font-size: 0.9em; color: #666; margin-top: 5px;">
-                        Associated names: ${data.email_details.find(d => d.email === email).names.join(', ')}
+                        Associated names: ${escapeHtml(data.email_details.find(d => d.email === email).names.join(', '))}
                     </div>
                     ${data.email_details.find(d => d.email === email).sources && data.email_details.find(d => d.email === email).sources.length > 0 ? `
                         <div style="font-size: 0.9em; color: #666;">
-                            Found in: ${data.email_details.find(d => d.email === email).sources.join(', ')}
+                            Found in: ${escapeHtml(data.email_details.find(d => d.email === email).sources.join(', '))}
                         </div>
                     ` : ''}
                 ` : ''}
@@ -118,6 +217,26 @@ const generateHtml = (data) => {
     </div>
     ` : ''}
     
+    ${incomplete.length > 0 ? `
+    <div class="container">
+        <h3>Incomplete Scans (${incomplete.length})</h3>
+        <p>Commit history for these repositories/projects could not be fetched completely; results may be partial.</p>
+        ${incomplete.map(entry => `
+            <div class="email-item">
+                <div><span class="label">${escapeHtml(entry.repository || entry.project)}:</span> ${escapeHtml(entry.message)}${entry.status ? ` (HTTP ${escapeHtml(entry.status)})` : ''}</div>
+                <div style="font-size: 0.9em; color: #666;">Retries: ${escapeHtml(entry.retries)}${entry.rate_limit ? ` | Rate limit: ${escapeHtml(entry.rate_limit)}` : ''}</div>
+            </div>
+        `).join('')}
+    </div>
+    ` : ''}
+    
+    ${data.skipped_phases && data.skipped_phases.length > 0 ? `
+    <div class="container">
+        <h3>Scan Interrupted</h3>
+        <p>The request budget ran out; these phases were skipped: ${escapeHtml(data.skipped_phases.join(', '))}</p>
+    </div>
+    ` : ''}
+    
     <div class="footer">
         <p>Generated with GitRecon on ${new Date().toLocaleString()}</p>
     </div>
@@ -127,6 +246,7 @@ const generateHtml = (data) => {
 
 class HtmlFormatter {
     static generate = generateHtml;
+    static escapeHtml = escapeHtml;
 
     // Enhanced HTML generation with custom styling
     static generateWithTheme(data, theme = 'default') {
@@ -186,7 +306,7 @@ class HtmlFormatter {
 <body>
     <h1>GitRecon Summary</h1>
     <div class="summary">
-        <h2>${data.login || data.username || 'Unknown User'}</h2>
+        <h2>${escapeHtml(data.login || data.username || 'Unknown User')}</h2>
         <div class="stat">
             <div class="stat-number">${data.organizations ? data.organizations.length : 0}</div>
             <div class="stat-label">Organizations</div>
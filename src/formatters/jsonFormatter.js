@@ -67,13 +67,23 @@ class JsonFormatter {
                 public_keys: data.keys ? data.keys.length : 0,
                 leaked_emails: data.leaked_emails ? data.leaked_emails.length : 0,
                 repositories: data.repositories ? data.repositories.length : 0,
-                members: data.members ? data.members.length : 0
+                members: data.members ? data.members.length : 0,
+                social_profiles: data.social_profiles ? data.social_profiles.map(profile => profile.provider) : [],
+                timezone: data.activity_profile ? `UTC${data.activity_profile.timezone.offset}` : null
             },
             detailed_findings: {
                 keys: data.keys || [],
+                social_profiles: data.social_profiles || [],
                 email_details: data.email_details || [],
+                identities: data.identities || [],
                 repositories: data.repositories || [],
-                members: data.members || []
+                members: data.members || [],
+                contributors: data.contributors || [],
+                tag_identities: data.tag_identities || [],
+                manifest_authors: data.manifest_authors || [],
+                discussions: data.discussions || [],
+                gist_findings: data.gist_findings || [],
+                activity_profile: data.activity_profile || null
             }
         };
     }
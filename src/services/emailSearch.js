@@ -2,13 +2,13 @@
 
 const ApiUtils = require('../utils/apiUtils');
 const ColorUtils = require('../utils/colors');
-const { API_URL } = require('../config/constants');
+const { getApiUrl } = require('../config/constants');
 
 // Function to find GitHub username by email - orijinal koddan
 const findUsernameByEmail = async (email) => {
     console.info(ColorUtils.green(`Searching for GitHub username with email "${ColorUtils.yellow(email)}"`));
 
-    const url = `${API_URL}/search/users?q=${email}`;
+    const url = `${getApiUrl()}/search/users?q=${email}`;
     const result = await ApiUtils.call(url);
 
     if (result && result.total_count > 0) {
@@ -1,250 +1,293 @@
 // GitHub API specific functions
 
 const ApiUtils = require('../../utils/apiUtils');
+const Paginator = require('../../utils/paginator');
 const ColorUtils = require('../../utils/colors');
-const { API_URL, getDelay } = require('../../config/constants');
+const TrailerParser = require('../../utils/trailerParser');
+const SecretScanner = require('../../utils/secretScanner');
+const ActivityProfile = require('../../utils/activityProfile');
+const { getApiUrl } = require('../../config/constants');
 const { Repository } = require('../../config/settings');
 
-// Parallel request helper with concurrency control
+// Parallel request helper - concurrency is enforced by the shared request queue
 const parallelRequests = async (urls, options = {}) => {
-    const { concurrency = 3, onProgress = null } = options;
-    const results = [];
+    const { onProgress = null } = options;
     let completed = 0;
 
-    for (let i = 0; i < urls.length; i += concurrency) {
-        const batch = urls.slice(i, i + concurrency);
-        const batchResults = await Promise.all(
-            batch.map(url => ApiUtils.call(url))
-        );
-        results.push(...batchResults);
-        completed += batch.length;
-
+    return Promise.all(urls.map(async (url) => {
+        const result = await ApiUtils.call(url);
+        completed++;
         if (onProgress) {
             onProgress(completed, urls.length);
         }
-    }
-
-    return results;
+        return result;
+    }));
 };
 
 // Function to retrieve user's repositories - orijinal koddan
 const getRepositories = async (username) => {
-    const repositoriesSeen = new Set();
     const repositories = [];
-    let pageCounter = 1;
+    const pager = Paginator.create(`${getApiUrl()}/users/${username}/repos?per_page=100`);
 
-    while (true) {
-        let continueLoop = true;
+    for await (const repository of pager) {
+        repositories.push(Repository(repository.name, repository.fork));
+    }
 
-        // Construct the URL for fetching repositories
-        const url = `${API_URL}/users/${username}/repos?per_page=100&page=${pageCounter}`;
-        const result = await ApiUtils.call(url);        if ('message' in result || result.error || !Array.isArray(result)) {
-            if (result.message && result.message.includes('API rate limit exceeded for ')) {
-                console.warn('API rate limit exceeded - not all repos were fetched');
-                break;
-            }
-            if (result.message === 'Not Found') {
-                console.warn(`There is no user with the username "${username}"`);
-                break;
-            }
-            // If there's any other error, break the loop
+    if (pager.error) {
+        const result = pager.error;
+        if (result.message && result.message.includes('API rate limit exceeded for ')) {
+            console.warn('API rate limit exceeded - not all repos were fetched');
+        } else if (result.message === 'Not Found') {
+            console.warn(`There is no user with the username "${username}"`);
+        } else {
             console.warn(ColorUtils.yellow(`Error fetching repositories: ${result.message || 'Unknown error'}`));
-            break;
         }
+    }
 
-        // Process each repository in the result
-        if (Array.isArray(result)) {
-            for (const repository of result) {
-                const repoName = repository.name;
-                if (repositoriesSeen.has(repoName)) {
-                    continueLoop = false;
-                    break;
-                } else {
-                    repositories.push(Repository(repoName, repository.fork));
-                    repositoriesSeen.add(repoName);
-                }
-            }
-        } else {
-            // If result is not an array, we can't process it
-            break;
+    return repositories;
+};
+
+// Collect a listing and tell options.onIncomplete when it stopped before the last page
+const collectReportingIncomplete = async (url, options = {}) => {
+    const pager = Paginator.create(url);
+    const items = await pager.collect();
+    const incomplete = pager.getIncomplete();
+    if (incomplete && options.onIncomplete) {
+        options.onIncomplete(incomplete);
+    }
+    return items;
+};
+
+const reportIncomplete = (options, repoName, result) => {
+    if (options.onError) options.onError(ApiUtils.toIncompleteEntry(repoName, result));
+};
+
+// Pager over a repository's commits, newest first; options.sha starts from a branch, tag or commit
+const getRepoCommits = (owner, repoName, options = {}) => {
+    const { sha = null, ...pagerOptions } = options;
+    const from = sha ? `&sha=${encodeURIComponent(sha)}` : '';
+    return Paginator.create(`${getApiUrl()}/repos/${owner}/${repoName}/commits?per_page=100${from}`, pagerOptions);
+};
+
+// List branches and tags as { name, sha }; tags are named "tags/<tag>"
+const getRepoRefs = async (owner, repoName) => {
+    const [branches, tags] = await Promise.all([
+        Paginator.collect(`${getApiUrl()}/repos/${owner}/${repoName}/branches?per_page=100`),
+        Paginator.collect(`${getApiUrl()}/repos/${owner}/${repoName}/tags?per_page=100`)
+    ]);
+
+    if (!Array.isArray(branches)) {
+        return branches;
+    }
+
+    return [
+        ...branches.map(branch => ({ name: branch.name, sha: branch.commit.sha })),
+        ...(Array.isArray(tags) ? tags : []).map(tag => ({ name: `tags/${tag.name}`, sha: tag.commit.sha }))
+    ];
+};
+
+// Walk the history of every branch and tag, calling onCommit(commit, refName) once per commit.
+// Refs share a seen-SHA set, and a walk stops as soon as every parent it still needs is known,
+// so history shared with an earlier ref is not fetched again.
+const walkRepoRefs = async (owner, repoName, onCommit) => {
+    const refs = await getRepoRefs(owner, repoName);
+    if (refs.error) {
+        return refs;
+    }
+
+    const seen = new Set();
+    for (const ref of refs) {
+        if (seen.has(ref.sha)) continue;
+
+        const pending = new Set([ref.sha]);
+        const pager = getRepoCommits(owner, repoName, { sha: ref.sha, stopWhen: () => pending.size === 0 });
+
+        for await (const commit of pager) {
+            if (!commit || !commit.sha) continue;
+
+            // A commit walked from an earlier ref settles this branch of the history too
+            pending.delete(commit.sha);
+            if (seen.has(commit.sha)) continue;
+
+            seen.add(commit.sha);
+            (commit.parents || []).forEach(parent => {
+                if (!seen.has(parent.sha)) pending.add(parent.sha);
+            });
+            onCommit(commit, ref.name);
         }
 
-        if (continueLoop && Array.isArray(result) && result.length === 100) {
-            pageCounter += 1;
-        } else {
-            break;
+        if (pager.error) {
+            return pager.error;
         }
     }
 
-    return repositories;
+    return { refs: refs.map(ref => ref.name), commits: seen.size };
 };
 
-// Function to retrieve email addresses from a repository's commits
-const getEmails = async (username, repoName) => {
+// Record author/committer emails of a REST-shaped commit made by the given user; returns the emails recorded
+const addCommitEmails = (commit, username, emailsToName) => {
+    const recorded = [];
+    if (!commit.author || !commit.author.login) {
+        return recorded;
+    }
+    if (commit.author.login.toLowerCase() !== username.toLowerCase()) {
+        return recorded;
+    }
+
+    const { author, committer } = commit.commit;
+    if (author && author.email) {
+        if (!emailsToName.has(author.email)) {
+            emailsToName.set(author.email, new Set());
+        }
+        emailsToName.get(author.email).add(author.name);
+        recorded.push(author.email);
+    }
+    if (committer && committer.email) {
+        if (!emailsToName.has(committer.email)) {
+            emailsToName.set(committer.email, new Set());
+        }
+        emailsToName.get(committer.email).add(committer.name);
+        recorded.push(committer.email);
+    }
+    return recorded;
+};
+
+// Record the dates of a REST-shaped commit; the committer date only counts when the author committed it
+const recordCommitDates = (timestamps, commit) => {
+    const { author, committer } = commit.commit;
+    const selfCommitted = author && committer && author.email === committer.email;
+    ActivityProfile.record(timestamps, commit.sha, [author && author.date, selfCommitted ? committer.date : null]);
+};
+
+// Function to retrieve email addresses from a repository's commits.
+// With options.allRefs every branch and tag is walked and options.emailRefs (email -> Set of refs) is filled.
+// options.trailerIdentities collects Co-authored-by/Signed-off-by/... identities of the user's commits
+// and options.commitShas (an array) the SHAs of those commits; options.timestamps (SHA -> dates) their dates.
+const getEmails = async (username, repoName, options = {}) => {
+    const { allRefs = false, emailRefs = null, trailerIdentities = null, commitShas = null, timestamps = null } = options;
     const emailsToName = new Map();
-    const seenCommits = new Set();
-    let pageCounter = 1;
-    let commitCounter = 1;
-
-    while (true) {
-        let continueLoop = true;
-        const url = `${API_URL}/repos/${username}/${repoName}/commits?per_page=100&page=${pageCounter}`;
-        const result = await ApiUtils.call(url);        if ('message' in result || result.error || !Array.isArray(result)) {
-            if (result.message === 'Git Repository is empty.' || result.message === 'No commit found') {
-                console.info(ColorUtils.yellow(`Repository ${repoName} is empty - skipping`));
-                return emailsToName;
-            }
+    let result = null;
 
-            if (result.message && result.message.includes('API rate limit exceeded for ')) {
-                console.warn('API rate limit exceeded');
-                return emailsToName;
-            }
+    const onCommit = (commit, ref = null) => {
+        const recorded = addCommitEmails(commit, username, emailsToName);
+        if (recorded.length === 0) return;
 
-            if (result.message === 'Not Found') {
-                console.warn(`Repository Not Found: "${repoName}"`);
-                return emailsToName;
-            }
+        if (commitShas) {
+            commitShas.push(commit.sha);
+        }
 
-            // If there's any other error, return what we have
-            console.warn(ColorUtils.yellow(`Error fetching commits for ${repoName}: ${result.message || 'Unknown error'}`));
-            return emailsToName;
+        if (timestamps) {
+            recordCommitDates(timestamps, commit);
+        }
+
+        if (trailerIdentities) {
+            TrailerParser.collect(commit.commit.message, commit.commit.author && commit.commit.author.email, trailerIdentities);
         }
 
-        // Process each commit in the result
-        if (Array.isArray(result)) {
-            for (const commit of result) {
-                const sha = commit.sha;
-                if (seenCommits.has(sha)) {
-                    continueLoop = false;
-                    break;
+        if (emailRefs && ref) {
+            recorded.forEach(email => {
+                if (!emailRefs.has(email)) {
+                    emailRefs.set(email, new Set());
                 }
+                emailRefs.get(email).add(ref);
+            });
+        }
+    };
+
+    if (allRefs) {
+        const walk = await walkRepoRefs(username, repoName, onCommit);
+        result = walk.error ? walk : null;
+    } else {
+        const pager = getRepoCommits(username, repoName);
+        for await (const commit of pager) {
+            onCommit(commit);
+        }
+        result = pager.error;
+    }
 
-                seenCommits.add(sha);
-                // console.info(`Scanning commit -> ${commitCounter}`);
-                commitCounter += 1;
+    if (result) {
+        if (result.message === 'Git Repository is empty.' || result.message === 'No commit found') {
+            console.info(ColorUtils.yellow(`Repository ${repoName} is empty - skipping`));
+            return emailsToName;
+        }
 
-                if (!commit.author) {
-                    continue;
-                }
-                const user = commit.author.login;
-                if (user.toLowerCase() === username.toLowerCase()) {
-                    const { author, committer } = commit.commit;
-                    const authorName = author.name;
-                    const authorEmail = author.email;
-                    const committerName = committer.name;
-                    const committerEmail = committer.email;
-                    if (authorEmail) {
-                        if (!emailsToName.has(authorEmail)) {
-                            emailsToName.set(authorEmail, new Set());
-                        }
-                        emailsToName.get(authorEmail).add(authorName);
-                    }
-                    if (committerEmail) {
-                        if (!emailsToName.has(committerEmail)) {
-                            emailsToName.set(committerEmail, new Set());
-                        }
-                        emailsToName.get(committerEmail).add(committerName);
-                    }
-                }
-            }
-        } else {
-            // If result is not an array, we can't process it
-            break;
+        if (result.message && result.message.includes('API rate limit exceeded for ')) {
+            console.warn('API rate limit exceeded');
+            reportIncomplete(options, repoName, result);
+            return emailsToName;
         }
 
-        if (continueLoop && Array.isArray(result) && result.length === 100) {
-            pageCounter += 1;
-        } else {
-            break;
+        if (result.message === 'Not Found') {
+            console.warn(`Repository Not Found: "${repoName}"`);
+            return emailsToName;
         }
+
+        // If there's any other error, return what we have
+        console.warn(ColorUtils.yellow(`Error fetching commits for ${repoName}: ${result.message || 'Unknown error'}`));
+        reportIncomplete(options, repoName, result);
     }
 
     return emailsToName;
 };
 
+// Fetch one commit with its diff and run the secret rules over it; returns findings or an error object.
+// The diff bypasses the response cache so the unredacted secrets are never written to disk.
+const getCommitSecrets = async (owner, repoName, sha, options = {}) => {
+    const commit = await ApiUtils.call(`${getApiUrl()}/repos/${owner}/${repoName}/commits/${sha}`, { cache: false });
+    if (!commit || commit.error || !commit.sha) {
+        return { error: true, message: (commit && commit.message) || 'Unknown error' };
+    }
+    return SecretScanner.scanCommit(commit, repoName, options);
+};
+
 class GitHubApi {
     static getRepositories = getRepositories;
     static getEmails = getEmails;
+    static addCommitEmails = addCommitEmails;
+    static recordCommitDates = recordCommitDates;
+    static getRepoCommits = getRepoCommits;
+    static getRepoRefs = getRepoRefs;
+    static walkRepoRefs = walkRepoRefs;
+    static getCommitSecrets = getCommitSecrets;
     static parallelRequests = parallelRequests;
 
     // User profile methods
     static async getUserProfile(username) {
-        return await ApiUtils.call(`${API_URL}/users/${username}`);
+        return await ApiUtils.call(`${getApiUrl()}/users/${username}`);
     }
 
     static async getUserOrganizations(username) {
-        return await ApiUtils.call(`${API_URL}/users/${username}/orgs`);
+        return await ApiUtils.call(`${getApiUrl()}/users/${username}/orgs`);
+    }
+
+    // Social accounts linked on the profile: [{ provider, url }]
+    static async getUserSocialAccounts(username) {
+        return await ApiUtils.call(`${getApiUrl()}/users/${username}/social_accounts`);
     }
 
     static async getUserKeys(username) {
-        return await ApiUtils.call(`${API_URL}/users/${username}/keys`);
+        return await ApiUtils.call(`${getApiUrl()}/users/${username}/keys`);
+    }
+
+    static async getUserGpgKeys(username) {
+        return await ApiUtils.call(`${getApiUrl()}/users/${username}/gpg_keys`);
     }
 
     static async getRateLimit() {
-        return await ApiUtils.call(`${API_URL}/rate_limit`);
+        return await ApiUtils.call(`${getApiUrl()}/rate_limit`);
     }
 
     // Gist methods for additional email discovery
     static async getUserGists(username) {
-        const gists = [];
-        let page = 1;
-
-        while (true) {
-            const url = `${API_URL}/users/${username}/gists?per_page=100&page=${page}`;
-            const result = await ApiUtils.call(url);
-
-            if (!Array.isArray(result) || result.length === 0) break;
-
-            gists.push(...result);
-            if (result.length < 100) break;
-            page++;
-        }
-
-        return gists;
+        const gists = await Paginator.collect(`${getApiUrl()}/users/${username}/gists?per_page=100`);
+        return Array.isArray(gists) ? gists : [];
     }
 
-    // Get emails from gist commits
-    static async getGistEmails(gistId) {
-        const emailsToName = new Map();
-        const url = `${API_URL}/gists/${gistId}/commits`;
-        const result = await ApiUtils.call(url);
-
-        if (!Array.isArray(result)) return emailsToName;
-
-        for (const commit of result) {
-            if (commit.user && commit.change_status) {
-                const user = commit.user;
-                // Gist commits don't expose email directly, but we can get user info
-                if (user.email) {
-                    if (!emailsToName.has(user.email)) {
-                        emailsToName.set(user.email, new Set());
-                    }
-                    emailsToName.get(user.email).add(user.login || user.name || 'Unknown');
-                }
-            }
-        }
-
-        return emailsToName;
-    }
-
-    // Get repository contributors with their emails
+    // Get repository contributors with their emails, or the error object of a failed listing
     static async getRepoContributors(owner, repo, options = {}) {
         const { includeAnonymous = true } = options;
-        const contributors = [];
-        let page = 1;
-
-        while (true) {
-            const url = `${API_URL}/repos/${owner}/${repo}/contributors?per_page=100&page=${page}&anon=${includeAnonymous ? '1' : '0'}`;
-            const result = await ApiUtils.call(url);
-
-            if (!Array.isArray(result) || result.length === 0) break;
-
-            contributors.push(...result);
-            if (result.length < 100) break;
-            page++;
-        }
-
-        return contributors;
+        const url = `${getApiUrl()}/repos/${owner}/${repo}/contributors?per_page=100&anon=${includeAnonymous ? '1' : '0'}`;
+        return await Paginator.collect(url);
     }
 
     // Get all emails from all contributors in a repo
@@ -253,6 +296,9 @@ class GitHubApi {
 
         // Get contributors including anonymous
         const contributors = await this.getRepoContributors(owner, repo, { includeAnonymous: true });
+        if (contributors.error) {
+            return emailsToName;
+        }
 
         for (const contributor of contributors) {
             // Anonymous contributors have email and name directly
@@ -267,21 +313,120 @@ class GitHubApi {
         return emailsToName;
     }
 
-    // Get events for additional intelligence
-    static async getUserEvents(username, options = {}) {
-        const { maxPages = 3 } = options;
-        const events = [];
+    // Add one repository's contributor list to a ranking keyed by login, or by email for anonymous contributors
+    static recordContributors(ranking, repository, contributors) {
+        for (const contributor of contributors) {
+            const anonymous = contributor.type === 'Anonymous';
+            if (anonymous ? !contributor.email : !contributor.login) continue;
+
+            const key = anonymous ? `email:${contributor.email.toLowerCase()}` : `login:${contributor.login}`;
+            if (!ranking.has(key)) {
+                ranking.set(key, {
+                    login: anonymous ? null : contributor.login,
+                    email: anonymous ? contributor.email : null,
+                    name: anonymous ? contributor.name || null : null,
+                    type: contributor.type,
+                    contributions: 0,
+                    repositories: []
+                });
+            }
 
-        for (let page = 1; page <= maxPages; page++) {
-            const url = `${API_URL}/users/${username}/events/public?per_page=100&page=${page}`;
-            const result = await ApiUtils.call(url);
+            const entry = ranking.get(key);
+            entry.contributions += contributor.contributions || 0;
+            entry.repositories.push({ repository, contributions: contributor.contributions || 0 });
+        }
+    }
 
-            if (!Array.isArray(result) || result.length === 0) break;
-            events.push(...result);
-            if (result.length < 100) break;
+    // Contributors with the most commits across all recorded repositories first
+    static rankContributors(ranking) {
+        return Array.from(ranking.values()).sort((a, b) => b.contributions - a.contributions);
+    }
+
+    // Annotated tags and published releases of a repository: { tags: [{ tag, tagger }], releases: [{ tag, name, author, ... }] }.
+    // The /tags listing only carries the peeled commit, so annotated tags are found through the git refs and their
+    // tagger read from the tag object; tags behind a release are resolved first, up to maxTags tag objects per repository.
+    static async getTagIdentities(owner, repo, options = {}) {
+        const { maxTags = 20 } = options;
+        const [refs, releases] = await Promise.all([
+            Paginator.collect(`${getApiUrl()}/repos/${owner}/${repo}/git/matching-refs/tags?per_page=100`),
+            Paginator.collect(`${getApiUrl()}/repos/${owner}/${repo}/releases?per_page=100`)
+        ]);
+
+        if (!Array.isArray(refs)) {
+            return refs;
         }
 
-        return events;
+        const published = (Array.isArray(releases) ? releases : []).filter(release => !release.draft).map(release => ({
+            tag: release.tag_name,
+            name: release.name || null,
+            author: release.author ? release.author.login : null,
+            author_type: release.author ? release.author.type : null,
+            published_at: release.published_at || null
+        }));
+
+        const annotated = refs
+            .filter(ref => ref.object && ref.object.type === 'tag')
+            .map(ref => ({ tag: ref.ref.replace(/^refs\/tags\//, ''), sha: ref.object.sha }));
+        const released = new Set(published.map(release => release.tag));
+        // Refs come back in name order; reversed, the latest version tags usually come first
+        const toResolve = [
+            ...published.map(release => annotated.find(ref => ref.tag === release.tag)).filter(Boolean),
+            ...annotated.filter(ref => !released.has(ref.tag)).reverse()
+        ].slice(0, maxTags);
+
+        const tags = [];
+        for (const ref of toResolve) {
+            const tagObject = await ApiUtils.call(`${getApiUrl()}/repos/${owner}/${repo}/git/tags/${ref.sha}`);
+            if (tagObject.error) {
+                if (tagObject.budget_exhausted) break;
+                continue;
+            }
+            tags.push({ tag: ref.tag, tagger: tagObject.tagger || null });
+        }
+
+        return { tags, releases: published };
+    }
+
+    // Flatten getTagIdentities() output into one entry per annotated tag or release, joined on the tag name
+    static recordTagIdentities(entries, repository, tagIdentities) {
+        const releases = new Map(tagIdentities.releases.map(release => [release.tag, release]));
+        const tagged = new Set();
+
+        tagIdentities.tags.forEach(({ tag, tagger }) => {
+            const release = releases.get(tag);
+            tagged.add(tag);
+            entries.push({
+                repository,
+                tag,
+                tagger_name: tagger ? tagger.name || null : null,
+                tagger_email: tagger ? tagger.email || null : null,
+                tagged_at: tagger ? tagger.date || null : null,
+                release: release ? release.name || tag : null,
+                release_author: release ? release.author : null,
+                release_author_type: release ? release.author_type : null
+            });
+        });
+
+        // Releases of lightweight (or unresolved) tags still name their author
+        tagIdentities.releases.filter(release => !tagged.has(release.tag)).forEach(release => {
+            entries.push({
+                repository,
+                tag: release.tag,
+                tagger_name: null,
+                tagger_email: null,
+                tagged_at: null,
+                release: release.name || release.tag,
+                release_author: release.author,
+                release_author_type: release.author_type
+            });
+        });
+    }
+
+    // Get events for additional intelligence
+    static async getUserEvents(username, options = {}) {
+        const { maxPages = 3 } = options;
+        const events = await Paginator.collect(`${getApiUrl()}/users/${username}/events/public?per_page=100`, { maxPages });
+        return Array.isArray(events) ? events : [];
     }
 
     // Extract emails from push events
@@ -309,76 +454,51 @@ class GitHubApi {
 
     // Batch fetch multiple user profiles in parallel
     static async batchGetUserProfiles(usernames, options = {}) {
-        const { concurrency = 5 } = options;
-        const urls = usernames.map(u => `${API_URL}/users/${u}`);
-        return await parallelRequests(urls, { concurrency });
+        const urls = usernames.map(u => `${getApiUrl()}/users/${u}`);
+        return await parallelRequests(urls, options);
     }
 
     // Get repository details with more metadata
-    static async getRepositoriesDetailed(username, options = {}) {
-        const { includeLanguages = false } = options;
-        const repos = [];
-        let page = 1;
-
-        while (true) {
-            const url = `${API_URL}/users/${username}/repos?per_page=100&page=${page}&sort=pushed&direction=desc`;
-            const result = await ApiUtils.call(url);
-
-            if (!Array.isArray(result) || result.length === 0) break;
-
-            // Add full repo data instead of just name/fork
-            repos.push(...result.map(repo => ({
-                name: repo.name,
-                full_name: repo.full_name,
-                fork: repo.fork,
-                archived: repo.archived,
-                disabled: repo.disabled,
-                pushed_at: repo.pushed_at,
-                created_at: repo.created_at,
-                updated_at: repo.updated_at,
-                stargazers_count: repo.stargazers_count,
-                watchers_count: repo.watchers_count,
-                forks_count: repo.forks_count,
-                open_issues_count: repo.open_issues_count,
-                language: repo.language,
-                default_branch: repo.default_branch,
-                description: repo.description,
-                has_issues: repo.has_issues,
-                size: repo.size
-            })));
-
-            if (result.length < 100) break;
-            page++;
-        }
-
-        return repos;
+    static async getRepositoriesDetailed(username) {
+        const url = `${getApiUrl()}/users/${username}/repos?per_page=100&sort=pushed&direction=desc`;
+        const result = await Paginator.collect(url);
+        if (!Array.isArray(result)) return [];
+
+        // Add full repo data instead of just name/fork
+        return result.map(repo => ({
+            name: repo.name,
+            full_name: repo.full_name,
+            fork: repo.fork,
+            archived: repo.archived,
+            disabled: repo.disabled,
+            pushed_at: repo.pushed_at,
+            created_at: repo.created_at,
+            updated_at: repo.updated_at,
+            stargazers_count: repo.stargazers_count,
+            watchers_count: repo.watchers_count,
+            forks_count: repo.forks_count,
+            open_issues_count: repo.open_issues_count,
+            language: repo.language,
+            default_branch: repo.default_branch,
+            description: repo.description,
+            has_issues: repo.has_issues,
+            size: repo.size
+        }));
     }
 
     // Search commits across all GitHub (requires auth for best results)
     static async searchCommits(query, options = {}) {
         const { maxResults = 100 } = options;
-        const url = `${API_URL}/search/commits?q=${encodeURIComponent(query)}&per_page=${Math.min(maxResults, 100)}`;
-        const result = await ApiUtils.call(url);
-
-        if (result.error || !result.items) return [];
-        return result.items;
+        const url = `${getApiUrl()}/search/commits?q=${encodeURIComponent(query)}&per_page=${Math.min(maxResults, 100)}`;
+        const items = await Paginator.collect(url, { maxItems: maxResults, select: (data) => data.items });
+        return Array.isArray(items) ? items : [];
     }
 
     // Get starred repos (can reveal interests/affiliations)
     static async getUserStarred(username, options = {}) {
         const { maxPages = 2 } = options;
-        const starred = [];
-
-        for (let page = 1; page <= maxPages; page++) {
-            const url = `${API_URL}/users/${username}/starred?per_page=100&page=${page}`;
-            const result = await ApiUtils.call(url);
-
-            if (!Array.isArray(result) || result.length === 0) break;
-            starred.push(...result);
-            if (result.length < 100) break;
-        }
-
-        return starred;
+        const starred = await Paginator.collect(`${getApiUrl()}/users/${username}/starred?per_page=100`, { maxPages });
+        return Array.isArray(starred) ? starred : [];
     }
 
     // Get followers/following for network analysis
@@ -386,36 +506,33 @@ class GitHubApi {
         const { maxFollowers = 100, maxFollowing = 100 } = options;
 
         const [followers, following] = await Promise.all([
-            ApiUtils.call(`${API_URL}/users/${username}/followers?per_page=${maxFollowers}`),
-            ApiUtils.call(`${API_URL}/users/${username}/following?per_page=${maxFollowing}`)
+            Paginator.collect(`${getApiUrl()}/users/${username}/followers?per_page=100`, { maxItems: maxFollowers }),
+            Paginator.collect(`${getApiUrl()}/users/${username}/following?per_page=100`, { maxItems: maxFollowing })
         ]);
 
-        return {
-            followers: Array.isArray(followers) ? followers : [],
-            following: Array.isArray(following) ? following : []
-        };
+        // An account whose connections can't be listed is an error, not an account without any
+        if (!Array.isArray(followers)) return followers;
+        if (!Array.isArray(following)) return following;
+        return { followers, following };
     }
 
     // Organization methods
     static async getOrganization(orgName) {
-        return await ApiUtils.call(`${API_URL}/orgs/${orgName}`);
-    }
-
-    static async getOrganizationMembers(orgName) {
-        return await ApiUtils.call(`${API_URL}/orgs/${orgName}/members?per_page=100`);
+        return await ApiUtils.call(`${getApiUrl()}/orgs/${orgName}`);
     }
 
-    static async getOrganizationRepos(orgName) {
-        return await ApiUtils.call(`${API_URL}/orgs/${orgName}/repos?per_page=100`);
+    // options.onIncomplete receives the pager's getIncomplete() when the listing stopped early
+    static async getOrganizationMembers(orgName, options = {}) {
+        return await collectReportingIncomplete(`${getApiUrl()}/orgs/${orgName}/members?per_page=100`, options);
     }
 
-    static async getRepoCommits(orgName, repoName, page = 1) {
-        return await ApiUtils.call(`${API_URL}/repos/${orgName}/${repoName}/commits?per_page=100&page=${page}`);
+    static async getOrganizationRepos(orgName, options = {}) {
+        return await collectReportingIncomplete(`${getApiUrl()}/orgs/${orgName}/repos?per_page=100`, options);
     }
 
     // Get README content (can contain contact info)
     static async getRepoReadme(owner, repo) {
-        const url = `${API_URL}/repos/${owner}/${repo}/readme`;
+        const url = `${getApiUrl()}/repos/${owner}/${repo}/readme`;
         const result = await ApiUtils.call(url);
 
         if (result.error || !result.content) return null;
@@ -0,0 +1,103 @@
+// GitHub discussion mining - emails in issues, pull requests, comments and pull request commits
+
+const GitHubApi = require('./githubApi');
+const ApiUtils = require('../../utils/apiUtils');
+const Paginator = require('../../utils/paginator');
+const { getApiUrl } = require('../../config/constants');
+
+// Matches of the text extractor that are not mailboxes: git@host clone URLs and retina image names (logo@2x.png)
+const NOT_AN_EMAIL = /^git@|\.(png|jpe?g|gif|svg|webp)$/i;
+
+const sameLogin = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Emails in an issue, pull request or comment body, one finding each with the item's permalink
+const textFindings = (repository, kind, item) => {
+    const author = item.user ? item.user.login : null;
+    return GitHubApi.extractEmailsFromText(item.body || '')
+        .filter(email => !NOT_AN_EMAIL.test(email))
+        .map(email => ({ email, name: null, login: null, repository, kind, author, url: item.html_url }));
+};
+
+// Collect a listing; one that stopped early is added to incomplete as { listing, reason, message?, status?, pages, items }
+const collectListing = async (listing, url, maxPages, incomplete) => {
+    const pager = Paginator.create(url, { maxPages });
+    const items = await pager.collect();
+    const stopped = pager.getIncomplete();
+    if (stopped) incomplete.push({ listing, ...stopped });
+    return items;
+};
+
+// Mine one repository. With options.author only that login's issues, pull requests and comments are read,
+// and only identities of their pull request commits that GitHub attributes to them or to no account at all.
+// The comment listings have no author filter, so they are read newest first and filtered here.
+// Returns { findings: [{ email, name, login, repository, kind, author, url }], pull_requests, incomplete }
+// or an error object; incomplete lists the listings cut short by maxPages or a failing page.
+const scanRepository = async (owner, repo, options = {}) => {
+    const { author = null, maxPages = 2, maxPullRequests = 20 } = options;
+    const base = `${getApiUrl()}/repos/${owner}/${repo}`;
+    const creator = author ? `&creator=${encodeURIComponent(author)}` : '';
+    const incomplete = [];
+
+    // The issues listing includes pull requests, whose description is the issue body
+    const [issues, issueComments, reviewComments, commitComments] = await Promise.all([
+        collectListing('issues', `${base}/issues?state=all&per_page=100${creator}`, maxPages, incomplete),
+        collectListing('issue_comments', `${base}/issues/comments?sort=created&direction=desc&per_page=100`, maxPages, incomplete),
+        collectListing('review_comments', `${base}/pulls/comments?sort=created&direction=desc&per_page=100`, maxPages, incomplete),
+        collectListing('commit_comments', `${base}/comments?per_page=100`, maxPages, incomplete)
+    ]);
+
+    const listings = [issues, issueComments, reviewComments, commitComments];
+    if (listings.every(listing => !Array.isArray(listing))) {
+        return issues;
+    }
+
+    const byAuthor = (item) => !author || sameLogin(item.user && item.user.login, author);
+    const items = (listing) => (Array.isArray(listing) ? listing : []).filter(byAuthor);
+    const findings = [];
+
+    items(issues).forEach(issue => findings.push(...textFindings(repo, issue.pull_request ? 'pull_request' : 'issue', issue)));
+    items(issueComments).forEach(comment => findings.push(...textFindings(repo, 'issue_comment', comment)));
+    items(reviewComments).forEach(comment => findings.push(...textFindings(repo, 'review_comment', comment)));
+    items(commitComments).forEach(comment => findings.push(...textFindings(repo, 'commit_comment', comment)));
+
+    // Pull requests opened from forks carry the fork author's commit identity, merged or not
+    const pullRequests = items(issues).filter(issue => issue.pull_request).slice(0, maxPullRequests);
+    for (const pull of pullRequests) {
+        if (ApiUtils.isBudgetExhausted()) break;
+
+        const commits = await collectListing(`pull_request_commits/${pull.number}`, `${base}/pulls/${pull.number}/commits?per_page=100`, 1, incomplete);
+        if (!Array.isArray(commits)) continue;
+
+        const url = pull.pull_request.html_url || pull.html_url;
+        commits.forEach(commit => {
+            const { author: commitAuthor, committer } = commit.commit;
+            const identities = [
+                { identity: commitAuthor, login: commit.author ? commit.author.login : null },
+                { identity: committer, login: commit.committer ? commit.committer.login : null }
+            ];
+            identities.forEach(({ identity, login: identityLogin }, index) => {
+                if (!identity || !identity.email) return;
+                if (author && identityLogin && !sameLogin(identityLogin, author)) return;
+                // Web-flow committers (GitHub merging or squashing in the browser) say nothing about the author
+                if (index === 1 && ((commitAuthor && identity.email === commitAuthor.email) || identity.email === 'noreply@github.com')) return;
+                findings.push({
+                    email: identity.email,
+                    name: identity.name || null,
+                    login: identityLogin,
+                    repository: repo,
+                    kind: 'pr_commit',
+                    author: pull.user ? pull.user.login : null,
+                    url: `${url}/commits/${commit.sha}`
+                });
+            });
+        });
+    }
+
+    return { findings, pull_requests: pullRequests.length, incomplete };
+};
+
+class GitHubDiscussions {
+    static scanRepository = scanRepository;
+}
+
+module.exports = GitHubDiscussions;
@@ -0,0 +1,114 @@
+// GitHub gist scanning - emails and sensitive patterns in gist files, including revisions edited away since
+
+const GitHubApi = require('./githubApi');
+const ApiUtils = require('../../utils/apiUtils');
+const Paginator = require('../../utils/paginator');
+const SmartScanner = require('../../core/smartScanner');
+const SecretScanner = require('../../utils/secretScanner');
+const { getApiUrl } = require('../../config/constants');
+
+const smartScanner = new SmartScanner();
+
+// Emails, secrets and sensitive keywords in one file's content, one finding per line they appear on.
+// Secrets go through the --find-secrets rule pack and are redacted unless showSecrets is set; keyword
+// hits (password, api_key, ...) only say the line deserves a look.
+const scanContent = (content, options = {}) => {
+    const { showSecrets = false } = options;
+    const secrets = SecretScanner.scanText(content);
+    const findings = [];
+    content.split('\n').forEach((text, index) => {
+        GitHubApi.extractEmailsFromText(text).forEach(email => {
+            findings.push({ type: 'email', value: email, line: index + 1 });
+        });
+        secrets.filter(({ line }) => line === index + 1).forEach(({ rule, secret, line }) => {
+            const { match, ...described } = SecretScanner.describeSecret(rule, secret, showSecrets);
+            findings.push({ type: 'secret', value: match, ...described, line });
+        });
+        smartScanner.analyzeCommitMessage(text).forEach(({ pattern, match }) => {
+            findings.push({ type: 'sensitive', value: match, pattern, line: index + 1 });
+        });
+    });
+    return findings;
+};
+
+// Walk a gist's revisions oldest to newest; the API returns file content with every revision, so no raw
+// downloads are needed. Over maxRevisions (at least 2), the original revision and the newest ones are walked
+// and the revisions in between are counted in skipped_revisions. Files over maxFileSize bytes are not scanned.
+// Each finding is attributed to the first revision it appears in, and marked removed when the newest revision
+// no longer contains it.
+// Returns { findings: [{ gist_id, file, revision, committed_at, type, value, line, removed }], revisions, ... };
+// secret findings also carry rule_id, description, redacted and secret_hash.
+const scanGist = async (gistId, options = {}) => {
+    const { maxRevisions = 10, maxFileSize = 100 * 1024, showSecrets = false } = options;
+    const history = await Paginator.collect(`${getApiUrl()}/gists/${gistId}/commits?per_page=100`);
+    if (!Array.isArray(history)) {
+        return history;
+    }
+
+    // History is newest first; what a gist was created with is kept even when the middle of its history is not
+    const revisions = history.length > maxRevisions
+        ? [...history.slice(0, Math.max(maxRevisions, 2) - 1), history[history.length - 1]].reverse()
+        : history.slice().reverse();
+    const newest = revisions[revisions.length - 1];
+    const firstSeen = new Map(); // "file|type|value" -> finding
+    const oversized = new Set();
+    let inNewest = null;
+    let scanned = 0;
+
+    for (const revision of revisions) {
+        // Revision contents bypass the response cache, like commit diffs scanned for secrets
+        const snapshot = await ApiUtils.call(`${getApiUrl()}/gists/${gistId}/${revision.version}`, { cache: false });
+        if (snapshot.error) {
+            if (snapshot.budget_exhausted) break;
+            continue;
+        }
+        scanned++;
+
+        const present = new Set();
+        Object.values(snapshot.files || {}).forEach(file => {
+            if (typeof file.content !== 'string' || file.size > maxFileSize) {
+                oversized.add(file.filename);
+                return;
+            }
+            scanContent(file.content, { showSecrets }).forEach(finding => {
+                // Redacted secrets are told apart by their hash
+                const key = `${file.filename}|${finding.type}|${finding.secret_hash || finding.value.toLowerCase()}`;
+                present.add(key);
+                if (!firstSeen.has(key)) {
+                    firstSeen.set(key, {
+                        gist_id: gistId,
+                        file: file.filename,
+                        revision: revision.version,
+                        committed_at: revision.committed_at || null,
+                        ...finding
+                    });
+                }
+            });
+        });
+
+        if (revision === newest) {
+            inNewest = present;
+        }
+    }
+
+    // Without the newest revision nobody can tell what was removed
+    const findings = Array.from(firstSeen.entries()).map(([key, finding]) => ({
+        ...finding,
+        removed: inNewest ? !inNewest.has(key) : null
+    }));
+
+    return {
+        findings,
+        revisions: history.length,
+        scanned_revisions: scanned,
+        skipped_revisions: history.length - revisions.length,
+        oversized_files: Array.from(oversized)
+    };
+};
+
+class GitHubGists {
+    static scanContent = scanContent;
+    static scanGist = scanGist;
+}
+
+module.exports = GitHubGists;
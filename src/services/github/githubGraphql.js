@@ -0,0 +1,240 @@
+// GitHub GraphQL (v4) backend - many repositories' commit history per request
+
+const ApiUtils = require('../../utils/apiUtils');
+const ColorUtils = require('../../utils/colors');
+const GitHubApi = require('./githubApi');
+const TrailerParser = require('../../utils/trailerParser');
+const { getGraphqlUrl } = require('../../config/constants');
+
+// Repositories per history query; each one pulls up to 100 commits per page
+const REPOS_PER_QUERY = 10;
+
+const REPOSITORY_FIELDS = `
+    name
+    nameWithOwner
+    description
+    isFork
+    isArchived
+    isDisabled
+    pushedAt
+    createdAt
+    updatedAt
+    stargazerCount
+    forkCount
+    hasIssuesEnabled
+    diskUsage
+    primaryLanguage { name }
+    defaultBranchRef { name }
+    watchers { totalCount }
+    issues(states: OPEN) { totalCount }`;
+
+const ACTOR_FIELDS = 'name email date user { login }';
+
+// Run a GraphQL query; returns data, or the usual error object
+const query = async (text, variables = {}) => {
+    const result = await ApiUtils.post(getGraphqlUrl(), { query: text, variables });
+    if (result.error) {
+        return result;
+    }
+
+    // Partial errors (e.g. one missing repository) still come with usable data
+    if (result.errors && result.errors.length > 0 && !result.data) {
+        return { error: true, message: result.errors.map(e => e.message).join('; ') };
+    }
+
+    return result.data || { error: true, message: 'Empty GraphQL response' };
+};
+
+// Convert a repository node to the REST shape used by SmartScanner
+const normalizeRepository = (node) => ({
+    name: node.name,
+    full_name: node.nameWithOwner,
+    fork: node.isFork,
+    archived: node.isArchived,
+    disabled: node.isDisabled,
+    pushed_at: node.pushedAt,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    stargazers_count: node.stargazerCount,
+    watchers_count: node.watchers ? node.watchers.totalCount : 0,
+    forks_count: node.forkCount,
+    open_issues_count: node.issues ? node.issues.totalCount : 0,
+    language: node.primaryLanguage ? node.primaryLanguage.name : null,
+    default_branch: node.defaultBranchRef ? node.defaultBranchRef.name : null,
+    description: node.description,
+    has_issues: node.hasIssuesEnabled,
+    size: node.diskUsage
+});
+
+// Convert a history node to the REST commit shape
+const normalizeCommit = (node) => ({
+    sha: node.oid,
+    commit: {
+        author: { name: node.author.name, email: node.author.email, date: node.author.date },
+        committer: { name: node.committer.name, email: node.committer.email, date: node.committer.date },
+        message: node.message
+    },
+    author: node.author.user ? { login: node.author.user.login } : null,
+    committer: node.committer.user ? { login: node.committer.user.login } : null
+});
+
+// List a user's own repositories with priority metadata
+const getRepositories = async (username) => {
+    const repositories = [];
+    let cursor = null;
+
+    while (true) {
+        const data = await query(`
+            query($login: String!, $cursor: String) {
+                user(login: $login) {
+                    repositories(first: 100, after: $cursor, ownerAffiliations: OWNER,
+                                 orderBy: { field: PUSHED_AT, direction: DESC }) {
+                        pageInfo { hasNextPage endCursor }
+                        nodes {${REPOSITORY_FIELDS}
+                        }
+                    }
+                }
+            }`, { login: username, cursor });
+
+        if (data.error) return data;
+        if (!data.user) return { error: true, message: 'Not Found' };
+
+        const { nodes, pageInfo } = data.user.repositories;
+        repositories.push(...nodes.map(normalizeRepository));
+
+        if (!pageInfo.hasNextPage) break;
+        cursor = pageInfo.endCursor;
+    }
+
+    return repositories;
+};
+
+// Build one query fetching the next history page of several repositories
+const buildHistoryQuery = (states) => {
+    const variables = { owner: states[0].owner };
+    const declarations = ['$owner: String!'];
+    const fields = states.map((state, i) => {
+        declarations.push(`$name${i}: String!`, `$cursor${i}: String`);
+        variables[`name${i}`] = state.name;
+        variables[`cursor${i}`] = state.cursor;
+        return `
+                r${i}: repository(owner: $owner, name: $name${i}) {
+                    defaultBranchRef {
+                        target {
+                            ... on Commit {
+                                history(first: 100, after: $cursor${i}) {
+                                    pageInfo { hasNextPage endCursor }
+                                    nodes { oid message author { ${ACTOR_FIELDS} } committer { ${ACTOR_FIELDS} } }
+                                }
+                            }
+                        }
+                    }
+                }`;
+    });
+
+    return {
+        text: `query(${declarations.join(', ')}) {${fields.join('')}\n            }`,
+        variables
+    };
+};
+
+// Page through repositories together until all histories are exhausted. When a query fails, the repositories
+// still in flight are retried one at a time from their cursors so the pages already harvested are kept;
+// only a repository that fails on its own falls back to REST.
+const harvestStates = async (username, initial, finished) => {
+    let states = initial;
+
+    while (states.length > 0) {
+        const { text, variables } = buildHistoryQuery(states);
+        const data = await query(text, variables);
+
+        if (data.error) {
+            // Retrying alone can't help a single repository or a spent request budget
+            if (states.length === 1 || ApiUtils.isBudgetExhausted()) {
+                console.warn(ColorUtils.yellow(`GraphQL history query failed (${data.message}) - falling back to REST for ${states.map(s => s.name).join(', ')}`));
+                return;
+            }
+            console.warn(ColorUtils.yellow(`GraphQL history query failed (${data.message}) - retrying ${states.map(s => s.name).join(', ')} one at a time`));
+            await Promise.all(states.map(state => harvestStates(username, [state], finished)));
+            return;
+        }
+
+        const pending = [];
+        states.forEach((state, i) => {
+            const repository = data[`r${i}`];
+            if (!repository) {
+                // Not found or not accessible through GraphQL; REST reports the reason
+                return;
+            }
+
+            const target = repository.defaultBranchRef && repository.defaultBranchRef.target;
+            if (!target || !target.history) {
+                // Empty repository
+                finished.set(state.name, state);
+                return;
+            }
+
+            target.history.nodes.forEach(node => {
+                const commit = normalizeCommit(node);
+                if (GitHubApi.addCommitEmails(commit, username, state.emails).length > 0) {
+                    TrailerParser.collect(node.message, node.author.email, state.trailers);
+                    state.commits.push(node.oid);
+                    GitHubApi.recordCommitDates(state.timestamps, commit);
+                }
+            });
+
+            if (target.history.pageInfo.hasNextPage) {
+                state.cursor = target.history.pageInfo.endCursor;
+                pending.push(state);
+            } else {
+                finished.set(state.name, state);
+            }
+        });
+
+        states = pending;
+    }
+};
+
+// Harvest a group of repositories; the result maps each fully walked repository to its state
+const harvestGroup = async (username, names) => {
+    const states = names.map(name => ({ owner: username, name, cursor: null, emails: new Map(), trailers: new Map(), commits: [], timestamps: new Map() }));
+    const finished = new Map();
+    await harvestStates(username, states, finished);
+    return finished;
+};
+
+// Harvest commit emails for many repositories; repos missing from the result need REST.
+// options.trailersByRepo receives each repository's commit trailer identities and
+// options.commitsByRepo the SHAs of the user's commits and options.timestampsByRepo their dates.
+const getEmails = async (username, repoNames, options = {}) => {
+    const { trailersByRepo = null, commitsByRepo = null, timestampsByRepo = null } = options;
+    const groups = [];
+    for (let i = 0; i < repoNames.length; i += REPOS_PER_QUERY) {
+        groups.push(repoNames.slice(i, i + REPOS_PER_QUERY));
+    }
+
+    // Groups run concurrently; the shared request queue enforces --parallel
+    const results = await Promise.all(groups.map(group => harvestGroup(username, group)));
+
+    const emailsByRepo = new Map();
+    results.forEach(finished => {
+        finished.forEach((state, name) => {
+            emailsByRepo.set(name, state.emails);
+            if (trailersByRepo) trailersByRepo.set(name, state.trailers);
+            if (commitsByRepo) commitsByRepo.set(name, state.commits);
+            if (timestampsByRepo) timestampsByRepo.set(name, state.timestamps);
+        });
+    });
+    return emailsByRepo;
+};
+
+class GitHubGraphql {
+    static query = query;
+    static getRepositories = getRepositories;
+    static getEmails = getEmails;
+    static normalizeCommit = normalizeCommit;
+    static buildHistoryQuery = buildHistoryQuery;
+    static normalizeRepository = normalizeRepository;
+}
+
+module.exports = GitHubGraphql;
@@ -0,0 +1,63 @@
+// GitHub manifest mining - author metadata in the known files at the root of a repository
+
+const ApiUtils = require('../../utils/apiUtils');
+const ManifestParser = require('../../utils/manifestParser');
+const { getApiUrl } = require('../../config/constants');
+
+// Bigger files are vendored data or lockfile-sized, not author metadata
+const MAX_FILE_SIZE = 512 * 1024;
+
+// Decoded content of a file through the contents API, or null
+const getFileContent = async (owner, repo, path) => {
+    const file = await ApiUtils.call(`${getApiUrl()}/repos/${owner}/${repo}/contents/${path}`);
+    if (file.error || typeof file.content !== 'string') return null;
+
+    try {
+        return Buffer.from(file.content, 'base64').toString('utf-8');
+    } catch {
+        return null;
+    }
+};
+
+// Known files of a listing: manifests, AUTHORS/CONTRIBUTORS, CODEOWNERS and LICENSE
+const knownFiles = (listing) => listing
+    .filter(entry => entry.type === 'file' && entry.size <= MAX_FILE_SIZE && ManifestParser.detectFormat(entry.name))
+    .map(entry => entry.path);
+
+// Fetch and parse the known files of one repository: the root, plus .github/ where CODEOWNERS usually lives.
+// Returns { authors: [{ email, name, repository, file, field, line? }], files } or an error object.
+const scanRepository = async (owner, repo) => {
+    const listing = await ApiUtils.call(`${getApiUrl()}/repos/${owner}/${repo}/contents`);
+    if (listing.error) {
+        return listing;
+    }
+    if (!Array.isArray(listing)) {
+        return { authors: [], files: [] };
+    }
+
+    const files = knownFiles(listing);
+    if (listing.some(entry => entry.type === 'dir' && entry.name === '.github')) {
+        const github = await ApiUtils.call(`${getApiUrl()}/repos/${owner}/${repo}/contents/.github`);
+        if (Array.isArray(github)) {
+            files.push(...knownFiles(github).filter(path => ManifestParser.detectFormat(path) === 'codeowners'));
+        }
+    }
+
+    const contents = await Promise.all(files.map(path => getFileContent(owner, repo, path)));
+    const authors = files.flatMap((file, index) => ManifestParser.parse(file, contents[index]).map(author => ({
+        email: author.email,
+        name: author.name,
+        repository: repo,
+        file,
+        field: author.field,
+        ...(author.line && { line: author.line })
+    })));
+
+    return { authors, files };
+};
+
+class GitHubManifests {
+    static scanRepository = scanRepository;
+}
+
+module.exports = GitHubManifests;
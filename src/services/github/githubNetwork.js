@@ -0,0 +1,171 @@
+// GitHub social network crawl - breadth-first over followers/following
+
+const GitHubApi = require('./githubApi');
+const ApiUtils = require('../../utils/apiUtils');
+const ColorUtils = require('../../utils/colors');
+const RequestQueue = require('../../core/requestQueue');
+
+// Fan-out for accounts expanded at a given hop; the last limit applies to every deeper hop
+const fanOutAt = (fanOut, hop) => fanOut[Math.min(hop, fanOut.length - 1)];
+
+// Upper bound on API requests for a crawl: every discovered account is assumed new.
+// Expanding an account costs one followers and one following listing (100 per page);
+// harvesting costs a profile, one page of events and the organization list.
+const estimateRequests = ({ depth = 1, fanOut = [100, 20], harvest = false } = {}) => {
+    let accounts = 1;
+    let requests = 0;
+
+    for (let hop = 0; hop < depth; hop++) {
+        const limit = fanOutAt(fanOut, hop);
+        requests += accounts * 2 * Math.ceil(limit / 100);
+        accounts *= 2 * limit;
+        if (harvest) {
+            requests += accounts * 3;
+        }
+    }
+
+    return requests;
+};
+
+// Profile email, push-event emails and organizations of a discovered account
+const harvestAccount = async (login) => {
+    const [profile, events, orgs] = await Promise.all([
+        GitHubApi.getUserProfile(login),
+        GitHubApi.getUserEvents(login, { maxPages: 1 }),
+        GitHubApi.getUserOrganizations(login)
+    ]);
+
+    // An account whose harvest ran into the request budget is left as it was
+    const exhausted = [profile, orgs].find(response => response && response.budget_exhausted);
+    if (exhausted) return exhausted;
+
+    const emails = new Set();
+    if (profile && !profile.error && profile.email) {
+        emails.add(profile.email);
+    }
+    GitHubApi.extractEmailsFromEvents(events).forEach((names, email) => emails.add(email));
+
+    return {
+        name: profile && !profile.error ? profile.name || null : null,
+        emails: Array.from(emails),
+        orgs: Array.isArray(orgs) ? orgs.map(org => org.login) : null
+    };
+};
+
+// Crawl the follow graph around root up to `depth` hops. Returns { nodes, edges, error, ... } where every node is
+// { id, hop, expanded, name, emails, orgs } and every edge { source, target, type: 'follows', mutual };
+// error is { message, status } when the root's own followers/following could not be listed.
+// rootOrgs are the root's organizations, already known from the user scan.
+const crawl = async (root, options = {}) => {
+    const { depth = 1, fanOut = [100, 20], harvest = false, parallel = 3, rootOrgs = null, verbose = false } = options;
+
+    const nodes = new Map();
+    const edges = new Map(); // "source->target" -> edge
+    const rootFollows = { followers: [], following: [] };
+    let truncated = false;
+    let rootError = null;
+
+    const addNode = (login, hop) => {
+        if (!nodes.has(login)) {
+            nodes.set(login, { id: login, hop, expanded: false, name: null, emails: [], orgs: null });
+        }
+        return nodes.get(login);
+    };
+    const addEdge = (source, target) => {
+        const key = `${source}->${target}`;
+        if (!edges.has(key)) {
+            edges.set(key, { source, target, type: 'follows', mutual: false });
+        }
+    };
+
+    addNode(root, 0).orgs = rootOrgs;
+    let frontier = [root];
+
+    for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+        const limit = fanOutAt(fanOut, hop);
+        const next = [];
+
+        const expand = async (login) => {
+            if (ApiUtils.isBudgetExhausted()) {
+                return { skipped: true };
+            }
+            return await GitHubApi.getUserNetwork(login, { maxFollowers: limit, maxFollowing: limit });
+        };
+
+        await RequestQueue.mapOrdered(frontier, expand, (network, login) => {
+            if (network.skipped || network.error) {
+                truncated = truncated || Boolean(network.skipped || network.budget_exhausted);
+                if (network.error && login === root) {
+                    rootError = { message: network.message || 'Unknown error', status: network.status || null };
+                } else if (network.error && verbose) {
+                    console.error(ColorUtils.dim(`Error expanding ${login}: ${network.message}`));
+                }
+                return;
+            }
+
+            nodes.get(login).expanded = true;
+            if (login === root) {
+                Object.assign(rootFollows, network);
+            }
+
+            const discover = (other) => {
+                if (!nodes.has(other)) {
+                    addNode(other, hop + 1);
+                    next.push(other);
+                }
+            };
+            network.followers.forEach(follower => {
+                discover(follower.login);
+                addEdge(follower.login, login);
+            });
+            network.following.forEach(followed => {
+                discover(followed.login);
+                addEdge(login, followed.login);
+            });
+        }, parallel);
+
+        console.log(ColorUtils.dim(`  Hop ${hop + 1}: ${next.length} new accounts`));
+        frontier = next;
+    }
+
+    // Lightweight harvest of every discovered account
+    if (harvest) {
+        const accounts = Array.from(nodes.keys()).filter(login => login !== root);
+        await RequestQueue.mapOrdered(accounts, async (login) => {
+            if (ApiUtils.isBudgetExhausted()) {
+                return { skipped: true };
+            }
+            return await harvestAccount(login);
+        }, (harvested, login) => {
+            if (harvested.skipped || harvested.error) {
+                truncated = truncated || Boolean(harvested.skipped || harvested.budget_exhausted);
+                if (harvested.error && verbose) console.error(ColorUtils.dim(`Error harvesting ${login}: ${harvested.message}`));
+                return;
+            }
+            Object.assign(nodes.get(login), harvested);
+        }, parallel);
+    }
+
+    edges.forEach(edge => {
+        edge.mutual = edges.has(`${edge.target}->${edge.source}`);
+    });
+
+    return {
+        root,
+        depth,
+        fan_out: fanOut,
+        harvested: harvest,
+        truncated,
+        error: rootError,
+        nodes: Array.from(nodes.values()),
+        edges: Array.from(edges.values()),
+        rootFollows
+    };
+};
+
+class GitHubNetwork {
+    static crawl = crawl;
+    static estimateRequests = estimateRequests;
+}
+
+module.exports = GitHubNetwork;
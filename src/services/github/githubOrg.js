@@ -1,12 +1,22 @@
 // GitHub organization reconnaissance
 
 const GitHubApi = require('./githubApi');
+const GitHubDiscussions = require('./githubDiscussions');
+const GitHubManifests = require('./githubManifests');
 const FileUtils = require('../../utils/fileUtils');
+const ApiUtils = require('../../utils/apiUtils');
 const ColorUtils = require('../../utils/colors');
+const RequestQueue = require('../../core/requestQueue');
+const SmartScanner = require('../../core/smartScanner');
+const TrailerParser = require('../../utils/trailerParser');
+const SshKeys = require('../sshKeys');
+const IdentityResolver = require('../../utils/identityResolver');
+const ConsoleFormatter = require('../../formatters/consoleFormatter');
+const { getWebUrl } = require('../../config/constants');
 
 // Function to run GitHub organization reconnaissance - orijinal koddan
 const runGithubOrganizationRecon = async (orgName, options = {}) => {
-    const { downloadAvatarFlag = false, outputFormat = null, verbose = false } = options;
+    const { downloadAvatarFlag = false, outputFormat = null, verbose = false, parallel = 3, allRefs = false, deep = false, scanDiscussions = false, exportNetwork = false, networkFormat = 'graphml' } = options;
     console.info(ColorUtils.green(`Running GitHub reconnaissance on organization "${ColorUtils.yellow(orgName)}"`));
 
     // Create output directory if it doesn't exist
@@ -17,9 +27,19 @@ const runGithubOrganizationRecon = async (orgName, options = {}) => {
         organization: orgName,
         scan_started_at: new Date().toISOString(),
         members: [],
+        member_keys: [],
+        shared_keys: [],
         repositories: [],
+        contributors: [],
+        tag_identities: [],
+        manifest_authors: [],
+        discussions: [],
+        incomplete_discussions: [],
         leaked_emails: [],
-        email_details: []
+        email_details: [],
+        identities: [],
+        incomplete_repositories: [],
+        skipped_phases: []
     };
 
     // Fetch organization info
@@ -41,7 +61,8 @@ const runGithubOrganizationRecon = async (orgName, options = {}) => {
         twitter_username: orgInfo.twitter_username,
         created_at: orgInfo.created_at,
         updated_at: orgInfo.updated_at,
-        avatar_url: orgInfo.avatar_url
+        avatar_url: orgInfo.avatar_url,
+        web_url: orgInfo.html_url || `${getWebUrl('github')}/${orgName}`
     });
 
     // Save initial data
@@ -50,7 +71,13 @@ const runGithubOrganizationRecon = async (orgName, options = {}) => {
     console.log(ColorUtils.green(`Found GitHub organization: ${ColorUtils.yellow(orgInfo.login || orgName)} (${ColorUtils.yellow(orgInfo.name || 'No name')})`));
 
     // Fetch organization members
-    const membersData = await GitHubApi.getOrganizationMembers(orgName);
+    // A listing cut short is recorded, so a partial member or repository list is never mistaken for the full one
+    const recordIncomplete = (field) => (incomplete) => {
+        result[field] = incomplete;
+        result.scan_interrupted = true;
+    };
+
+    const membersData = await GitHubApi.getOrganizationMembers(orgName, { onIncomplete: recordIncomplete('incomplete_members') });
     let members = [];
 
     if (Array.isArray(membersData)) {
@@ -76,8 +103,119 @@ const runGithubOrganizationRecon = async (orgName, options = {}) => {
         console.warn(ColorUtils.yellow(`Error fetching organization members: ${membersData.message || 'Unknown error'}`));
     }
 
+    // Collect emails from repositories and members
+    const allLeakedEmails = [];
+    const emailsToName = new Map();
+    const emailsToRepo = new Map();
+    const emailSources = new Map(); // commit, trailer:*, contributors, manifest, tag, release, discussion, pr_commit
+    const emailsToMember = new Map();
+    const emailsToRefs = new Map(); // "repo@ref" entries with --all-refs
+    const trailerIdentities = new Map(); // Co-authored-by/Signed-off-by/... identities
+
+    // Record an email seen in a repository of this organization, and the kind of data it came from
+    const addEmail = (email, name, login, repoName, source, ref = null) => {
+        let isNew = false;
+        if (!emailsToName.has(email)) {
+            emailsToName.set(email, new Set());
+            isNew = true;
+        }
+        emailsToName.get(email).add(name || "Unknown");
+
+        // Map email to GitHub username if available
+        if (login) {
+            emailsToMember.set(email, login);
+        }
+
+        // Track the repository where this email was found
+        if (!emailsToRepo.has(email)) {
+            emailsToRepo.set(email, new Set());
+            allLeakedEmails.push(email);
+        }
+        emailsToRepo.get(email).add(repoName);
+
+        if (!emailSources.has(email)) {
+            emailSources.set(email, new Set());
+        }
+        emailSources.get(email).add(source);
+
+        if (ref) {
+            if (!emailsToRefs.has(email)) {
+                emailsToRefs.set(email, new Set());
+            }
+            emailsToRefs.get(email).add(`${repoName}@${ref}`);
+        }
+        return isNew;
+    };
+
+    const updateEmailDetails = () => {
+        result.leaked_emails = allLeakedEmails;
+        result.email_details = Array.from(emailsToName.entries()).map(([email, namesSet]) => ({
+            email,
+            names: Array.from(namesSet),
+            sources: Array.from(emailSources.get(email) || []),
+            repositories: Array.from(emailsToRepo.get(email) || []),
+            github_username: emailsToMember.get(email) || null,
+            ...(allRefs && { refs: Array.from(emailsToRefs.get(email) || []) }),
+            ...TrailerParser.describe(trailerIdentities, email)
+        }));
+    };
+
+    // Fetch a phase's items concurrently while the request budget lasts; results are merged in item order.
+    // Failed items are reported in verbose mode, and items left unfetched mark the phase as skipped.
+    const runBudgetedPhase = async (phase, items, fetch, onResult, describe = item => item.name) => {
+        let skipped = 0;
+        const fetchWithinBudget = async (item) => (ApiUtils.isBudgetExhausted() ? { skipped: true } : await fetch(item));
+
+        await RequestQueue.mapOrdered(items, fetchWithinBudget, (fetched, item) => {
+            if (fetched.skipped) {
+                skipped++;
+            } else if (fetched.error) {
+                if (verbose) console.error(ColorUtils.dim(`Error fetching ${phase} of ${describe(item)}: ${fetched.message}`));
+            } else {
+                onResult(fetched, item);
+            }
+        }, parallel);
+
+        if (skipped > 0) {
+            console.warn(ColorUtils.yellow(`Request budget exhausted - ${phase} of ${skipped} of ${items.length} items were not fetched`));
+            ApiUtils.skipPhase(result, phase);
+        }
+        updateEmailDetails();
+        FileUtils.saveRealTime(result, orgName, 'github_org', outputDir);
+        return skipped;
+    };
+
+    // Deep scans fetch and fingerprint every member's SSH keys; a key shared between accounts is a strong identity link
+    if (deep && members.length > 0) {
+        const memberKeys = [];
+
+        await runBudgetedPhase('member_keys', members, member => GitHubApi.getUserKeys(member.login), (keys, member) => {
+            if (Array.isArray(keys) && keys.length > 0) {
+                memberKeys.push({ login: member.login, keys: SshKeys.analyzeKeys(keys.map(key => ({ id: key.id, key: key.key }))) });
+            }
+        }, member => member.login);
+
+        result.member_keys = SshKeys.correlate('github', memberKeys);
+
+        // One entry per fingerprint, listing every account known to use it
+        const shared = new Map();
+        result.member_keys.forEach(({ login, keys }) => keys.filter(key => key.also_used_by.length > 0).forEach(key => {
+            if (!shared.has(key.fingerprint_sha256)) {
+                shared.set(key.fingerprint_sha256, { fingerprint_sha256: key.fingerprint_sha256, type: key.type, used_by: new Set() });
+            }
+            const entry = shared.get(key.fingerprint_sha256);
+            entry.used_by.add(`github:${login}`);
+            key.also_used_by.forEach(owner => entry.used_by.add(`${owner.site}:${owner.login}`));
+        }));
+        result.shared_keys = Array.from(shared.values()).map(entry => ({ ...entry, used_by: Array.from(entry.used_by) }));
+
+        const keyCount = result.member_keys.reduce((total, entry) => total + entry.keys.length, 0);
+        console.log(ColorUtils.green(`Found ${ColorUtils.yellow(keyCount)} public SSH keys across ${ColorUtils.yellow(result.member_keys.length)} members`));
+        FileUtils.saveRealTime(result, orgName, 'github_org', outputDir);
+    }
+
     // Fetch organization repositories
-    const reposData = await GitHubApi.getOrganizationRepos(orgName);
+    const reposData = await GitHubApi.getOrganizationRepos(orgName, { onIncomplete: recordIncomplete('incomplete_repos') });
     let repos = [];
 
     if (Array.isArray(reposData)) {
@@ -109,160 +247,187 @@ const runGithubOrganizationRecon = async (orgName, options = {}) => {
         console.warn(ColorUtils.yellow(`Error fetching organization repositories: ${reposData.message || 'Unknown error'}`));
     }
 
-    // Collect emails from repositories and members
-    const allLeakedEmails = [];
-    const emailsToName = new Map();
-    const emailsToRepo = new Map();
-    const emailsToMember = new Map();
-
     // Only scan a subset of repos to avoid rate limiting
     const reposToScan = repos.slice(0, 10);
     const totalRepos = reposToScan.length;
 
-    if (totalRepos > 0) {
-        console.log(ColorUtils.green(`Scanning ${ColorUtils.yellow(totalRepos)} repositories for leaked emails`));
+    // Fetch every commit page of a repository; runs concurrently with other repos
+    const fetchRepoCommits = async (repo) => {
+        if (ApiUtils.isBudgetExhausted()) {
+            return { skipped: true };
+        }
 
-        for (let i = 0; i < totalRepos; i++) {
-            const repo = reposToScan[i];
-            process.stdout.write(ColorUtils.green(`Scanning repository ${ColorUtils.yellow(`${i + 1}/${totalRepos}`)}: ${ColorUtils.cyan(repo.name)}...`));
-
-            try {
-                // Scan commits in this repository
-                let commitPageCounter = 1;
-                let seenCommits = new Set();
-                let newEmailsFound = false;
-
-                while (true) {
-                    let continueCommitLoop = true;
-                    const commitsResult = await GitHubApi.getRepoCommits(orgName, repo.name, commitPageCounter);
-
-                    // Handle empty repositories and API errors
-                    if ('message' in commitsResult) {
-                        if (commitsResult.message === 'Git Repository is empty.' || commitsResult.message === 'No commit found') {
-                            process.stdout.write('\r' + ' '.repeat(100) + '\r'); // Clear the line
-                            console.log(ColorUtils.yellow(`Repository ${ColorUtils.cyan(repo.name)} is empty - skipping`));
-                            break; // Skip this repo
-                        }
-                        
-                        if (commitsResult.message.includes('API rate limit exceeded for ')) {
-                            process.stdout.write('\r' + ' '.repeat(100) + '\r'); // Clear the line
-                            console.error(ColorUtils.red('API rate limit exceeded - saving current results'));
-                            
-                            // Save current results before exiting
-                            const emailDetails = Array.from(emailsToName.entries()).map(([email, namesSet]) => ({
-                                email,
-                                names: Array.from(namesSet),
-                                sources: Array.from(emailsToRepo.get(email) || []),
-                                github_username: emailsToMember.get(email) || null
-                            }));
-                            
-                            result.leaked_emails = allLeakedEmails;
-                            result.email_details = emailDetails;
-                            result.last_updated = new Date().toISOString();
-                            result.scan_interrupted = true;
-                            result.scan_progress = `${i + 1}/${totalRepos} repositories scanned`;
-                            
-                            FileUtils.saveRealTime(result, orgName, 'github_org', outputDir);
-                            break; // Exit scanning loop
-                        }
-                        
-                        process.stdout.write('\r' + ' '.repeat(100) + '\r'); // Clear the line
-                        console.warn(ColorUtils.yellow(`Error for repository ${ColorUtils.cyan(repo.name)}: ${commitsResult.message}`));
-                        break; // Skip to next repo
-                    }
-
-                    if (!Array.isArray(commitsResult)) {
-                        break;
-                    }
-
-                    for (const commit of commitsResult) {
-                        if (!commit || !commit.sha) continue;
-
-                        const sha = commit.sha;
-                        if (seenCommits.has(sha)) {
-                            continueCommitLoop = false;
-                            break;
-                        }
-
-                        seenCommits.add(sha);
-
-                        if (!commit.commit) continue;
-
-                        const { author, committer } = commit.commit;
-
-                        if (author && author.email) {
-                            if (!emailsToName.has(author.email)) {
-                                emailsToName.set(author.email, new Set());
-                                newEmailsFound = true;
-                            }
-                            emailsToName.get(author.email).add(author.name || "Unknown");
-
-                            // Map email to GitHub username if available
-                            if (commit.author && commit.author.login) {
-                                emailsToMember.set(author.email, commit.author.login);
-                            }
-
-                            // Track the repository where this email was found
-                            if (!emailsToRepo.has(author.email)) {
-                                emailsToRepo.set(author.email, new Set());
-                                allLeakedEmails.push(author.email);
-                            }
-                            emailsToRepo.get(author.email).add(repo.name);
-                        }
-
-                        if (committer && committer.email && committer.email !== author.email) {
-                            if (!emailsToName.has(committer.email)) {
-                                emailsToName.set(committer.email, new Set());
-                                newEmailsFound = true;
-                            }
-                            emailsToName.get(committer.email).add(committer.name || "Unknown");
-
-                            // Map email to GitHub username if available
-                            if (commit.committer && commit.committer.login) {
-                                emailsToMember.set(committer.email, commit.committer.login);
-                            }
-
-                            // Track the repository where this email was found
-                            if (!emailsToRepo.has(committer.email)) {
-                                emailsToRepo.set(committer.email, new Set());
-                                allLeakedEmails.push(committer.email);
-                            }
-                            emailsToRepo.get(committer.email).add(repo.name);
-                        }
-                    }
-
-                    if (continueCommitLoop && commitsResult.length === 100) {
-                        commitPageCounter += 1;
-                    } else {
-                        break;
-                    }
-                }
+        const commits = [];
+        let failure = null;
 
-                process.stdout.write('\r' + ' '.repeat(100) + '\r'); // Clear the line
-                
-                // If new emails were found in this repo, update and save
-                if (newEmailsFound) {
-                    // Prepare email details for real-time saving
-                    const emailDetails = Array.from(emailsToName.entries()).map(([email, namesSet]) => ({
-                        email,
-                        names: Array.from(namesSet),
-                        sources: Array.from(emailsToRepo.get(email) || []),
-                        github_username: emailsToMember.get(email) || null
-                    }));
-                    
-                    result.leaked_emails = allLeakedEmails;
-                    result.email_details = emailDetails;
-                    result.scan_progress = `${i + 1}/${totalRepos} repositories scanned`;
-                    
-                    FileUtils.saveRealTime(result, orgName, 'github_org', outputDir);
+        if (allRefs) {
+            // Every branch and tag; each commit remembers the first ref it was reached from
+            const walk = await GitHubApi.walkRepoRefs(orgName, repo.name, (commit, ref) => {
+                commits.push({ ...commit, ref });
+            });
+            failure = walk.error ? walk : null;
+        } else {
+            const pager = GitHubApi.getRepoCommits(orgName, repo.name);
+            for await (const commit of pager) {
+                if (commit && commit.sha) {
+                    commits.push(commit);
                 }
-                
-                console.log(ColorUtils.green(`Scanned repository ${ColorUtils.yellow(`${i + 1}/${totalRepos}`)}: ${ColorUtils.cyan(repo.name)} - Found ${ColorUtils.yellow(Array.from(emailsToRepo.keys()).filter(email => emailsToRepo.get(email).has(repo.name)).length)} emails`));
+            }
+            failure = pager.error;
+        }
+
+        // Handle empty repositories and API errors
+        if (failure && (failure.message === 'Git Repository is empty.' || failure.message === 'No commit found')) {
+            return { commits, empty: true };
+        }
+        return failure ? { commits, failure } : { commits };
+    };
+
+    // Merge a repository's commits; called in repository order
+    let skippedRepos = 0;
+    const mergeRepoCommits = (scan, repo, i) => {
+        if (scan.skipped) {
+            skippedRepos++;
+            return;
+        }
 
-            } catch (error) {
-                process.stdout.write('\r' + ' '.repeat(100) + '\r'); // Clear the line
-                console.error(ColorUtils.red(`Error scanning ${repo.name}: ${error.message}`));
+        if (scan.error) {
+            console.error(ColorUtils.red(`Error scanning ${repo.name}: ${scan.message}`));
+            return;
+        }
+
+        if (scan.empty) {
+            console.log(ColorUtils.yellow(`Repository ${ColorUtils.cyan(repo.name)} is empty - skipping`));
+            return;
+        }
+
+        let newEmailsFound = false;
+        for (const commit of scan.commits) {
+            if (!commit.commit) continue;
+
+            const { author, committer } = commit.commit;
+
+            if (author && author.email) {
+                const login = commit.author && commit.author.login;
+                newEmailsFound = addEmail(author.email, author.name, login, repo.name, 'commit', commit.ref) || newEmailsFound;
+            }
+
+            if (committer && committer.email && (!author || committer.email !== author.email)) {
+                const login = commit.committer && commit.committer.login;
+                newEmailsFound = addEmail(committer.email, committer.name, login, repo.name, 'commit', commit.ref) || newEmailsFound;
             }
+
+            const trailers = TrailerParser.collect(commit.commit.message, author && author.email, trailerIdentities);
+            trailers.forEach(({ email, name, source }) => {
+                newEmailsFound = addEmail(email, name, null, repo.name, source, commit.ref) || newEmailsFound;
+            });
+        }
+
+        if (scan.failure) {
+            result.incomplete_repositories.push(ApiUtils.toIncompleteEntry(repo.name, scan.failure));
+
+            if (scan.failure.message.includes('API rate limit exceeded for ')) {
+                console.error(ColorUtils.red(`API rate limit exceeded while scanning ${repo.name} - saving current results`));
+                result.scan_interrupted = true;
+            } else {
+                console.warn(ColorUtils.yellow(`Error for repository ${ColorUtils.cyan(repo.name)}: ${scan.failure.message}`));
+            }
+        }
+
+        // If new emails were found in this repo, update and save
+        if (newEmailsFound || scan.failure) {
+            updateEmailDetails();
+            result.last_updated = new Date().toISOString();
+            result.scan_progress = `${i + 1}/${totalRepos} repositories scanned`;
+
+            FileUtils.saveRealTime(result, orgName, 'github_org', outputDir);
+        }
+
+        console.log(ColorUtils.green(`Scanned repository ${ColorUtils.yellow(`${i + 1}/${totalRepos}`)}: ${ColorUtils.cyan(repo.name)} - Found ${ColorUtils.yellow(Array.from(emailsToRepo.keys()).filter(email => emailsToRepo.get(email).has(repo.name)).length)} emails`));
+    };
+
+    if (totalRepos > 0) {
+        console.log(ColorUtils.green(`Scanning ${ColorUtils.yellow(totalRepos)} repositories for leaked emails`));
+
+        // Repositories are fetched concurrently but merged in order, so output is deterministic
+        await RequestQueue.mapOrdered(reposToScan, fetchRepoCommits, mergeRepoCommits, parallel);
+    }
+
+    // Repositories left unscanned by the --max-requests budget
+    if (skippedRepos > 0) {
+        console.warn(ColorUtils.yellow(`Request budget exhausted - ${skippedRepos} of ${totalRepos} repositories were not scanned`));
+        ApiUtils.skipPhase(result, 'repos');
+        result.repos_skipped = skippedRepos;
+        updateEmailDetails();
+        FileUtils.saveRealTime(result, orgName, 'github_org', outputDir);
+    }
+
+    // Deep scan: contributor lists of the scanned repositories, including anonymous contributors' emails
+    if (deep && totalRepos > 0) {
+        console.log(ColorUtils.cyan('Deep scan: Checking repository contributors...'));
+        const ranking = new Map();
+
+        const fetchContributors = repo => GitHubApi.getRepoContributors(orgName, repo.name, { includeAnonymous: true });
+        await runBudgetedPhase('contributors', reposToScan, fetchContributors, (contributors, repo) => {
+            GitHubApi.recordContributors(ranking, repo.name, contributors);
+            contributors.filter(contributor => contributor.type === 'Anonymous' && contributor.email).forEach(({ email, name }) => {
+                addEmail(email, name || 'Anonymous', null, repo.name, 'contributors');
+            });
+        });
+
+        result.contributors = GitHubApi.rankContributors(ranking);
+        console.log(ColorUtils.green(`Found ${ColorUtils.yellow(result.contributors.length)} contributors`));
+        FileUtils.saveRealTime(result, orgName, 'github_org', outputDir);
+    }
+
+    // Deep scan: author fields of package manifests, AUTHORS, CODEOWNERS and LICENSE files
+    if (deep && totalRepos > 0) {
+        console.log(ColorUtils.cyan('Deep scan: Checking manifests and metadata files...'));
+
+        await runBudgetedPhase('manifests', reposToScan, repo => GitHubManifests.scanRepository(orgName, repo.name), (manifests, repo) => {
+            manifests.authors.forEach(author => {
+                result.manifest_authors.push(author);
+                addEmail(author.email, author.name || 'Manifest', null, repo.name, 'manifest');
+            });
+        });
+
+        console.log(ColorUtils.green(`Found ${ColorUtils.yellow(result.manifest_authors.length)} authors in manifests and metadata files`));
+    }
+
+    // Deep scan: annotated tag taggers and release authors of the organization's own repositories
+    if (deep && repos.length > 0) {
+        console.log(ColorUtils.cyan('Deep scan: Checking tags and releases...'));
+        const tagRepos = new SmartScanner().filterRepos(repos, { includeArchived: true, maxRepos: 10 });
+
+        await runBudgetedPhase('tags', tagRepos, repo => GitHubApi.getTagIdentities(orgName, repo.name), (tags, repo) => {
+            GitHubApi.recordTagIdentities(result.tag_identities, repo.name, tags);
+        });
+
+        result.tag_identities.filter(entry => entry.tagger_email).forEach(entry => {
+            addEmail(entry.tagger_email, entry.tagger_name, null, entry.repository, entry.release ? 'release' : 'tag');
+        });
+
+        console.log(ColorUtils.green(`Found ${ColorUtils.yellow(result.tag_identities.length)} tags and releases`));
+        updateEmailDetails();
+        FileUtils.saveRealTime(result, orgName, 'github_org', outputDir);
+    }
+
+    // Discussions: emails in issues, pull requests and comments, and the commits of pull requests from forks
+    if (scanDiscussions && totalRepos > 0) {
+        console.log(ColorUtils.cyan('Scanning issues, pull requests and comments for emails...'));
+
+        await runBudgetedPhase('discussions', reposToScan, repo => GitHubDiscussions.scanRepository(orgName, repo.name), (discussions, repo) => {
+            discussions.findings.forEach(finding => {
+                result.discussions.push(finding);
+                addEmail(finding.email, finding.name || 'Discussion', finding.login, repo.name, finding.kind === 'pr_commit' ? 'pr_commit' : 'discussion');
+            });
+            result.incomplete_discussions.push(...discussions.incomplete.map(entry => ({ repository: repo.name, ...entry })));
+        });
+
+        const discussionEmails = new Set(result.discussions.map(finding => finding.email.toLowerCase()));
+        console.log(ColorUtils.green(`Found ${ColorUtils.yellow(discussionEmails.size)} emails in issues, pull requests and comments (${ColorUtils.yellow(result.discussions.length)} findings)`));
+        if (result.incomplete_discussions.length > 0) {
+            console.log(ColorUtils.yellow(`${result.incomplete_discussions.length} listings stopped early - see incomplete_discussions`));
         }
     }
 
@@ -270,18 +435,52 @@ const runGithubOrganizationRecon = async (orgName, options = {}) => {
     const emailDetails = Array.from(emailsToName.entries()).map(([email, namesSet]) => ({
         email,
         names: Array.from(namesSet),
-        sources: Array.from(emailsToRepo.get(email) || []),
+        sources: Array.from(emailSources.get(email) || []),
+        repositories: Array.from(emailsToRepo.get(email) || []),
         github_username: emailsToMember.get(email) || null
     }));
 
+    // Members, their commit emails and shared keys clustered into people
+    updateEmailDetails();
+    result.identities = IdentityResolver.resolve(result);
+
     // Display results
     console.log(`\n${ColorUtils.green('Reconnaissance completed:')}`);
     console.log(ColorUtils.green(`Organization: ${ColorUtils.yellow(`${orgInfo.login} (${orgInfo.name || 'No name'})`)}`));
-    console.log(ColorUtils.green(`URL: ${ColorUtils.cyan(`https://github.com/${orgName}`)}`));
+    console.log(ColorUtils.green(`URL: ${ColorUtils.cyan(`${getWebUrl('github')}/${orgName}`)}`));
     console.log(ColorUtils.green(`Members: ${ColorUtils.yellow(members.length)}`));
     console.log(ColorUtils.green(`Repositories: ${ColorUtils.yellow(repos.length)}`));
     console.log(ColorUtils.green(`Leaked Emails: ${ColorUtils.yellow(allLeakedEmails.length)}`));
 
+    const weakKeys = result.member_keys.flatMap(({ login, keys }) => keys.filter(key => key.weak).map(key => ({ login, key })));
+    if (weakKeys.length > 0) {
+        console.log(`\n${ColorUtils.yellow('Weak SSH Keys:')}`);
+        weakKeys.forEach(({ login, key }) => {
+            console.log(ColorUtils.red(`  ${login}: ${key.fingerprint_sha256} - ${key.weaknesses.join('; ')}`));
+        });
+    }
+
+    if (result.shared_keys.length > 0) {
+        console.log(`\n${ColorUtils.yellow('Shared SSH Keys:')}`);
+        result.shared_keys.forEach(entry => {
+            console.log(ColorUtils.yellow(`  ${entry.fingerprint_sha256} (${entry.type}): ${entry.used_by.join(', ')}`));
+        });
+    }
+
+    ConsoleFormatter.displayContributors(result.contributors);
+    ConsoleFormatter.displayTagIdentities(result.tag_identities);
+    ConsoleFormatter.displayManifestAuthors(result.manifest_authors);
+    ConsoleFormatter.displayDiscussions(result.discussions);
+    ConsoleFormatter.displayIdentities(result.identities);
+
+    if (result.incomplete_repositories.length > 0) {
+        console.log(ColorUtils.yellow(`Incomplete Repositories: ${result.incomplete_repositories.map(entry => entry.repository).join(', ')}`));
+    }
+
+    if (result.skipped_phases.length > 0) {
+        console.log(ColorUtils.yellow(`Scan interrupted by the request budget. Skipped phases: ${result.skipped_phases.join(', ')}`));
+    }
+
     if (allLeakedEmails.length > 0) {
         console.log(`\n${ColorUtils.yellow('Leaked Emails:')}`);
 
@@ -290,7 +489,7 @@ const runGithubOrganizationRecon = async (orgName, options = {}) => {
             email: detail.email,
             names: Array.from(detail.names).join(', ').substring(0, 30) + (Array.from(detail.names).join(', ').length > 30 ? '...' : ''),
             username: detail.github_username || 'Unknown',
-            sources: Array.from(detail.sources).length
+            repositories: detail.repositories.length
         }));
 
         console.table(emailTable);
@@ -309,6 +508,11 @@ const runGithubOrganizationRecon = async (orgName, options = {}) => {
         FileUtils.saveOutput(result, outputFormat, orgName, 'github_org');
     }
 
+    // Members, emails, repositories and shared keys as a graph file
+    if (exportNetwork) {
+        FileUtils.saveGraph(result, networkFormat, orgName, 'github_org');
+    }
+
     return result;
 };
 
@@ -1,9 +1,23 @@
 // GitHub user reconnaissance - Enhanced with smart scanning
 
 const GitHubApi = require('./githubApi');
+const GitHubGraphql = require('./githubGraphql');
+const GitHubNetwork = require('./githubNetwork');
+const GitHubDiscussions = require('./githubDiscussions');
+const GitHubGists = require('./githubGists');
+const GitHubManifests = require('./githubManifests');
 const FileUtils = require('../../utils/fileUtils');
+const ApiUtils = require('../../utils/apiUtils');
 const ColorUtils = require('../../utils/colors');
 const SmartScanner = require('../../core/smartScanner');
+const RequestQueue = require('../../core/requestQueue');
+const GpgKeys = require('../gpgKeys');
+const ActivityProfile = require('../../utils/activityProfile');
+const IdentityResolver = require('../../utils/identityResolver');
+const ProfileLinks = require('../../utils/profileLinks');
+const SshKeys = require('../sshKeys');
+const ConsoleFormatter = require('../../formatters/consoleFormatter');
+const { getWebUrl } = require('../../config/constants');
 
 // Merge two email maps
 const mergeEmailMaps = (target, source) => {
@@ -30,8 +44,17 @@ const runGithubRecon = async (username, options = {}) => {
         skipNoreply = false,
         scanNetwork = false,
         findSecrets = false,
+        showSecrets = false,
+        scanDiscussions = false,
         exportNetwork = false,
-        maxRepos = null
+        networkDepth = 1,
+        networkFanOut = [100, 20],
+        networkHarvest = false,
+        networkFormat = 'graphml',
+        gistRevisions = 10,
+        maxRepos = null,
+        graphql = false,
+        allRefs = false
     } = options;
 
     const smartScanner = new SmartScanner();
@@ -52,15 +75,41 @@ const runGithubRecon = async (username, options = {}) => {
     let result = {
         username: username,
         scan_started_at: new Date().toISOString(),
-        scan_mode: { smart, deep, parallel },
+        scan_mode: { smart, deep, parallel, graphql, all_refs: allRefs },
         organizations: [],
         leaked_emails: [],
         email_details: [],
+        identities: [],
+        social_profiles: [],
         keys: [],
+        gpg_keys: [],
         gists: [],
+        gist_findings: [],
+        contributors: [],
+        tag_identities: [],
+        manifest_authors: [],
+        discussions: [],
+        incomplete_discussions: [],
         events_summary: {},
         network: {},
-        secrets_found: []
+        secrets_found: [],
+        activity_profile: null,
+        incomplete_repositories: [],
+        skipped_phases: []
+    };
+
+    // Once the --max-requests budget is spent, remaining phases are skipped and recorded
+    const skipPhase = (phase) => {
+        ApiUtils.skipPhase(result, phase);
+        FileUtils.saveRealTime(result, username, 'github', outputDir);
+    };
+
+    const budgetAllows = (phase) => {
+        if (!ApiUtils.isBudgetExhausted()) return true;
+
+        console.warn(ColorUtils.yellow(`Request budget exhausted - skipping ${phase}`));
+        skipPhase(phase);
+        return false;
     };
 
     // Check rate limit before starting
@@ -130,6 +179,14 @@ const runGithubRecon = async (username, options = {}) => {
     console.log(ColorUtils.green(`Found GitHub user: ${ColorUtils.yellow(userInfo.login || username)} (${ColorUtils.yellow(userInfo.name || 'No name')})`));
     console.log(ColorUtils.dim(`  Created: ${userInfo.created_at} | Repos: ${userInfo.public_repos} | Gists: ${userInfo.public_gists}`));
 
+    // Compare the cost model with the request budget up front
+    const budget = ApiUtils.getBudgetStatus();
+    if (budget.max) {
+        const estimated = smartScanner.estimateApiCalls(userInfo.public_repos || 0, { fetchGists: deep, gistCount: userInfo.public_gists || 0 });
+        const message = `Estimated API calls: ${estimated} (budget: ${budget.remaining} of ${budget.max} remaining)`;
+        console.log(estimated > budget.remaining ? ColorUtils.yellow(`${message} - the scan will stop early`) : ColorUtils.dim(message));
+    }
+
     // Fetch organizations
     const orgsData = await GitHubApi.getUserOrganizations(username);
     let orgs = [];
@@ -163,10 +220,11 @@ const runGithubRecon = async (username, options = {}) => {
             console.log(ColorUtils.green('No public SSH keys found'));
         }
 
-        result.keys = keys.map(key => ({
+        // Fingerprinted locally and indexed, so a key seen on another account links the two
+        result.keys = SshKeys.processKeys('github', userInfo.login || username, keys.map(key => ({
             id: key.id,
             key: key.key
-        }));
+        })));
         FileUtils.saveRealTime(result, username, 'github', outputDir);
     }
 
@@ -174,13 +232,130 @@ const runGithubRecon = async (username, options = {}) => {
     const emailsToName = new Map();
     const emailsToRepo = new Map();
     const emailSources = new Map(); // Track where each email was found
+    const emailsToRefs = allRefs ? new Map() : null; // "repo@ref" entries with --all-refs
+    const trailerIdentities = new Map(); // trailer email -> commit authors it appeared alongside
+
+    const isFilteredNoreply = (email) => (skipNoreply || smart) && smartScanner.classifyEmail(email).isNoreply;
+
+    // Record an email found by a scan phase: a name or list of names, a source tag or list of tags, and
+    // the repository it was found in if any. Returns true the first time the email is seen.
+    const addEmail = (email, names, sources, repo = null) => {
+        const toList = (value) => (typeof value === 'string' ? [value] : Array.from(value || []));
+        let isNew = false;
+        if (!emailsToName.has(email)) {
+            emailsToName.set(email, new Set());
+            isNew = true;
+        }
+        toList(names).forEach(name => emailsToName.get(email).add(name));
+
+        if (repo) {
+            if (!emailsToRepo.has(email)) {
+                emailsToRepo.set(email, new Set());
+            }
+            emailsToRepo.get(email).add(repo);
+        }
+
+        if (!emailSources.has(email)) {
+            emailSources.set(email, new Set());
+        }
+        toList(sources).forEach(source => emailSources.get(email).add(source));
+        return isNew;
+    };
+
+    const updateEmails = () => updateResultEmails(result, emailsToName, emailsToRepo, emailSources, smartScanner, skipNoreply || smart, emailsToRefs, trailerIdentities);
+
+    // Fetch a phase's items concurrently while the request budget lasts; results are merged in item order.
+    // Failed items are reported in verbose mode, and items left unfetched mark the phase as skipped.
+    const runBudgetedPhase = async (phase, items, fetch, onResult, describe = item => item) => {
+        let skipped = 0;
+        const fetchWithinBudget = async (item) => (ApiUtils.isBudgetExhausted() ? { skipped: true } : await fetch(item));
+
+        await RequestQueue.mapOrdered(items, fetchWithinBudget, (fetched, item) => {
+            if (fetched.skipped) {
+                skipped++;
+            } else if (fetched.error) {
+                if (verbose) console.error(ColorUtils.dim(`Error fetching ${phase} of ${describe(item)}: ${fetched.message}`));
+            } else {
+                onResult(fetched, item);
+            }
+        }, parallel);
+
+        if (skipped > 0) {
+            console.warn(ColorUtils.yellow(`Request budget exhausted - ${phase} of ${skipped} of ${items.length} items were not fetched`));
+            skipPhase(phase);
+        }
+        updateEmails();
+        FileUtils.saveRealTime(result, username, 'github', outputDir);
+        return skipped;
+    };
+
+    // Fetch GPG keys; emails GitHub verified on the account are added with source "gpg"
+    if (budgetAllows('gpg_keys')) {
+        const gpgKeys = await GpgKeys.getKeys('github', username);
+        if (Array.isArray(gpgKeys)) {
+            result.gpg_keys = gpgKeys;
+            if (gpgKeys.length > 0) {
+                console.log(ColorUtils.green(`Found ${ColorUtils.yellow(gpgKeys.length)} GPG keys: ${ColorUtils.yellow(gpgKeys.map(key => key.fingerprint || key.key_id).join(', '))}`));
+            }
+
+            GpgKeys.getVerifiedEmails(gpgKeys).forEach(({ email, name }) => addEmail(email, name ? [name] : [], 'gpg'));
+
+            updateEmails();
+            FileUtils.saveRealTime(result, username, 'github', outputDir);
+        }
+    }
+
+    // Profile enrichment: social accounts, blog, Twitter and the <login>/<login> profile README
+    if (budgetAllows('social_profiles')) {
+        const login = userInfo.login || username;
+        const [socialAccounts, profileReadme] = await Promise.all([
+            GitHubApi.getUserSocialAccounts(login),
+            GitHubApi.getRepoReadme(login, login)
+        ]);
+
+        const entries = [];
+        if (userInfo.blog) {
+            entries.push({ ...ProfileLinks.detectProvider(userInfo.blog), source: 'blog' });
+        }
+        if (userInfo.twitter_username) {
+            entries.push({ ...ProfileLinks.detectProvider(`https://twitter.com/${userInfo.twitter_username}`), source: 'twitter_username' });
+        }
+        (Array.isArray(socialAccounts) ? socialAccounts : []).forEach(account => {
+            const detected = ProfileLinks.detectProvider(account.url);
+            if (!detected) return;
+            // GitHub names the provider of most links; keep ours when it only knows "generic"
+            const provider = detected.provider === 'website' && account.provider !== 'generic' ? account.provider : detected.provider;
+            entries.push({ ...detected, provider, source: 'social_accounts' });
+        });
+
+        if (profileReadme) {
+            const extracted = ProfileLinks.extractFromMarkdown(profileReadme);
+            extracted.links.forEach(link => entries.push({ ...link, source: 'profile_readme' }));
+            extracted.emails.filter(email => !isFilteredNoreply(email)).forEach(email => addEmail(email, 'README', 'profile_readme'));
+        }
+
+        result.social_profiles = ProfileLinks.merge(entries.filter(entry => entry.url));
+        if (result.social_profiles.length > 0) {
+            console.log(ColorUtils.green(`Found ${ColorUtils.yellow(result.social_profiles.length)} social profiles: ${ColorUtils.yellow(result.social_profiles.map(profile => profile.provider).join(', '))}`));
+        }
+        updateEmails();
+        FileUtils.saveRealTime(result, username, 'github', outputDir);
+    }
 
     // Get repositories with full metadata for smart scanning
-    let repositories;
-    if (smart) {
+    let repositories = null;
+    if (graphql) {
+        console.log(ColorUtils.cyan('Fetching repository metadata via GraphQL...'));
+        repositories = await GitHubGraphql.getRepositories(username);
+        if (!Array.isArray(repositories)) {
+            console.warn(ColorUtils.yellow(`GraphQL repository listing failed (${repositories.message}) - falling back to REST`));
+            repositories = null;
+        }
+    }
+    if (!repositories && smart) {
         console.log(ColorUtils.cyan('Fetching repository metadata for smart analysis...'));
         repositories = await GitHubApi.getRepositoriesDetailed(username);
-    } else {
+    } else if (!repositories) {
         repositories = await GitHubApi.getRepositories(username);
     }
 
@@ -208,66 +383,150 @@ const runGithubRecon = async (username, options = {}) => {
     const repoNames = reposToScan.map(repo => repo.name || repo);
     console.log(ColorUtils.green(`Scanning ${ColorUtils.yellow(repoNames.length)} repositories for leaked emails`));
 
-    // Scan each repository for commits
+    // Scan repositories concurrently; results are merged in repository order
     const totalRepos = repoNames.length;
-    for (let i = 0; i < totalRepos; i++) {
-        const repo = repoNames[i];
-        process.stdout.write(ColorUtils.green(`Scanning repository ${ColorUtils.yellow(`${i + 1}/${totalRepos}`)}: ${ColorUtils.cyan(repo)}...`));
+    let scannedRepos = 0;
+    let skippedRepos = 0;
+
+    // GraphQL harvests many repositories per request; whatever it misses goes through REST
+    // GraphQL only walks the default branch, so --all-refs scans go through REST
+    let graphqlEmails = new Map();
+    const graphqlTrailers = new Map();
+    const graphqlCommits = new Map();
+    const graphqlTimestamps = new Map();
+    if (graphql && allRefs && totalRepos > 0) {
+        console.log(ColorUtils.dim('  --all-refs walks every branch and tag via REST; GraphQL is only used for the repository list'));
+    } else if (graphql && totalRepos > 0) {
+        console.log(ColorUtils.cyan('Harvesting commit authors via GraphQL...'));
+        graphqlEmails = await GitHubGraphql.getEmails(username, repoNames, {
+            trailersByRepo: graphqlTrailers,
+            commitsByRepo: graphqlCommits,
+            timestampsByRepo: graphqlTimestamps
+        });
+        if (graphqlEmails.size < totalRepos) {
+            console.log(ColorUtils.dim(`  ${totalRepos - graphqlEmails.size} repositories will be scanned via REST`));
+        }
+    }
 
-        try {
-            const newEmails = await GitHubApi.getEmails(username, repo);
-            process.stdout.write('\r' + ' '.repeat(100) + '\r');
-
-            let newEmailsCount = 0;
-
-            for (const [email, names] of newEmails.entries()) {
-                // Smart filtering: skip noreply if enabled
-                if (skipNoreply || smart) {
-                    const classification = smartScanner.classifyEmail(email);
-                    if (classification.isNoreply) {
-                        if (verbose) {
-                            console.log(ColorUtils.dim(`  Skipping noreply: ${email}`));
-                        }
-                        continue;
-                    }
-                }
+    const scanRepository = async (repo) => {
+        if (!graphqlEmails.has(repo) && ApiUtils.isBudgetExhausted()) {
+            return { skipped: true };
+        }
 
-                if (!emailsToRepo.has(email)) {
-                    emailsToRepo.set(email, new Set());
-                }
-                emailsToRepo.get(email).add(repo);
+        const failures = [];
+        const refs = new Map();
+        const trailers = graphqlTrailers.get(repo) || new Map();
+        const commits = graphqlCommits.get(repo) || [];
+        const timestamps = graphqlTimestamps.get(repo) || new Map();
+        const emails = graphqlEmails.has(repo) ?
+            graphqlEmails.get(repo) :
+            await GitHubApi.getEmails(username, repo, {
+                allRefs,
+                emailRefs: refs,
+                trailerIdentities: trailers,
+                commitShas: commits,
+                timestamps,
+                onError: (failure) => failures.push(failure)
+            });
+        scannedRepos++;
+        if (verbose) {
+            console.log(ColorUtils.dim(`Scanned repository ${scannedRepos}/${totalRepos}: ${repo}`));
+        }
+        return { emails, refs, trailers, commits, timestamps, failures };
+    };
 
-                if (!emailSources.has(email)) {
-                    emailSources.set(email, new Set());
-                }
-                emailSources.get(email).add('commit');
+    // The user's commit SHAs per repository, for secret scanning, and their dates (SHA -> dates)
+    const userCommits = new Map();
+    const activityTimestamps = new Map();
 
-                if (!emailsToName.has(email)) {
-                    emailsToName.set(email, new Set());
-                    newEmailsCount++;
+    const mergeRepository = (scan, repo, index) => {
+        if (scan.skipped) {
+            skippedRepos++;
+            return;
+        }
+
+        if (scan.error) {
+            if (verbose) {
+                console.error(ColorUtils.red(`Error scanning ${repo}: ${scan.message}`));
+            }
+            return;
+        }
+
+        result.incomplete_repositories.push(...scan.failures);
+        userCommits.set(repo, scan.commits);
+        scan.timestamps.forEach((dates, sha) => ActivityProfile.record(activityTimestamps, sha, dates));
+        let newEmailsCount = 0;
+
+        for (const [email, names] of scan.emails.entries()) {
+            // Smart filtering: skip noreply if enabled
+            if (skipNoreply || smart) {
+                const classification = smartScanner.classifyEmail(email);
+                if (classification.isNoreply) {
+                    if (verbose) {
+                        console.log(ColorUtils.dim(`  Skipping noreply: ${email}`));
+                    }
+                    continue;
                 }
+            }
+
+            if (addEmail(email, names, 'commit', repo)) {
+                newEmailsCount++;
+            }
 
-                names.forEach(name => emailsToName.get(email).add(name));
+            if (emailsToRefs && scan.refs.has(email)) {
+                if (!emailsToRefs.has(email)) {
+                    emailsToRefs.set(email, new Set());
+                }
+                scan.refs.get(email).forEach(ref => emailsToRefs.get(email).add(`${repo}@${ref}`));
             }
+        }
 
-            if (newEmailsCount > 0) {
-                console.log(ColorUtils.green(`Found ${ColorUtils.yellow(newEmailsCount)} new emails in ${ColorUtils.cyan(repo)}`));
+        // Trailer identities are tagged e.g. "trailer:co-authored-by" and linked to the commit author
+        for (const [email, identity] of scan.trailers.entries()) {
+            if (isFilteredNoreply(email)) {
+                continue;
+            }
 
-                // Update result
-                updateResultEmails(result, emailsToName, emailsToRepo, emailSources, smartScanner, skipNoreply || smart);
-                result.scan_progress = `${i + 1}/${totalRepos} repositories scanned`;
-                FileUtils.saveRealTime(result, username, 'github', outputDir);
+            if (addEmail(email, identity.names, identity.sources, repo)) {
+                newEmailsCount++;
             }
-        } catch (error) {
-            process.stdout.write('\r' + ' '.repeat(100) + '\r');
-            if (verbose) {
-                console.error(ColorUtils.red(`Error scanning ${repo}: ${error.message}`));
+
+            if (!trailerIdentities.has(email)) {
+                trailerIdentities.set(email, new Set());
             }
+            identity.linked_to.forEach(author => trailerIdentities.get(email).add(author));
         }
+
+        if (newEmailsCount > 0) {
+            console.log(ColorUtils.green(`Found ${ColorUtils.yellow(newEmailsCount)} new emails in ${ColorUtils.cyan(repo)} ${ColorUtils.dim(`(${index + 1}/${totalRepos})`)}`));
+
+            // Update result
+            updateEmails();
+            result.scan_progress = `${index + 1}/${totalRepos} repositories scanned`;
+            FileUtils.saveRealTime(result, username, 'github', outputDir);
+        }
+    };
+
+    if (budgetAllows('repos')) {
+        await RequestQueue.mapOrdered(repoNames, scanRepository, mergeRepository, parallel);
+    }
+
+    if (skippedRepos > 0) {
+        console.warn(ColorUtils.yellow(`Request budget exhausted - ${skippedRepos} of ${totalRepos} repositories were not scanned`));
+        result.repos_skipped = skippedRepos;
+        skipPhase('repos');
+    }
+
+    // When the user commits and which timezone they are probably in
+    result.activity_profile = ActivityProfile.build(activityTimestamps);
+    if (result.activity_profile) {
+        const { timezone } = result.activity_profile;
+        console.log(ColorUtils.green(`Activity profile: ${ColorUtils.yellow(result.activity_profile.commits_analyzed)} commits, likely UTC${ColorUtils.yellow(timezone.offset)} (${timezone.method === 'declared' ? 'from commit dates' : 'estimated from commit hours'})`));
+        FileUtils.saveRealTime(result, username, 'github', outputDir);
     }
 
     // Deep scanning: Gists
-    if (deep) {
+    if (deep && budgetAllows('gists')) {
         console.log(ColorUtils.cyan('\nDeep scan: Checking gists...'));
         try {
             const gists = await GitHubApi.getUserGists(username);
@@ -280,13 +539,41 @@ const runGithubRecon = async (username, options = {}) => {
                 files: Object.keys(g.files)
             }));
             console.log(ColorUtils.green(`Found ${ColorUtils.yellow(gists.length)} gists`));
+
+            // File contents of every revision: emails, secrets and sensitive keywords, also ones edited away since
+            const scanGist = gist => GitHubGists.scanGist(gist.id, { maxRevisions: gistRevisions, showSecrets });
+            await runBudgetedPhase('gists', result.gists, scanGist, (scan, gist) => {
+                gist.revisions = scan.revisions;
+                if (scan.skipped_revisions > 0) {
+                    gist.skipped_revisions = scan.skipped_revisions;
+                }
+                if (scan.oversized_files.length > 0) {
+                    gist.oversized_files = scan.oversized_files;
+                }
+                scan.findings.forEach(finding => {
+                    if (finding.type === 'email') {
+                        if (isFilteredNoreply(finding.value)) return;
+                        addEmail(finding.value, 'Gist', 'gist');
+                    }
+                    result.gist_findings.push(finding);
+                });
+            }, gist => gist.id);
+
+            if (result.gist_findings.length > 0) {
+                const removed = result.gist_findings.filter(finding => finding.removed).length;
+                console.log(ColorUtils.green(`Found ${ColorUtils.yellow(result.gist_findings.length)} emails, secrets and sensitive keywords in gists (${ColorUtils.yellow(removed)} only in earlier revisions)`));
+            }
+            const capped = result.gists.filter(gist => gist.skipped_revisions);
+            if (capped.length > 0) {
+                console.log(ColorUtils.yellow(`${capped.length} gists have more than ${gistRevisions} revisions - see skipped_revisions, or raise --gist-revisions`));
+            }
         } catch (error) {
             if (verbose) console.error(ColorUtils.dim(`Error fetching gists: ${error.message}`));
         }
     }
 
     // Deep scanning: Events (contains emails from push events)
-    if (deep) {
+    if (deep && budgetAllows('events')) {
         console.log(ColorUtils.cyan('Deep scan: Checking public events...'));
         try {
             const events = await GitHubApi.getUserEvents(username, { maxPages: 3 });
@@ -294,21 +581,11 @@ const runGithubRecon = async (username, options = {}) => {
 
             let newFromEvents = 0;
             for (const [email, names] of eventEmails.entries()) {
-                if (skipNoreply || smart) {
-                    const classification = smartScanner.classifyEmail(email);
-                    if (classification.isNoreply) continue;
-                }
+                if (isFilteredNoreply(email)) continue;
 
-                if (!emailsToName.has(email)) {
-                    emailsToName.set(email, new Set());
+                if (addEmail(email, names, 'event')) {
                     newFromEvents++;
                 }
-                names.forEach(name => emailsToName.get(email).add(name));
-
-                if (!emailSources.has(email)) {
-                    emailSources.set(email, new Set());
-                }
-                emailSources.get(email).add('event');
             }
 
             // Summarize events
@@ -328,7 +605,7 @@ const runGithubRecon = async (username, options = {}) => {
     }
 
     // Deep scanning: README emails
-    if (deep && repoNames.length > 0) {
+    if (deep && repoNames.length > 0 && budgetAllows('readmes')) {
         console.log(ColorUtils.cyan('Deep scan: Checking READMEs for contact info...'));
         const readmeEmails = new Set();
 
@@ -338,22 +615,9 @@ const runGithubRecon = async (username, options = {}) => {
                 const readme = await GitHubApi.getRepoReadme(username, repo);
                 if (readme) {
                     const extracted = GitHubApi.extractEmailsFromText(readme);
-                    extracted.forEach(email => {
-                        if (skipNoreply || smart) {
-                            const classification = smartScanner.classifyEmail(email);
-                            if (classification.isNoreply) return;
-                        }
+                    extracted.filter(email => !isFilteredNoreply(email)).forEach(email => {
                         readmeEmails.add(email);
-
-                        if (!emailsToName.has(email)) {
-                            emailsToName.set(email, new Set());
-                        }
-                        emailsToName.get(email).add('README');
-
-                        if (!emailSources.has(email)) {
-                            emailSources.set(email, new Set());
-                        }
-                        emailSources.get(email).add('readme');
+                        addEmail(email, 'README', 'readme');
                     });
                 }
             } catch (error) {
@@ -366,74 +630,205 @@ const runGithubRecon = async (username, options = {}) => {
         }
     }
 
-    // Network scanning
-    if (scanNetwork || exportNetwork) {
+    // Deep scanning: author fields of package manifests, AUTHORS, CODEOWNERS and LICENSE files
+    if (deep && repoNames.length > 0 && budgetAllows('manifests')) {
+        console.log(ColorUtils.cyan('Deep scan: Checking manifests and metadata files...'));
+
+        await runBudgetedPhase('manifests', repoNames, repo => GitHubManifests.scanRepository(username, repo), (manifests, repo) => {
+            manifests.authors.filter(author => !isFilteredNoreply(author.email)).forEach(author => {
+                result.manifest_authors.push(author);
+                addEmail(author.email, author.name || 'Manifest', 'manifest', repo);
+            });
+        });
+
+        const manifestEmails = new Set(result.manifest_authors.map(author => author.email.toLowerCase()));
+        console.log(ColorUtils.green(`Found ${ColorUtils.yellow(manifestEmails.size)} emails in manifests and metadata files`));
+    }
+
+    // Deep scanning: contributors, including anonymous ones known only by their commit email
+    if (deep && repoNames.length > 0 && budgetAllows('contributors')) {
+        console.log(ColorUtils.cyan('Deep scan: Checking repository contributors...'));
+        const ranking = new Map();
+        let newFromContributors = 0;
+
+        const fetchContributors = repo => GitHubApi.getRepoContributors(username, repo, { includeAnonymous: true });
+        await runBudgetedPhase('contributors', repoNames, fetchContributors, (contributors, repo) => {
+            GitHubApi.recordContributors(ranking, repo, contributors);
+            contributors.filter(contributor => contributor.type === 'Anonymous' && contributor.email && !isFilteredNoreply(contributor.email)).forEach(({ email, name }) => {
+                if (addEmail(email, name || 'Anonymous', 'contributors', repo)) {
+                    newFromContributors++;
+                }
+            });
+        });
+
+        result.contributors = GitHubApi.rankContributors(ranking);
+        console.log(ColorUtils.green(`Found ${ColorUtils.yellow(result.contributors.length)} contributors (${ColorUtils.yellow(newFromContributors)} new emails from anonymous contributors)`));
+    }
+
+    // Deep scanning: annotated tag taggers and release authors, often a maintainer's signing identity
+    if (deep && repositories.length > 0 && budgetAllows('tags')) {
+        console.log(ColorUtils.cyan('Deep scan: Checking tags and releases...'));
+        // Forks carry their upstream's tags, so they are left out even with --include-forks
+        const tagRepos = smartScanner.filterRepos(repositories, {
+            includeArchived: true,
+            maxAge: maxAge,
+            maxRepos: maxRepos || 10
+        }).map(repo => repo.name);
+        const tagIdentities = [];
+
+        await runBudgetedPhase('tags', tagRepos, repo => GitHubApi.getTagIdentities(username, repo), (tags, repo) => {
+            GitHubApi.recordTagIdentities(tagIdentities, repo, tags);
+        });
+
+        tagIdentities.filter(entry => entry.tagger_email && !isFilteredNoreply(entry.tagger_email)).forEach(entry => {
+            addEmail(entry.tagger_email, entry.tagger_name || 'Unknown', entry.release ? 'release' : 'tag', entry.repository);
+        });
+        result.tag_identities = tagIdentities;
+        updateEmails();
+        FileUtils.saveRealTime(result, username, 'github', outputDir);
+
+        const taggers = new Set(tagIdentities.filter(entry => entry.tagger_email).map(entry => entry.tagger_email.toLowerCase()));
+        console.log(ColorUtils.green(`Found ${ColorUtils.yellow(tagIdentities.length)} tags and releases (${ColorUtils.yellow(taggers.size)} tagger emails)`));
+    }
+
+    // Discussions: emails in the user's issues, pull requests and comments, and in their pull request commits
+    if (scanDiscussions && repoNames.length > 0 && budgetAllows('discussions')) {
+        console.log(ColorUtils.cyan('Scanning issues, pull requests and comments for emails...'));
+        const fetchDiscussions = repo => GitHubDiscussions.scanRepository(username, repo, { author: userInfo.login || username });
+
+        await runBudgetedPhase('discussions', repoNames, fetchDiscussions, (discussions, repo) => {
+            discussions.findings.filter(finding => !isFilteredNoreply(finding.email)).forEach(finding => {
+                result.discussions.push(finding);
+                addEmail(finding.email, finding.name || 'Discussion', finding.kind === 'pr_commit' ? 'pr_commit' : 'discussion', repo);
+            });
+            result.incomplete_discussions.push(...discussions.incomplete.map(entry => ({ repository: repo, ...entry })));
+        });
+
+        const discussionEmails = new Set(result.discussions.map(finding => finding.email.toLowerCase()));
+        console.log(ColorUtils.green(`Found ${ColorUtils.yellow(discussionEmails.size)} emails in issues, pull requests and comments (${ColorUtils.yellow(result.discussions.length)} findings)`));
+        if (result.incomplete_discussions.length > 0) {
+            console.log(ColorUtils.yellow(`${result.incomplete_discussions.length} listings stopped early - see incomplete_discussions`));
+        }
+    }
+
+    // Network scanning: breadth-first crawl of followers/following around the user
+    if ((scanNetwork || exportNetwork) && budgetAllows('network')) {
         console.log(ColorUtils.cyan('\nScanning network connections...'));
+
+        const estimated = GitHubNetwork.estimateRequests({ depth: networkDepth, fanOut: networkFanOut, harvest: networkHarvest });
+        const networkBudget = ApiUtils.getBudgetStatus();
+        const message = `Network crawl: depth ${networkDepth}, fan-out ${networkFanOut.join('/')}${networkHarvest ? ', harvesting each account' : ''} - up to ${estimated} API calls`;
+        console.log(networkBudget.max && estimated > networkBudget.remaining ? ColorUtils.yellow(`${message} (budget: ${networkBudget.remaining} remaining) - the crawl will stop early`) : ColorUtils.dim(message));
+
         try {
-            const network = await GitHubApi.getUserNetwork(username, {
-                maxFollowers: 100,
-                maxFollowing: 100
+            const { rootFollows, ...graph } = await GitHubNetwork.crawl(userInfo.login || username, {
+                depth: networkDepth,
+                fanOut: networkFanOut,
+                harvest: networkHarvest,
+                parallel,
+                verbose,
+                rootOrgs: orgs.map(org => org.login)
             });
 
             result.network = {
-                followers_count: network.followers.length,
-                following_count: network.following.length,
-                followers: network.followers.map(f => ({
+                followers_count: rootFollows.followers.length,
+                following_count: rootFollows.following.length,
+                followers: rootFollows.followers.map(f => ({
                     login: f.login,
                     id: f.id,
                     avatar_url: f.avatar_url
                 })),
-                following: network.following.map(f => ({
+                following: rootFollows.following.map(f => ({
                     login: f.login,
                     id: f.id,
                     avatar_url: f.avatar_url
-                }))
+                })),
+                graph
             };
 
-            console.log(ColorUtils.green(`Network: ${ColorUtils.yellow(network.followers.length)} followers, ${ColorUtils.yellow(network.following.length)} following`));
+            if (graph.error) {
+                console.warn(ColorUtils.yellow(`Could not list the followers and following of ${graph.root}: ${graph.error.message}`));
+            } else {
+                console.log(ColorUtils.green(`Network: ${ColorUtils.yellow(rootFollows.followers.length)} followers, ${ColorUtils.yellow(rootFollows.following.length)} following`));
+            }
+            if (networkDepth > 1 || networkHarvest) {
+                console.log(ColorUtils.green(`Network graph: ${ColorUtils.yellow(graph.nodes.length)} accounts, ${ColorUtils.yellow(graph.edges.length)} follow edges`));
+            }
 
             // Find potential team members (mutual follows)
-            const followerLogins = new Set(network.followers.map(f => f.login));
-            const mutualFollows = network.following.filter(f => followerLogins.has(f.login));
+            const mutualFollows = graph.edges.filter(edge => edge.source === graph.root && edge.mutual).map(edge => edge.target);
             if (mutualFollows.length > 0) {
-                result.network.mutual_follows = mutualFollows.map(f => f.login);
+                result.network.mutual_follows = mutualFollows;
                 console.log(ColorUtils.dim(`  Mutual connections: ${mutualFollows.length}`));
             }
+
+            if (graph.truncated) {
+                console.warn(ColorUtils.yellow('Request budget exhausted - the network crawl stopped early'));
+                skipPhase('network');
+            }
+            FileUtils.saveRealTime(result, username, 'github', outputDir);
         } catch (error) {
             if (verbose) console.error(ColorUtils.dim(`Error fetching network: ${error.message}`));
         }
     }
 
-    // Secret finding in commit messages
-    if (findSecrets) {
-        console.log(ColorUtils.cyan('\nScanning for potential secrets in commit messages...'));
-        result.secrets_found = [];
+    // Secret scanning: fetch the diff of each of the user's commits and run the rule pack over it
+    if (findSecrets && budgetAllows('secrets')) {
+        const targets = [];
+        userCommits.forEach((shas, repo) => shas.forEach(sha => targets.push({ repo, sha })));
+        console.log(ColorUtils.cyan(`\nScanning ${targets.length} commit diffs for secrets...`));
 
-        // This would require fetching commit messages, which is expensive
-        // For now, we'll note that this feature is available
-        console.log(ColorUtils.dim('  Note: Secret scanning requires additional API calls'));
-        console.log(ColorUtils.dim('  Use with specific repos: --user <user> --repository <repo> --find-secrets'));
+        const scanCommit = ({ repo, sha }) => GitHubApi.getCommitSecrets(username, repo, sha, { showSecrets });
+        const skippedCommits = await runBudgetedPhase('secrets', targets, scanCommit, (findings) => {
+            result.secrets_found.push(...findings);
+        }, target => `${target.repo}@${target.sha}`);
+
+        if (skippedCommits > 0) {
+            result.secret_commits_skipped = skippedCommits;
+            FileUtils.saveRealTime(result, username, 'github', outputDir);
+        }
+        console.log(ColorUtils.green(`Found ${ColorUtils.yellow(result.secrets_found.length)} potential secrets`));
     }
 
     // Update final email results
-    updateResultEmails(result, emailsToName, emailsToRepo, emailSources, smartScanner, skipNoreply || smart);
+    updateEmails();
+    result.identities = IdentityResolver.resolve(result, { site: 'github', login: userInfo.login, name: userInfo.name });
 
     // Display results
     console.log(`\n${ColorUtils.green('=')} ${ColorUtils.bright('RECONNAISSANCE COMPLETED')} ${ColorUtils.green('=')}`);
     console.log(ColorUtils.green(`User: ${ColorUtils.yellow(`${userInfo.login} (${userInfo.name || 'No name'})`)}`));
-    console.log(ColorUtils.green(`URL: ${ColorUtils.cyan(`https://github.com/${username}`)}`));
+    console.log(ColorUtils.green(`URL: ${ColorUtils.cyan(`${getWebUrl('github')}/${username}`)}`));
     console.log(ColorUtils.green(`Organizations: ${ColorUtils.yellow(orgs.length > 0 ? orgs.map(o => o.login).join(', ') : 'None')}`));
     console.log(ColorUtils.green(`Public Keys: ${ColorUtils.yellow(keys.length)}`));
+    console.log(ColorUtils.green(`GPG Keys: ${ColorUtils.yellow(result.gpg_keys.length)}`));
     console.log(ColorUtils.green(`Leaked Emails: ${ColorUtils.yellow(result.leaked_emails.length)}`));
+    if (findSecrets) {
+        console.log(ColorUtils.green(`Potential Secrets: ${ColorUtils.yellow(result.secrets_found.length)}`));
+    }
 
-    if (keys.length > 0) {
-        console.log(`\n${ColorUtils.yellow('Public SSH Keys:')}`);
-        keys.forEach((key, index) => {
-            console.log(ColorUtils.cyan(`Key #${index + 1}:`));
-            console.log(`${key.key.substring(0, 50)}...`);
+    ConsoleFormatter.displaySocialProfiles(result.social_profiles);
+    ConsoleFormatter.displayKeys(result.keys);
+    ConsoleFormatter.displayGpgKeys(result.gpg_keys);
+    ConsoleFormatter.displaySecrets(result.secrets_found);
+    ConsoleFormatter.displayActivityProfile(result.activity_profile);
+    ConsoleFormatter.displayContributors(result.contributors);
+    ConsoleFormatter.displayTagIdentities(result.tag_identities);
+    ConsoleFormatter.displayManifestAuthors(result.manifest_authors);
+    ConsoleFormatter.displayDiscussions(result.discussions);
+    ConsoleFormatter.displayGistFindings(result.gist_findings);
+    ConsoleFormatter.displayIdentities(result.identities);
+
+    if (result.incomplete_repositories.length > 0) {
+        console.log(`\n${ColorUtils.yellow('Incomplete Repositories (commit history partially fetched):')}`);
+        result.incomplete_repositories.forEach(failure => {
+            console.log(ColorUtils.yellow(`  ${failure.repository}: ${failure.message} (${failure.retries} retries)`));
         });
     }
 
+    if (result.skipped_phases.length > 0) {
+        console.log(ColorUtils.yellow(`\nScan interrupted by the request budget. Skipped phases: ${result.skipped_phases.join(', ')}`));
+    }
+
     if (result.leaked_emails.length > 0) {
         console.log(`\n${ColorUtils.yellow('Leaked Emails:')}`);
 
@@ -449,13 +844,16 @@ const runGithubRecon = async (username, options = {}) => {
 
     // Finalize result
     result.scan_completed_at = new Date().toISOString();
-    result.scan_progress = 'completed';
+    result.scan_progress = result.scan_interrupted ? 'interrupted' : 'completed';
     result.scan_stats = {
         repos_scanned: repoNames.length,
         total_repos: repositories.length,
         emails_found: result.leaked_emails.length,
         keys_found: keys.length,
-        orgs_found: orgs.length
+        secrets_found: result.secrets_found.length,
+        orgs_found: orgs.length,
+        repos_incomplete: result.incomplete_repositories.length,
+        api_requests: ApiUtils.getBudgetStatus().used
     };
 
     // Download avatar if requested
@@ -468,11 +866,16 @@ const runGithubRecon = async (username, options = {}) => {
         FileUtils.saveOutput(result, outputFormat, username, 'github');
     }
 
+    // Users, organizations, emails, repositories and keys as a graph file
+    if (exportNetwork) {
+        FileUtils.saveGraph(result, networkFormat, username, 'github');
+    }
+
     return result;
 };
 
 // Helper function to update result emails
-function updateResultEmails(result, emailsToName, emailsToRepo, emailSources, smartScanner, filterNoreply) {
+function updateResultEmails(result, emailsToName, emailsToRepo, emailSources, smartScanner, filterNoreply, emailsToRefs = null, trailerIdentities = null) {
     const allEmails = [];
     const emailDetails = [];
 
@@ -491,7 +894,9 @@ function updateResultEmails(result, emailsToName, emailsToRepo, emailSources, sm
             domain: classification.domain,
             is_disposable: classification.isDisposable,
             sources: Array.from(emailSources.get(email) || []),
-            repositories: Array.from(emailsToRepo.get(email) || [])
+            repositories: Array.from(emailsToRepo.get(email) || []),
+            ...(emailsToRefs && { refs: Array.from(emailsToRefs.get(email) || []) }),
+            ...(trailerIdentities && trailerIdentities.has(email) && { linked_to: Array.from(trailerIdentities.get(email)) })
         });
     }
 
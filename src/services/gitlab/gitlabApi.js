@@ -1,46 +1,51 @@
 // GitLab API specific functions
 
 const ApiUtils = require('../../utils/apiUtils');
-const { GITLAB_API_URL } = require('../../config/constants');
+const Paginator = require('../../utils/paginator');
+const { getGitlabApiUrl } = require('../../config/constants');
 
 class GitLabApi {
     // User methods
     static async findUserByUsername(username) {
-        return await ApiUtils.call(`${GITLAB_API_URL}/users?username=${username}`);
+        return await ApiUtils.call(`${getGitlabApiUrl()}/users?username=${username}`);
     }
 
     static async getUserById(userId) {
-        return await ApiUtils.call(`${GITLAB_API_URL}/users/${userId}`);
+        return await ApiUtils.call(`${getGitlabApiUrl()}/users/${userId}`);
     }
 
     static async getUserStatus(userId) {
-        return await ApiUtils.call(`${GITLAB_API_URL}/users/${userId}/status`);
+        return await ApiUtils.call(`${getGitlabApiUrl()}/users/${userId}/status`);
     }
 
     static async getUserKeys(userId) {
-        return await ApiUtils.call(`${GITLAB_API_URL}/users/${userId}/keys`);
+        return await Paginator.collect(`${getGitlabApiUrl()}/users/${userId}/keys?per_page=100`);
+    }
+
+    static async getUserGpgKeys(userId) {
+        return await ApiUtils.call(`${getGitlabApiUrl()}/users/${userId}/gpg_keys`);
     }
 
     static async getUserProjects(userId) {
-        return await ApiUtils.call(`${GITLAB_API_URL}/users/${userId}/projects`);
+        return await Paginator.collect(`${getGitlabApiUrl()}/users/${userId}/projects?per_page=100`);
     }
 
     // Project methods
     static async getProjectCommits(projectId) {
-        return await ApiUtils.call(`${GITLAB_API_URL}/projects/${projectId}/repository/commits`);
+        return await Paginator.collect(`${getGitlabApiUrl()}/projects/${projectId}/repository/commits?per_page=100`);
     }
 
     // Group methods
     static async getGroup(groupName) {
-        return await ApiUtils.call(`${GITLAB_API_URL}/groups/${groupName}`);
+        return await ApiUtils.call(`${getGitlabApiUrl()}/groups/${groupName}`);
     }
 
     static async getGroupMembers(groupName) {
-        return await ApiUtils.call(`${GITLAB_API_URL}/groups/${groupName}/members`);
+        return await Paginator.collect(`${getGitlabApiUrl()}/groups/${groupName}/members?per_page=100`);
     }
 
     static async getGroupProjects(groupName) {
-        return await ApiUtils.call(`${GITLAB_API_URL}/groups/${groupName}/projects`);
+        return await Paginator.collect(`${getGitlabApiUrl()}/groups/${groupName}/projects?per_page=100`);
     }
 }
 
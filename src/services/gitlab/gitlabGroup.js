@@ -2,7 +2,11 @@
 
 const GitLabApi = require('./gitlabApi');
 const FileUtils = require('../../utils/fileUtils');
+const ApiUtils = require('../../utils/apiUtils');
 const ColorUtils = require('../../utils/colors');
+const TrailerParser = require('../../utils/trailerParser');
+const IdentityResolver = require('../../utils/identityResolver');
+const ConsoleFormatter = require('../../formatters/consoleFormatter');
 
 // Function to run GitLab group reconnaissance - orijinal koddan
 const runGitlabGroupRecon = async (groupName, options = {}) => {
@@ -19,7 +23,9 @@ const runGitlabGroupRecon = async (groupName, options = {}) => {
         members: [],
         projects: [],
         leaked_emails: [],
-        email_details: []
+        email_details: [],
+        identities: [],
+        incomplete_projects: []
     };
 
     // Fetch group info
@@ -112,6 +118,7 @@ const runGitlabGroupRecon = async (groupName, options = {}) => {
     const allLeakedEmails = [];
     const emailsToName = new Map();
     const emailsToProject = new Map();
+    const trailerIdentities = new Map(); // Co-authored-by/Signed-off-by/... identities
 
     // Only scan a subset of projects to avoid rate limiting
     const projectsToScan = projects.slice(0, 10);
@@ -137,6 +144,7 @@ const runGitlabGroupRecon = async (groupName, options = {}) => {
                             console.log(ColorUtils.yellow(`Project ${ColorUtils.cyan(project.name)} is empty or not accessible - skipping`));
                         } else {
                             console.warn(ColorUtils.yellow(`Error for project ${ColorUtils.cyan(project.name)}: ${commits.message}`));
+                            result.incomplete_projects.push(ApiUtils.toIncompleteEntry(project.name, commits, 'project'));
                         }
                     } else {
                         console.warn(ColorUtils.yellow(`Error fetching commits for project ${ColorUtils.cyan(project.name)}`));
@@ -179,6 +187,22 @@ const runGitlabGroupRecon = async (groupName, options = {}) => {
                         }
                         emailsToName.get(commit.committer_email).add(commit.committer_name || "Unknown");
                     }
+
+                    // Co-authors and sign-offs named in the commit message
+                    const trailers = TrailerParser.collect(commit.message, commit.author_email, trailerIdentities);
+                    for (const { email, name } of trailers) {
+                        if (!emailsToProject.has(email)) {
+                            emailsToProject.set(email, new Set());
+                            allLeakedEmails.push(email);
+                            newEmailsCount++;
+                        }
+                        emailsToProject.get(email).add(project.name);
+
+                        if (!emailsToName.has(email)) {
+                            emailsToName.set(email, new Set());
+                        }
+                        emailsToName.get(email).add(name || "Unknown");
+                    }
                 }
 
                 // Save progress periodically
@@ -187,7 +211,8 @@ const runGitlabGroupRecon = async (groupName, options = {}) => {
                     const emailDetails = Array.from(emailsToName.entries()).map(([email, namesSet]) => ({
                         email,
                         names: Array.from(namesSet),
-                        sources: Array.from(emailsToProject.get(email) || [])
+                        sources: Array.from(emailsToProject.get(email) || []),
+                        ...TrailerParser.describe(trailerIdentities, email)
                     }));
                     
                     result.leaked_emails = allLeakedEmails;
@@ -211,7 +236,8 @@ const runGitlabGroupRecon = async (groupName, options = {}) => {
                 const emailDetails = Array.from(emailsToName.entries()).map(([email, namesSet]) => ({
                     email,
                     names: Array.from(namesSet),
-                    sources: Array.from(emailsToProject.get(email) || [])
+                    sources: Array.from(emailsToProject.get(email) || []),
+                    ...TrailerParser.describe(trailerIdentities, email)
                 }));
                 
                 result.leaked_emails = allLeakedEmails;
@@ -232,8 +258,10 @@ const runGitlabGroupRecon = async (groupName, options = {}) => {
     const emailDetails = Array.from(emailsToName.entries()).map(([email, namesSet]) => ({
         email,
         names: Array.from(namesSet),
-        sources: Array.from(emailsToProject.get(email) || [])
+        sources: Array.from(emailsToProject.get(email) || []),
+        ...TrailerParser.describe(trailerIdentities, email)
     }));
+    result.identities = IdentityResolver.resolve({ ...result, email_details: emailDetails });
 
     // Display results
     console.log(`\n${ColorUtils.green('Reconnaissance completed:')}`);
@@ -256,6 +284,8 @@ const runGitlabGroupRecon = async (groupName, options = {}) => {
         console.table(emailTable);
     }
 
+    ConsoleFormatter.displayIdentities(result.identities);
+
     // Final update to result object
     result.scan_completed_at = new Date().toISOString();
     result.scan_progress = "completed";
@@ -2,7 +2,14 @@
 
 const GitLabApi = require('./gitlabApi');
 const FileUtils = require('../../utils/fileUtils');
+const ApiUtils = require('../../utils/apiUtils');
 const ColorUtils = require('../../utils/colors');
+const TrailerParser = require('../../utils/trailerParser');
+const ActivityProfile = require('../../utils/activityProfile');
+const IdentityResolver = require('../../utils/identityResolver');
+const GpgKeys = require('../gpgKeys');
+const SshKeys = require('../sshKeys');
+const ConsoleFormatter = require('../../formatters/consoleFormatter');
 
 // Function to run GitLab reconnaissance
 const runGitlabRecon = async (username, options = {}) => {
@@ -18,7 +25,11 @@ const runGitlabRecon = async (username, options = {}) => {
         scan_started_at: new Date().toISOString(),
         leaked_emails: [],
         email_details: [],
-        keys: []
+        identities: [],
+        activity_profile: null,
+        incomplete_projects: [],
+        keys: [],
+        gpg_keys: []
     };
 
     // Fetch user ID first
@@ -77,23 +88,33 @@ const runGitlabRecon = async (username, options = {}) => {
         console.log(ColorUtils.green(`Found ${ColorUtils.yellow(keys.length)} public SSH keys`));
         
         // Update result with keys
-        result.keys = keys.map(key => ({
+        result.keys = SshKeys.processKeys('gitlab', userInfo.username || username, keys.map(key => ({
             title: key.title,
             created_at: key.created_at,
             expires_at: key.expires_at,
             key: key.key
-        }));
+        })));
         FileUtils.saveRealTime(result, username, 'gitlab', outputDir);
     } else {
         console.log(ColorUtils.green('No public SSH keys found'));
     }
 
+    // Fetch GPG keys; GitLab doesn't say which UID emails are verified, so they stay in gpg_keys
+    const gpgKeys = await GpgKeys.getKeys('gitlab', userId);
+    if (Array.isArray(gpgKeys) && gpgKeys.length > 0) {
+        console.log(ColorUtils.green(`Found ${ColorUtils.yellow(gpgKeys.length)} GPG keys: ${ColorUtils.yellow(gpgKeys.map(key => key.fingerprint || key.id).join(', '))}`));
+        result.gpg_keys = gpgKeys;
+        FileUtils.saveRealTime(result, username, 'gitlab', outputDir);
+    }
+
     // For email leaks, we need to check projects
     const projects = await GitLabApi.getUserProjects(userId);
 
     let allLeakedEmails = [];
     const emailsToName = new Map();
     const emailsToProject = new Map();
+    const trailerIdentities = new Map(); // Co-authored-by/Signed-off-by/... identities
+    const activityTimestamps = new Map(); // commit id -> dates of the user's commits
 
     if (Array.isArray(projects)) {
         console.log(ColorUtils.green(`Found ${ColorUtils.yellow(projects.length)} public projects`));
@@ -119,6 +140,7 @@ const runGitlabRecon = async (username, options = {}) => {
                             console.log(ColorUtils.yellow(`Project ${ColorUtils.cyan(project.name || `Project ${project.id}`)} is empty or not accessible - skipping`));
                         } else {
                             console.warn(ColorUtils.yellow(`Error for project ${ColorUtils.cyan(project.name || `Project ${project.id}`)}: ${commits.message}`));
+                            result.incomplete_projects.push(ApiUtils.toIncompleteEntry(project.name || `Project ${project.id}`, commits, 'project'));
                         }
                     } else {
                         console.warn(ColorUtils.yellow(`Error fetching commits for project ${ColorUtils.cyan(project.name || `Project ${project.id}`)}`));
@@ -148,6 +170,33 @@ const runGitlabRecon = async (username, options = {}) => {
                         // Add author name
                         emailsToName.get(commit.author_email).add(commit.author_name || "Unknown");
                     }
+
+                    // Co-authors and sign-offs named in the user's own commit messages
+                    if (commit.author_name === userInfo.name) {
+                        // GitLab keeps the committer's UTC offset in its dates
+                        ActivityProfile.record(activityTimestamps, commit.id, [
+                            commit.authored_date,
+                            commit.committer_email === commit.author_email ? commit.committed_date : null
+                        ]);
+
+                        const trailers = TrailerParser.collect(commit.message, commit.author_email, trailerIdentities);
+                        for (const { email, name } of trailers) {
+                            if (!emailsToProject.has(email)) {
+                                emailsToProject.set(email, new Set());
+                            }
+                            emailsToProject.get(email).add(project.name || `Project ${project.id}`);
+
+                            if (!emailsToName.has(email)) {
+                                emailsToName.set(email, new Set());
+                            }
+                            emailsToName.get(email).add(name || "Unknown");
+
+                            if (!allLeakedEmails.includes(email)) {
+                                allLeakedEmails.push(email);
+                                newEmailsCount++;
+                            }
+                        }
+                    }
                 }
 
                 // Save progress periodically
@@ -158,7 +207,8 @@ const runGitlabRecon = async (username, options = {}) => {
                         .map(([email, namesSet]) => ({
                             email,
                             names: Array.from(namesSet),
-                            sources: Array.from(emailsToProject.get(email) || [])
+                            sources: Array.from(emailsToProject.get(email) || []),
+                            ...TrailerParser.describe(trailerIdentities, email)
                         }));
                     
                     result.leaked_emails = allLeakedEmails;
@@ -183,7 +233,8 @@ const runGitlabRecon = async (username, options = {}) => {
                     .map(([email, namesSet]) => ({
                         email,
                         names: Array.from(namesSet),
-                        sources: Array.from(emailsToProject.get(email) || [])
+                        sources: Array.from(emailsToProject.get(email) || []),
+                        ...TrailerParser.describe(trailerIdentities, email)
                     }));
                 
                 result.leaked_emails = allLeakedEmails;
@@ -202,36 +253,31 @@ const runGitlabRecon = async (username, options = {}) => {
         console.log(ColorUtils.yellow('No projects found or error fetching projects'));
     }
 
+    result.activity_profile = ActivityProfile.build(activityTimestamps);
+
     // Prepare email details for display and output
     const emailDetails = Array.from(emailsToName.entries())
         .filter(([email]) => allLeakedEmails.includes(email))
         .map(([email, namesSet]) => ({
             email,
             names: Array.from(namesSet),
-            sources: Array.from(emailsToProject.get(email) || [])
+            sources: Array.from(emailsToProject.get(email) || []),
+            ...TrailerParser.describe(trailerIdentities, email)
         }));
+    result.identities = IdentityResolver.resolve({ ...result, email_details: emailDetails }, { site: 'gitlab', login: userInfo.username || username, name: userInfo.name });
 
     // Display results
     console.log(`\n${ColorUtils.green('Reconnaissance completed:')}`);
     console.log(ColorUtils.green(`User: ${ColorUtils.yellow(`${userInfo.username} (${userInfo.name || 'No name'})`)}`));
     console.log(ColorUtils.green(`URL: ${ColorUtils.cyan(userInfo.web_url)}`));
     console.log(ColorUtils.green(`Public Keys: ${ColorUtils.yellow(Array.isArray(keys) ? keys.length : 0)}`));
+    console.log(ColorUtils.green(`GPG Keys: ${ColorUtils.yellow(result.gpg_keys.length)}`));
     console.log(ColorUtils.green(`Leaked Emails: ${ColorUtils.yellow(allLeakedEmails.length)}`));
 
-    if (Array.isArray(keys) && keys.length > 0) {
-        console.log(`\n${ColorUtils.yellow('Public SSH Keys:')}`);
-        keys.forEach((key, index) => {
-            console.log(ColorUtils.cyan(`Key #${index + 1}:`));
-            console.log(`Title: ${key.title || 'No title'}`);
-            console.log(`${key.key.substring(0, 40)}...`);
-            if (key.created_at) {
-                console.log(`Created: ${key.created_at}`);
-            }
-            if (key.expires_at) {
-                console.log(`Expires: ${key.expires_at}`);
-            }
-        });
-    }
+    ConsoleFormatter.displayKeys(result.keys);
+    ConsoleFormatter.displayGpgKeys(result.gpg_keys);
+    ConsoleFormatter.displayActivityProfile(result.activity_profile);
+    ConsoleFormatter.displayIdentities(result.identities);
 
     if (allLeakedEmails.length > 0) {
         console.log(`\n${ColorUtils.yellow('Leaked Emails:')}`);
@@ -0,0 +1,82 @@
+// GPG key harvesting for GitHub and GitLab users
+
+const GitHubApi = require('./github/githubApi');
+const GitLabApi = require('./gitlab/gitlabApi');
+const GpgParser = require('../utils/gpgParser');
+
+// Fields of the locally parsed primary key, or nulls when the key could not be parsed
+const parsedFields = (armored) => {
+    const parsed = armored ? GpgParser.parse(armored) : null;
+    const key = Array.isArray(parsed) ? parsed[0] : null;
+
+    return {
+        fingerprint: key ? key.fingerprint : null,
+        algorithm: key ? key.algorithm : null,
+        bits: key ? key.bits : null,
+        curve: key ? key.curve : null,
+        uids: key ? key.uids : [],
+        subkeys: key ? key.subkeys : [],
+        ...(key && { key_created_at: key.created_at }),
+        ...(!key && armored && { parse_error: parsed.message })
+    };
+};
+
+// GitHub reports which UID emails are verified on the account
+const fromGithub = (entry) => {
+    const parsed = parsedFields(entry.raw_key);
+    return {
+        id: entry.id,
+        key_id: entry.key_id,
+        ...parsed,
+        // Keys uploaded without raw_key still list their subkeys
+        subkeys: parsed.subkeys.length > 0 ? parsed.subkeys : (entry.subkeys || []).map(subkey => ({
+            key_id: subkey.key_id,
+            created_at: subkey.created_at
+        })),
+        emails: (entry.emails || []).map(email => ({ email: email.email, verified: !!email.verified })),
+        created_at: entry.created_at,
+        expires_at: entry.expires_at || null
+    };
+};
+
+// GitLab only returns the armored key; UID emails are not known to be verified
+const fromGitlab = (entry) => {
+    const parsed = parsedFields(entry.key);
+    return {
+        id: entry.id,
+        key_id: parsed.fingerprint ? parsed.fingerprint.slice(-16) : null,
+        ...parsed,
+        emails: parsed.uids.filter(uid => uid.email).map(uid => ({ email: uid.email, verified: null })),
+        created_at: entry.created_at,
+        expires_at: null
+    };
+};
+
+// Fetch and parse a user's GPG keys; GitLab needs the numeric user id
+const getKeys = async (site, user) => {
+    const result = site === 'gitlab' ? await GitLabApi.getUserGpgKeys(user) : await GitHubApi.getUserGpgKeys(user);
+    if (!Array.isArray(result)) {
+        return result && result.error ? result : { error: true, message: (result && result.message) || 'Unexpected response' };
+    }
+
+    return result.map(site === 'gitlab' ? fromGitlab : fromGithub);
+};
+
+// Verified key emails as { email, name, fingerprint }, named after the matching UID
+const getVerifiedEmails = (keys) => {
+    const emails = [];
+    keys.forEach(key => {
+        key.emails.filter(email => email.verified).forEach(({ email }) => {
+            const uid = key.uids.find(entry => entry.email && entry.email.toLowerCase() === email.toLowerCase());
+            emails.push({ email, name: uid ? uid.name : null, fingerprint: key.fingerprint || key.key_id });
+        });
+    });
+    return emails;
+};
+
+class GpgKeys {
+    static getKeys = getKeys;
+    static getVerifiedEmails = getVerifiedEmails;
+}
+
+module.exports = GpgKeys;
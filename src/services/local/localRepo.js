@@ -0,0 +1,270 @@
+// Local git repository reconnaissance - clones, mirrors and bundles, no API
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const FileUtils = require('../../utils/fileUtils');
+const ColorUtils = require('../../utils/colors');
+const IdentityResolver = require('../../utils/identityResolver');
+const ConsoleFormatter = require('../../formatters/consoleFormatter');
+
+// Field separator for git log output; identities never contain it
+const SEPARATOR = '\x1f';
+const LOG_FORMAT = ['%H', '%an', '%ae', '%aI', '%cn', '%ce', '%cI'].join('%x1f');
+
+// Run git in a repository, streaming stdout line by line; resolves an error object on failure
+const runGit = (gitDir, args, onLine = () => {}) => new Promise((resolve) => {
+    const child = spawn('git', ['-C', gitDir, ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+
+    child.stderr.on('data', (chunk) => {
+        stderr += chunk;
+    });
+    readline.createInterface({ input: child.stdout }).on('line', onLine);
+
+    child.on('error', (error) => {
+        resolve({ error: true, message: `Could not run git: ${error.message}` });
+    });
+    child.on('close', (code) => {
+        if (code !== 0) {
+            resolve({ error: true, message: stderr.trim() || `git ${args[0]} exited with code ${code}` });
+        } else {
+            resolve({ error: false });
+        }
+    });
+});
+
+// Parse one line of LOG_FORMAT output into a commit
+const parseLogLine = (line) => {
+    const [sha, authorName, authorEmail, authorDate, committerName, committerEmail, committerDate] = line.split(SEPARATOR);
+    if (!sha || sha.length < 40) {
+        return null;
+    }
+
+    return {
+        sha,
+        author: { name: authorName, email: authorEmail, date: authorDate },
+        committer: { name: committerName, email: committerEmail, date: committerDate }
+    };
+};
+
+// Bundles can't be read in place - mirror them into a temporary bare repository
+const openRepository = async (repoPath) => {
+    const resolved = path.resolve(repoPath);
+    if (!fs.existsSync(resolved)) {
+        return { error: true, message: `Path not found: ${repoPath}` };
+    }
+
+    if (fs.statSync(resolved).isFile()) {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitrecon-bundle-'));
+        const clone = await runGit(tempDir, ['clone', '--quiet', '--mirror', resolved, 'repo.git']);
+        if (clone.error) {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+            return { error: true, message: `Not a readable git bundle: ${clone.message}` };
+        }
+        return { gitDir: path.join(tempDir, 'repo.git'), tempDir, bundle: true };
+    }
+
+    const check = await runGit(resolved, ['rev-parse', '--git-dir']);
+    if (check.error) {
+        return { error: true, message: `Not a git repository: ${repoPath}` };
+    }
+    return { gitDir: resolved, tempDir: null, bundle: false };
+};
+
+// Local and remote-tracking branches, without symbolic refs like origin/HEAD
+const listBranches = async (gitDir) => {
+    const branches = [];
+    const result = await runGit(gitDir, ['for-each-ref', '--format=%(refname:short)%09%(symref)', 'refs/heads', 'refs/remotes'], (line) => {
+        const [name, symref] = line.split('\t');
+        if (name && !symref) {
+            branches.push(name);
+        }
+    });
+    return result.error ? result : branches;
+};
+
+// Map each commit SHA to the branches it is reachable from. One topologically ordered pass over every
+// branch lists children before their parents, so each commit hands its branches down to its parents.
+const mapCommitBranches = async (gitDir, branches) => {
+    const commitBranches = new Map();
+    if (branches.length === 0) return commitBranches;
+
+    const tips = [];
+    // rev-parse echoes the trailing "--" after the SHAs
+    const resolved = await runGit(gitDir, ['rev-parse', ...branches, '--'], (line) => {
+        if (/^[0-9a-f]{40,64}$/.test(line)) tips.push(line);
+    });
+    if (resolved.error) {
+        console.warn(ColorUtils.yellow(`Could not resolve branches: ${resolved.message}`));
+        return commitBranches;
+    }
+
+    const reachable = new Map();
+    tips.forEach((sha, index) => {
+        if (!reachable.has(sha)) reachable.set(sha, new Set());
+        reachable.get(sha).add(branches[index]);
+    });
+
+    const result = await runGit(gitDir, ['log', '--topo-order', '--format=%H %P', ...branches, '--'], (line) => {
+        const [sha, ...parents] = line.split(' ').filter(Boolean);
+        const own = reachable.get(sha) || new Set();
+        parents.forEach(parent => {
+            if (!reachable.has(parent)) reachable.set(parent, new Set());
+            own.forEach(branch => reachable.get(parent).add(branch));
+        });
+        // Keep branch order stable, as listed by for-each-ref
+        commitBranches.set(sha, branches.filter(branch => own.has(branch)));
+        reachable.delete(sha);
+    });
+    if (result.error) {
+        console.warn(ColorUtils.yellow(`Could not walk branches: ${result.message}`));
+    }
+
+    return commitBranches;
+};
+
+// Create or extend the entry of one identity seen in a commit
+const addIdentity = (identities, identity, role, branches) => {
+    if (!identity.email) return;
+
+    const key = identity.email.toLowerCase();
+    if (!identities.has(key)) {
+        identities.set(key, {
+            email: identity.email,
+            names: new Set(),
+            roles: new Set(),
+            branches: new Set(),
+            commits: new Set(),
+            first_seen: identity.date,
+            last_seen: identity.date
+        });
+    }
+
+    const entry = identities.get(key);
+    if (identity.name) entry.names.add(identity.name);
+    entry.roles.add(role);
+    branches.forEach(branch => entry.branches.add(branch));
+    // Dates carry the committer's UTC offset, so compare them as timestamps
+    if (Date.parse(identity.date) < Date.parse(entry.first_seen)) entry.first_seen = identity.date;
+    if (Date.parse(identity.date) > Date.parse(entry.last_seen)) entry.last_seen = identity.date;
+    return entry;
+};
+
+// Walk every commit in the repository and collect author/committer identities
+const getIdentities = async (gitDir, commitBranches) => {
+    const identities = new Map();
+    let commitCount = 0;
+
+    const result = await runGit(gitDir, ['log', '--all', `--format=${LOG_FORMAT}`], (line) => {
+        const commit = parseLogLine(line);
+        if (!commit) return;
+
+        commitCount++;
+        const branches = commitBranches.get(commit.sha) || [];
+        [
+            addIdentity(identities, commit.author, 'author', branches),
+            addIdentity(identities, commit.committer, 'committer', branches)
+        ].forEach(entry => entry && entry.commits.add(commit.sha));
+    });
+
+    if (result.error) {
+        return result;
+    }
+    return { identities, commitCount };
+};
+
+// Function to run reconnaissance on a local repository, mirror or bundle
+const runLocalRecon = async (repoPath, options = {}) => {
+    const { outputFormat = null, username = null } = options;
+    const repoName = path.basename(path.resolve(repoPath)).replace(/\.(git|bundle)$/, '');
+    console.info(ColorUtils.green(`Scanning local repository "${ColorUtils.yellow(repoPath)}"`));
+
+    const repository = await openRepository(repoPath);
+    if (repository.error) {
+        console.error(ColorUtils.red(`Error: ${repository.message}`));
+        return null;
+    }
+
+    try {
+        const result = {
+            username,
+            repository: repoName,
+            local_path: path.resolve(repoPath),
+            scan_mode: repository.bundle ? 'local-bundle' : 'local',
+            scan_started_at: new Date().toISOString(),
+            branches: [],
+            commits_scanned: 0,
+            leaked_emails: [],
+            email_details: [],
+            identities: [],
+            incomplete_repositories: []
+        };
+
+        const branches = await listBranches(repository.gitDir);
+        if (branches.error) {
+            console.error(ColorUtils.red(`Error listing branches: ${branches.message}`));
+            return null;
+        }
+        result.branches = branches;
+        console.log(ColorUtils.green(`Found ${ColorUtils.yellow(branches.length)} branches`));
+
+        const commitBranches = await mapCommitBranches(repository.gitDir, branches);
+        const scan = await getIdentities(repository.gitDir, commitBranches);
+        if (scan.error) {
+            // e.g. a shallow or damaged clone with missing objects
+            console.warn(ColorUtils.yellow(`Could not read commit history: ${scan.message}`));
+            result.incomplete_repositories.push({ repository: repoName, message: scan.message, status: null, retries: 0 });
+        } else {
+            result.commits_scanned = scan.commitCount;
+            result.email_details = Array.from(scan.identities.values()).map(entry => ({
+                email: entry.email,
+                names: Array.from(entry.names),
+                sources: [repoName],
+                roles: Array.from(entry.roles),
+                branches: Array.from(entry.branches),
+                commit_count: entry.commits.size,
+                first_seen: entry.first_seen,
+                last_seen: entry.last_seen
+            }));
+            result.leaked_emails = result.email_details.map(detail => detail.email);
+            result.identities = IdentityResolver.resolve(result);
+        }
+
+        console.log(ColorUtils.green(`Scanned ${ColorUtils.yellow(result.commits_scanned)} commits`));
+        if (result.email_details.length > 0) {
+            console.info(ColorUtils.yellow('Found the following emails:'));
+            console.table(result.email_details.map(detail => ({
+                email: detail.email,
+                authors: detail.names.join('; '),
+                roles: detail.roles.join(', '),
+                commits: detail.commit_count,
+                branches: detail.branches.length
+            })));
+        } else {
+            console.info(ColorUtils.yellow('No emails found in repository'));
+        }
+        ConsoleFormatter.displayIdentities(result.identities);
+
+        result.scan_completed_at = new Date().toISOString();
+
+        if (outputFormat) {
+            FileUtils.saveOutput(result, outputFormat, repoName, 'local');
+        }
+
+        return result;
+    } finally {
+        if (repository.tempDir) {
+            fs.rmSync(repository.tempDir, { recursive: true, force: true });
+        }
+    }
+};
+
+class LocalRepo {
+    static runRecon = runLocalRecon;
+    static parseLogLine = parseLogLine;
+}
+
+module.exports = LocalRepo;
@@ -0,0 +1,54 @@
+// SSH key analysis and cross-account correlation for GitHub and GitLab users
+
+const SshKeyParser = require('../utils/sshKeyParser');
+const KeyStore = require('../utils/keyStore');
+
+// Add fingerprints, size and weaknesses to each key, or a parse_error when it can't be decoded
+const analyzeKeys = (keys) => keys.map(key => {
+    const analysis = SshKeyParser.analyze(key.key);
+    if (analysis.error) {
+        return { ...key, parse_error: analysis.message };
+    }
+    return { ...key, ...analysis };
+});
+
+// Index the analyzed keys of accounts ([{ login, keys }]) scanned together, then add also_used_by to every key:
+// accounts from earlier scans (key store) and from this scan that use the same key
+const correlate = (site, accounts) => {
+    const store = KeyStore.record(site, accounts);
+
+    const scanOwners = new Map();
+    accounts.forEach(({ login, keys }) => keys.forEach(key => {
+        if (!key.fingerprint_sha256) return;
+        if (!scanOwners.has(key.fingerprint_sha256)) {
+            scanOwners.set(key.fingerprint_sha256, new Set());
+        }
+        scanOwners.get(key.fingerprint_sha256).add(login);
+    }));
+
+    return accounts.map(({ login, keys }) => ({
+        login,
+        keys: keys.map(key => {
+            if (!key.fingerprint_sha256) return { ...key, also_used_by: [] };
+
+            const owners = KeyStore.getOtherOwners(store, key.fingerprint_sha256, site, login);
+            scanOwners.get(key.fingerprint_sha256).forEach(other => {
+                if (other !== login && !owners.some(owner => owner.site === site && owner.login === other)) {
+                    owners.push({ site, login: other, first_seen: null });
+                }
+            });
+            return { ...key, also_used_by: owners };
+        })
+    }));
+};
+
+// Analyze and correlate a single account's keys
+const processKeys = (site, login, keys) => correlate(site, [{ login, keys: analyzeKeys(keys) }])[0].keys;
+
+class SshKeys {
+    static analyzeKeys = analyzeKeys;
+    static correlate = correlate;
+    static processKeys = processKeys;
+}
+
+module.exports = SshKeys;
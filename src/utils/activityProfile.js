@@ -0,0 +1,163 @@
+// Commit-time activity profile - hour/weekday histogram and UTC offset inference
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Rough share of a developer's commits per local hour, used when dates carry no offset:
+// quiet at night, busy during working hours, a tail into the evening
+const TYPICAL_DAY = [2, 1, 1, 0, 0, 0, 1, 2, 4, 6, 8, 8, 7, 8, 8, 8, 8, 7, 6, 5, 5, 5, 4, 3];
+
+// Parse an ISO 8601 date into { time, offset } (offset in minutes east of UTC); a "Z" date has no known offset,
+// which is what the GitHub REST API returns for every commit
+const parseTimestamp = (value) => {
+    const time = Date.parse(value);
+    if (!value || Number.isNaN(time)) return null;
+
+    const match = value.match(/([+-])(\d{2}):?(\d{2})$/);
+    const offset = match ? (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10)) : null;
+    return { time, offset };
+};
+
+const formatOffset = (minutes) => {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+};
+
+// Remember the author/committer dates of one commit; timestamps maps SHA -> dates so commits seen twice count once
+const record = (timestamps, sha, dates) => {
+    if (!sha || timestamps.has(sha)) return;
+    const unique = Array.from(new Set(dates.filter(Boolean)));
+    if (unique.length > 0) {
+        timestamps.set(sha, unique);
+    }
+};
+
+// Most frequent key of a Map of counts; ties go to the key seen first
+const mostFrequent = (counts) => {
+    let best = null;
+    counts.forEach((count, key) => {
+        if (best === null || count > counts.get(best)) best = key;
+    });
+    return best;
+};
+
+// Fit UTC hour counts to TYPICAL_DAY; returns the best whole-hour offset in minutes
+const fitOffset = (utcHours) => {
+    let best = { offset: 0, score: -1 };
+    for (let hours = -12; hours <= 14; hours++) {
+        const score = utcHours.reduce((total, count, hour) => total + count * TYPICAL_DAY[(hour + hours + 24) % 24], 0);
+        // Prefer the offset closest to UTC on ties
+        if (score > best.score || (score === best.score && Math.abs(hours * 60) < Math.abs(best.offset))) {
+            best = { offset: hours * 60, score };
+        }
+    }
+    return best.offset;
+};
+
+// Runs of months with the same dominant offset, and the changes between them
+const getPeriods = (entries) => {
+    const months = new Map();
+    entries.forEach(entry => {
+        const month = new Date(entry.time).toISOString().slice(0, 7);
+        if (!months.has(month)) months.set(month, new Map());
+        const counts = months.get(month);
+        counts.set(entry.offset, (counts.get(entry.offset) || 0) + 1);
+    });
+
+    const periods = [];
+    Array.from(months.keys()).sort().forEach(month => {
+        const counts = months.get(month);
+        const offset = mostFrequent(counts);
+        const commits = Array.from(counts.values()).reduce((total, count) => total + count, 0);
+        const last = periods[periods.length - 1];
+
+        if (last && last.offset === formatOffset(offset)) {
+            last.to = month;
+            last.commits += commits;
+        } else {
+            periods.push({ offset: formatOffset(offset), from: month, to: month, commits, minutes: offset });
+        }
+    });
+
+    const changes = periods.slice(1).map((period, i) => ({
+        from: periods[i].offset,
+        to: period.offset,
+        since: period.from,
+        // One-hour swings are usually daylight saving time rather than a move
+        dst: Math.abs(period.minutes - periods[i].minutes) === 60
+    }));
+
+    return { periods: periods.map(({ minutes, ...period }) => period), changes };
+};
+
+// Build the activity_profile section from recorded timestamps, or null when there is nothing to profile
+const build = (timestamps) => {
+    const entries = [];
+    timestamps.forEach(dates => dates.forEach(date => {
+        const parsed = parseTimestamp(date);
+        if (parsed) entries.push(parsed);
+    }));
+    if (entries.length === 0) return null;
+
+    entries.sort((a, b) => a.time - b.time);
+    const declared = entries.filter(entry => entry.offset !== null);
+
+    // Dates with an offset say where the committer's clock was; without any, guess from the shape of the day
+    let timezone;
+    const offsetCounts = new Map();
+    declared.forEach(entry => offsetCounts.set(entry.offset, (offsetCounts.get(entry.offset) || 0) + 1));
+
+    if (declared.length > 0) {
+        const offset = mostFrequent(offsetCounts);
+        timezone = { offset: formatOffset(offset), minutes: offset, method: 'declared', share: Math.round(offsetCounts.get(offset) / declared.length * 100) / 100 };
+    } else {
+        const utcHours = new Array(24).fill(0);
+        entries.forEach(entry => utcHours[new Date(entry.time).getUTCHours()]++);
+        const offset = fitOffset(utcHours);
+        timezone = { offset: formatOffset(offset), minutes: offset, method: 'activity', share: null };
+    }
+
+    // Local-time histogram; dates without an offset are placed in the inferred timezone
+    const counts = DAYS.map(() => new Array(24).fill(0));
+    entries.forEach(entry => {
+        const local = new Date(entry.time + (entry.offset !== null ? entry.offset : timezone.minutes) * 60000);
+        counts[(local.getUTCDay() + 6) % 7][local.getUTCHours()]++;
+    });
+
+    const byHour = new Array(24).fill(0).map((_, hour) => counts.reduce((total, day) => total + day[hour], 0));
+    const byDay = counts.map(day => day.reduce((total, count) => total + count, 0));
+    const { periods, changes } = getPeriods(declared);
+
+    return {
+        commits_analyzed: timestamps.size,
+        timestamps_analyzed: entries.length,
+        first_activity: new Date(entries[0].time).toISOString(),
+        last_activity: new Date(entries[entries.length - 1].time).toISOString(),
+        timezone: { offset: timezone.offset, method: timezone.method, share: timezone.share },
+        utc_offsets: Array.from(offsetCounts.entries())
+            .sort((a, b) => b[1] - a[1])
+            .map(([offset, count]) => ({ offset: formatOffset(offset), count, share: Math.round(count / declared.length * 100) / 100 })),
+        histogram: { days: DAYS, counts },
+        busiest_hours: byHour.map((count, hour) => ({ hour, count })).filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count || a.hour - b.hour).slice(0, 3).map(entry => entry.hour),
+        busiest_days: byDay.map((count, day) => ({ day: DAYS[day], count })).filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count).slice(0, 2).map(entry => entry.day),
+        weekend_share: Math.round((byDay[5] + byDay[6]) / entries.length * 100) / 100,
+        periods,
+        timezone_changes: changes,
+        // Say why the offset sections are empty rather than leave them looking like a finding
+        note: declared.length === 0 ?
+            'Commit dates carry no UTC offset (GitHub REST normalizes them to UTC): the timezone is estimated from commit hours and utc_offsets, periods and timezone_changes are empty. Use --graphql for dates with offsets.' :
+            null
+    };
+};
+
+class ActivityProfile {
+    static DAYS = DAYS;
+    static record = record;
+    static build = build;
+    static parseTimestamp = parseTimestamp;
+    static formatOffset = formatOffset;
+}
+
+module.exports = ActivityProfile;
@@ -2,81 +2,384 @@
 
 const axios = require('axios');
 const ColorUtils = require('./colors');
-const { getDelay } = require('../config/constants');
+const CacheUtils = require('./cacheUtils');
+const Cassette = require('./cassette');
+const RequestQueue = require('../core/requestQueue');
+const { getDelay, getApiUrl, getGitlabApiUrl, getGraphqlUrl } = require('../config/constants');
 const { HEADER } = require('../config/constants');
-const { setRateLimitInfo } = require('../config/settings');
+const { setRateLimitInfo, getRetrySettings, getBudgetSettings } = require('../config/settings');
 
-// Function to make API calls with a delay - orijinal koddan
-const apiCall = async (url, options = {}) => {
-    await new Promise((resolve) => setTimeout(resolve, getDelay()));
+// Shared rate limiter holding the token pool, registered by the scanner
+let rateLimiter = null;
+
+// Every request goes through one queue so --parallel holds across all services
+const requestQueue = new RequestQueue();
+
+// Requests sent this run, counted against --max-requests
+let requestsMade = 0;
+let budgetWarned = false;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Work out which platform an API URL belongs to
+const getPlatform = (url) => {
+    if (url.startsWith(getGitlabApiUrl())) return 'gitlab';
+    return url.startsWith(getApiUrl()) || url.startsWith(getGraphqlUrl()) ? 'github' : null;
+};
+
+// Build request headers carrying a pooled token
+const withToken = (platform, token) => {
+    const authHeader = platform === 'gitlab' ?
+        { 'PRIVATE-TOKEN': token } :
+        { Authorization: `token ${token}` };
+    return { ...HEADER, ...authHeader };
+};
+
+// GraphQL and search have their own budgets; only the core REST budget is tracked
+const isCoreRateLimit = (headers) => {
+    return !headers['x-ratelimit-resource'] || headers['x-ratelimit-resource'] === 'core';
+};
+
+// Update rate limit info if GitHub API - orijinal koddan
+const trackRateLimit = (url, headers) => {
+    if (getPlatform(url) !== 'github' || !headers || !isCoreRateLimit(headers)) return;
+
+    const remaining = headers['x-ratelimit-remaining'];
+    const limit = headers['x-ratelimit-limit'];
+    const resetHeader = headers['x-ratelimit-reset'];
+
+    if (remaining && limit && resetHeader) {
+        const resetTime = new Date(parseInt(resetHeader) * 1000);
+        const rateLimitInfo = {
+            remaining: parseInt(remaining),
+            limit: parseInt(limit),
+            resetTime
+        };
+        setRateLimitInfo(rateLimitInfo, 'github');
+
+        // Display rate limit info
+        console.log(ColorUtils.dim(`Rate limit: ${remaining}/${limit} (Resets: ${resetTime.toLocaleTimeString()})`));
+
+        // Warn if rate limit is getting low
+        if (parseInt(remaining) < 10) {
+            console.warn(ColorUtils.yellow(`Warning: GitHub API rate limit is getting low (${remaining} remaining)`));
+        }
+    }
+};
+
+// Decide whether a failed request is worth retrying and how long to wait first
+const classifyFailure = (error) => {
+    if (!error.response) {
+        // Timeouts and dropped connections are transient; setup errors are not
+        return { retryable: !!error.request, waitMs: 0 };
+    }
+
+    const { status, headers = {}, data = {} } = error.response;
+    const message = (data && data.message) || '';
+    const retryAfter = parseInt(headers['retry-after']);
+
+    // Primary rate limit: the hourly quota is spent, only the reset helps
+    if ((status === 403 || status === 429) && headers['x-ratelimit-remaining'] === '0') {
+        const resetMs = parseInt(headers['x-ratelimit-reset']) * 1000 - Date.now();
+        const { maxDelay } = getRetrySettings();
+        return {
+            retryable: resetMs > 0 && resetMs <= maxDelay,
+            waitMs: Math.max(resetMs, 0) + 1000,
+            rateLimit: 'primary'
+        };
+    }
+
+    // Secondary (abuse detection) limits: back off for at least Retry-After or a minute
+    if (status === 429 || (status === 403 && (!isNaN(retryAfter) || /secondary rate limit|abuse/i.test(message)))) {
+        return {
+            retryable: true,
+            waitMs: !isNaN(retryAfter) ? retryAfter * 1000 : 60000,
+            rateLimit: 'secondary'
+        };
+    }
+
+    if (status >= 500) {
+        return { retryable: true, waitMs: !isNaN(retryAfter) ? retryAfter * 1000 : 0 };
+    }
+
+    return { retryable: false, waitMs: 0 };
+};
+
+// Full-jitter exponential backoff, never shorter than what the server asked for
+const getBackoffDelay = (attempt, minimumMs) => {
+    const { baseDelay, maxDelay } = getRetrySettings();
+    const exponential = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+    return Math.max(Math.floor(Math.random() * exponential), minimumMs);
+};
+
+// Incomplete-scan entry for a repository or project whose commit history could not be fetched completely
+const toIncompleteEntry = (name, failure, field = 'repository') => ({
+    [field]: name,
+    message: failure.message || 'Unknown error',
+    status: failure.status || null,
+    retries: failure.retries || 0,
+    ...(failure.rate_limit && { rate_limit: failure.rate_limit })
+});
+
+// Convert the last failure into the error object callers already expect
+const toErrorResult = (error, retries, rateLimit) => {
+    const retryInfo = retries > 0 ? ` after ${retries} ${retries === 1 ? 'retry' : 'retries'}` : '';
+
+    if (error.response) {
+        // The request was made and the server responded with a status code
+        // that falls out of the range of 2xx
+        const data = error.response.data || {};
+        if (rateLimit === 'primary') {
+            const resetTime = new Date(parseInt(error.response.headers['x-ratelimit-reset']) * 1000);
+            console.error(ColorUtils.red(`Error: GitHub API rate limit exceeded. Resets at ${resetTime.toLocaleTimeString()}`));
+        } else if (rateLimit === 'secondary') {
+            console.error(ColorUtils.red(`Error: GitHub secondary rate limit hit${retryInfo}`));
+        } else {
+            console.error(ColorUtils.red(`API Error: ${error.response.status} - ${data.message || JSON.stringify(data)}${retryInfo}`));
+        }
+        return {
+            error: true,
+            message: data.message || 'API request failed',
+            status: error.response.status,
+            retries,
+            ...(rateLimit && { rate_limit: rateLimit })
+        };
+    } else if (error.request) {
+        // The request was made but no response was received
+        console.error(ColorUtils.red(`Network Error: No response received from server${retryInfo}`));
+        return { error: true, message: 'Network error - no response received', retries };
+    } else {
+        // Something happened in setting up the request that triggered an Error
+        console.error(ColorUtils.red(`Request Error: ${error.message}`));
+        return { error: true, message: error.message, retries };
+    }
+};
+
+// Check whether the --max-requests budget has been used up
+const isBudgetExhausted = () => {
+    const { maxRequests } = getBudgetSettings();
+    return !!maxRequests && requestsMade >= maxRequests;
+};
+
+// Record a scan phase the budget cut short in result.skipped_phases (once per phase)
+const skipPhase = (result, phase) => {
+    if (!result.skipped_phases.includes(phase)) {
+        result.skipped_phases.push(phase);
+    }
+    result.scan_interrupted = true;
+};
+
+// Claim one request from the budget; false once it is spent
+const claimBudget = () => {
+    if (isBudgetExhausted()) {
+        return false;
+    }
+    requestsMade++;
+    return true;
+};
+
+const toBudgetResult = () => {
+    const { maxRequests } = getBudgetSettings();
+    if (!budgetWarned) {
+        budgetWarned = true;
+        console.error(ColorUtils.red(`Request budget of ${maxRequests} API calls exhausted - no further requests will be made`));
+    }
+    return {
+        error: true,
+        message: `Request budget exhausted (${maxRequests} requests)`,
+        budget_exhausted: true,
+        retries: 0
+    };
+};
+
+// Host a request is scheduled under for per-host limits
+const getHost = (url) => {
     try {
-        const response = await axios.get(url, {
-            headers: options.headers || HEADER,
-            timeout: options.timeout || 10000
+        return new URL(url).host;
+    } catch {
+        return 'unknown';
+    }
+};
+
+// Serve a request from the replay cassette instead of the network
+const replayRequest = (url, method, body) => {
+    const response = Cassette.replay({ method, url, body });
+    trackRateLimit(url, response.headers);
+    if (response.status >= 200 && response.status < 300) {
+        return { data: response.data, headers: response.headers || {} };
+    }
+    // Recorded failures go through the same retry/error handling as live ones
+    return { error: { response } };
+};
+
+// One request attempt, run inside a queue slot: pick a token, consult the cache, hit the network
+const attemptRequest = async (url, options, platform) => {
+    const method = options.method || 'GET';
+    const cassetteMode = Cassette.getMode();
+    if (cassetteMode === 'replay') {
+        // Replayed requests count too, so a budgeted run reproduces faithfully
+        return claimBudget() ? replayRequest(url, method, options.body) : { budgetExhausted: true };
+    }
+
+    // Rotate to the pooled token with the most budget left
+    const token = rateLimiter && platform && !options.headers ?
+        await rateLimiter.acquireToken(platform) :
+        null;
+    const headers = token ? withToken(platform, token) : (options.headers || HEADER);
+
+    // Serve from the on-disk cache while the entry is fresh; recording always hits the network
+    const useCache = method === 'GET' && options.cache !== false && !cassetteMode;
+    const cached = useCache ? CacheUtils.read(url, headers) : null;
+    if (cached && CacheUtils.isFresh(cached)) {
+        return { data: cached.data, headers: cached.headers };
+    }
+
+    // Fresh cache hits are free; anything that goes on the wire counts against the budget
+    if (!claimBudget()) {
+        return { budgetExhausted: true };
+    }
+
+    await sleep(getDelay());
+    try {
+        const response = await axios.request({
+            url,
+            method,
+            data: options.body,
+            // Conditional requests answered with 304 don't count against the rate limit
+            headers: cached ? { ...headers, ...CacheUtils.getConditionalHeaders(cached) } : headers,
+            timeout: options.timeout || 10000,
+            validateStatus: (status) => (status >= 200 && status < 300) || (cached && status === 304)
         });
 
-        // Update rate limit info if GitHub API - orijinal koddan
-        if (url.includes('api.github.com') && response.headers) {
-            const remaining = response.headers['x-ratelimit-remaining'];
-            const limit = response.headers['x-ratelimit-limit'];
-            const resetHeader = response.headers['x-ratelimit-reset'];
-
-            if (remaining && limit && resetHeader) {
-                const resetTime = new Date(parseInt(resetHeader) * 1000);
-                const rateLimitInfo = {
-                    remaining: parseInt(remaining),
-                    limit: parseInt(limit),
-                    resetTime
-                };
-                setRateLimitInfo(rateLimitInfo, 'github');
-
-                // Display rate limit info
-                console.log(ColorUtils.dim(`Rate limit: ${remaining}/${limit} (Resets: ${resetTime.toLocaleTimeString()})`));
-
-                // Warn if rate limit is getting low
-                if (parseInt(remaining) < 10) {
-                    console.warn(ColorUtils.yellow(`Warning: GitHub API rate limit is getting low (${remaining} remaining)`));
-                }
-            }
+        trackRateLimit(url, response.headers);
+        if (token && isCoreRateLimit(response.headers)) {
+            rateLimiter.updateTokenFromHeaders(token, response.headers, platform);
+        }
+        if (cassetteMode === 'record') {
+            Cassette.record({ method, url, headers, body: options.body }, response);
+        }
+
+        if (response.status === 304) {
+            CacheUtils.refresh(url, headers, cached);
+            return { data: cached.data, headers: cached.headers };
+        }
+
+        if (useCache) {
+            CacheUtils.write(url, headers, response);
         }
 
-        return response.data;
+        return { data: response.data, headers: response.headers };
     } catch (error) {
         if (error.response) {
-            // The request was made and the server responded with a status code
-            // that falls out of the range of 2xx
-            if (error.response.status === 403 && error.response.headers['x-ratelimit-remaining'] === '0') {
-                const resetTime = new Date(parseInt(error.response.headers['x-ratelimit-reset']) * 1000);
-                console.error(ColorUtils.red(`Error: GitHub API rate limit exceeded. Resets at ${resetTime.toLocaleTimeString()}`));
-            } else {
-                console.error(ColorUtils.red(`API Error: ${error.response.status} - ${error.response.data.message || JSON.stringify(error.response.data)}`));
+            trackRateLimit(url, error.response.headers);
+            if (token && isCoreRateLimit(error.response.headers)) {
+                rateLimiter.updateTokenFromHeaders(token, error.response.headers, platform);
             }
-            return { error: true, message: error.response.data.message || 'API request failed', status: error.response.status };
-        } else if (error.request) {
-            // The request was made but no response was received
-            console.error(ColorUtils.red('Network Error: No response received from server'));
-            return { error: true, message: 'Network error - no response received' };
-        } else {
-            // Something happened in setting up the request that triggered an Error
-            console.error(ColorUtils.red(`Request Error: ${error.message}`));
-            return { error: true, message: error.message };
+            if (cassetteMode === 'record') {
+                Cassette.record({ method, url, headers, body: options.body }, error.response);
+            }
+        }
+        return { error, token };
+    }
+};
+
+// Function to make API calls with a delay - orijinal koddan
+const apiCall = async (url, options = {}) => {
+    const platform = getPlatform(url);
+    const host = getHost(url);
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : getRetrySettings().maxRetries;
+    let attempt = 0;
+
+    while (true) {
+        const outcome = await requestQueue.schedule(host, () => attemptRequest(url, options, platform));
+        if (outcome.budgetExhausted) {
+            return toBudgetResult();
         }
+        if (!outcome.error) {
+            // Pagers need the Link/X-Next-Page headers alongside the body
+            return options.includeHeaders ? { data: outcome.data, headers: outcome.headers } : outcome.data;
+        }
+
+        const { error, token } = outcome;
+        const failure = classifyFailure(error);
+
+        // A spent token is parked until its reset; the next pooled token takes over
+        if (token && failure.rateLimit === 'primary') {
+            const resetMs = parseInt(error.response.headers['x-ratelimit-reset']) * 1000;
+            rateLimiter.markTokenExhausted(token, new Date(Math.max(resetMs || 0, Date.now() + 60000)), platform);
+            continue;
+        }
+
+        if (!failure.retryable || attempt >= maxRetries) {
+            return toErrorResult(error, attempt, failure.rateLimit);
+        }
+
+        // Back off outside the queue so other requests keep the slot busy meanwhile
+        const waitMs = failure.rateLimit === 'primary' ?
+            failure.waitMs :
+            getBackoffDelay(attempt, failure.waitMs);
+        const reason = error.response ? `HTTP ${error.response.status}` : (error.code || 'network error');
+        console.warn(ColorUtils.yellow(`Retrying ${url} in ${Math.round(waitMs / 1000)}s (${reason}, attempt ${attempt + 1}/${maxRetries})`));
+        if (Cassette.getMode() !== 'replay') {
+            await sleep(waitMs);
+        }
+        attempt++;
     }
 };
 
 class ApiUtils {
     static call = apiCall;
+    static classifyFailure = classifyFailure;
+    static getBackoffDelay = getBackoffDelay;
+    static getPlatform = getPlatform;
+    static toIncompleteEntry = toIncompleteEntry;
+
+    // Register the rate limiter whose token pool authenticates requests
+    static setRateLimiter(limiter) {
+        rateLimiter = limiter;
+    }
+
+    // Set the global and per-host concurrency limits of the request queue
+    static configureQueue(options) {
+        requestQueue.configure(options);
+    }
+
+    static getQueueStatus() {
+        return requestQueue.getStatus();
+    }
+
+    static isBudgetExhausted = isBudgetExhausted;
+    static skipPhase = skipPhase;
+
+    // Start counting requests from zero again
+    static resetBudget() {
+        requestsMade = 0;
+        budgetWarned = false;
+    }
+
+    // Requests sent so far and the configured ceiling
+    static getBudgetStatus() {
+        const { maxRequests } = getBudgetSettings();
+        return {
+            used: requestsMade,
+            max: maxRequests,
+            remaining: maxRequests ? Math.max(maxRequests - requestsMade, 0) : null
+        };
+    }
+
+    // POST a JSON body; responses are never cached
+    static async post(url, body, options = {}) {
+        return this.call(url, { ...options, method: 'POST', body });
+    }
 
     // Convenience methods for different types of API calls
     static async githubCall(endpoint, options = {}) {
-        const { API_URL } = require('../config/constants');
-        return this.call(`${API_URL}${endpoint}`, options);
+        return this.call(`${getApiUrl()}${endpoint}`, options);
     }
 
     static async gitlabCall(endpoint, options = {}) {
-        const { GITLAB_API_URL } = require('../config/constants');
-        return this.call(`${GITLAB_API_URL}${endpoint}`, options);
+        return this.call(`${getGitlabApiUrl()}${endpoint}`, options);
     }
 }
 
-module.exports = ApiUtils;
\ No newline at end of file
+module.exports = ApiUtils;
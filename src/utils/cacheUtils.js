@@ -0,0 +1,115 @@
+// On-disk HTTP response cache with ETag/Last-Modified revalidation
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getCacheSettings } = require('../config/settings');
+
+// Response headers kept alongside a cached body
+const STORED_HEADERS = [
+    'etag',
+    'last-modified',
+    'link',
+    'x-next-page',
+    'x-total',
+    'x-total-pages',
+    'content-type'
+];
+
+// Identify the credential a request is made with, without storing the token itself
+const getAuthIdentity = (headers = {}) => {
+    const credential = headers.Authorization || headers['PRIVATE-TOKEN'];
+    if (!credential) return 'anonymous';
+    return crypto.createHash('sha256').update(credential).digest('hex').substring(0, 16);
+};
+
+// Cache key is derived from the auth identity and the full URL
+const getCacheKey = (url, headers) => {
+    return crypto.createHash('sha256').update(`${getAuthIdentity(headers)} ${url}`).digest('hex');
+};
+
+const getEntryPath = (url, headers) => {
+    return path.join(getCacheSettings().dir, `${getCacheKey(url, headers)}.json`);
+};
+
+// Read a cached entry, or null if caching is disabled or nothing is stored
+const read = (url, headers) => {
+    if (!getCacheSettings().enabled) return null;
+
+    try {
+        const entry = JSON.parse(fs.readFileSync(getEntryPath(url, headers), 'utf-8'));
+        return entry.url === url ? entry : null;
+    } catch {
+        return null;
+    }
+};
+
+// Store a successful response
+const write = (url, headers, response) => {
+    const settings = getCacheSettings();
+    if (!settings.enabled) return;
+
+    const storedHeaders = {};
+    STORED_HEADERS.forEach(name => {
+        if (response.headers && response.headers[name] !== undefined) {
+            storedHeaders[name] = response.headers[name];
+        }
+    });
+
+    // Nothing to revalidate against and no TTL - not worth keeping
+    if (!storedHeaders.etag && !storedHeaders['last-modified'] && settings.ttl <= 0) return;
+
+    const entry = {
+        url,
+        stored_at: Date.now(),
+        status: response.status,
+        headers: storedHeaders,
+        data: response.data
+    };
+
+    try {
+        fs.mkdirSync(settings.dir, { recursive: true });
+        fs.writeFileSync(getEntryPath(url, headers), JSON.stringify(entry));
+    } catch {
+        // A cache that cannot be written is not worth failing the scan over
+    }
+};
+
+// Mark a revalidated (304) entry as fresh again
+const refresh = (url, headers, entry) => {
+    entry.stored_at = Date.now();
+    try {
+        fs.writeFileSync(getEntryPath(url, headers), JSON.stringify(entry));
+    } catch {
+        // Ignore, the entry will simply be revalidated again next time
+    }
+};
+
+// Check whether an entry can be served without contacting the server
+const isFresh = (entry) => {
+    const { ttl } = getCacheSettings();
+    return ttl > 0 && Date.now() - entry.stored_at < ttl * 1000;
+};
+
+// Build conditional request headers for an entry
+const getConditionalHeaders = (entry) => {
+    const conditional = {};
+    if (entry.headers.etag) {
+        conditional['If-None-Match'] = entry.headers.etag;
+    }
+    if (entry.headers['last-modified']) {
+        conditional['If-Modified-Since'] = entry.headers['last-modified'];
+    }
+    return conditional;
+};
+
+class CacheUtils {
+    static read = read;
+    static write = write;
+    static refresh = refresh;
+    static isFresh = isFresh;
+    static getConditionalHeaders = getConditionalHeaders;
+    static getAuthIdentity = getAuthIdentity;
+}
+
+module.exports = CacheUtils;
@@ -0,0 +1,150 @@
+// Record/replay of API traffic ("cassettes") for offline, reproducible scans
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ColorUtils = require('./colors');
+const { getCassetteSettings } = require('../config/settings');
+
+// Request headers that must never be written to disk
+const SECRET_HEADERS = ['authorization', 'private-token'];
+
+// Replay index for the loaded directory: key -> recorded interactions in order
+let replayIndex = null;
+let replayDir = null;
+const replayCursor = new Map();
+const recordCounter = new Map();
+let misses = [];
+
+// Requests are matched on method, URL and body - never on headers
+const getKey = (method, url, body) => {
+    const base = `${method.toUpperCase()} ${url}`;
+    return body === undefined || body === null ? base : `${base} ${JSON.stringify(body)}`;
+};
+
+const redactHeaders = (headers = {}) => {
+    const redacted = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        redacted[name] = SECRET_HEADERS.includes(name.toLowerCase()) ? '[REDACTED]' : value;
+    });
+    return redacted;
+};
+
+// Readable, stable filename: path slug plus a hash of the request key
+const getFilename = (key, url, sequence) => {
+    let slug = 'request';
+    try {
+        slug = new URL(url).pathname.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'root';
+    } catch {
+        // Keep the generic slug for unparseable URLs
+    }
+    const hash = crypto.createHash('sha256').update(key).digest('hex').substring(0, 10);
+    return `${slug.substring(0, 80)}-${hash}-${sequence}.json`;
+};
+
+// Check whether API traffic is being recorded or replayed
+const getMode = () => getCassetteSettings().mode;
+
+// Write one request/response pair to the cassette directory
+const record = (request, response) => {
+    const { dir } = getCassetteSettings();
+    const key = getKey(request.method, request.url, request.body);
+    const sequence = (recordCounter.get(key) || 0) + 1;
+    recordCounter.set(key, sequence);
+
+    const interaction = {
+        request: {
+            method: request.method.toUpperCase(),
+            url: request.url,
+            headers: redactHeaders(request.headers),
+            ...(request.body !== undefined && request.body !== null && { body: request.body })
+        },
+        response: {
+            status: response.status,
+            headers: { ...(response.headers || {}) },
+            data: response.data
+        },
+        sequence,
+        recorded_at: new Date().toISOString()
+    };
+
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, getFilename(key, request.url, sequence)), JSON.stringify(interaction, null, 2));
+    } catch (error) {
+        console.error(ColorUtils.red(`Error writing cassette: ${error.message}`));
+    }
+};
+
+// Index every interaction in the directory; filenames don't matter
+const loadIndex = (dir) => {
+    const index = new Map();
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.json')) : [];
+
+    files.sort().forEach(file => {
+        let interaction;
+        try {
+            interaction = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+        } catch (error) {
+            console.error(ColorUtils.red(`Skipping unreadable cassette ${file}: ${error.message}`));
+            return;
+        }
+        if (!interaction.request || !interaction.response) return;
+
+        const { method = 'GET', url, body } = interaction.request;
+        const key = getKey(method, url, body);
+        if (!index.has(key)) {
+            index.set(key, []);
+        }
+        index.get(key).push(interaction);
+    });
+
+    index.forEach(interactions => interactions.sort((a, b) => (a.sequence || 0) - (b.sequence || 0)));
+    return index;
+};
+
+// Look up the recorded response for a request; throws if it was never recorded
+const replay = (request) => {
+    const { dir } = getCassetteSettings();
+    if (!replayIndex || replayDir !== dir) {
+        replayIndex = loadIndex(dir);
+        replayDir = dir;
+        replayCursor.clear();
+    }
+
+    const key = getKey(request.method, request.url, request.body);
+    const interactions = replayIndex.get(key);
+    if (!interactions || interactions.length === 0) {
+        misses.push(key);
+        console.error(ColorUtils.red(`Replay miss: ${key} is not in cassette ${dir}`));
+        throw new Error(`Request not found in cassette: ${key}`);
+    }
+
+    // Repeated requests get successive recordings; the last one keeps being served
+    const cursor = replayCursor.get(key) || 0;
+    replayCursor.set(key, cursor + 1);
+    return interactions[Math.min(cursor, interactions.length - 1)].response;
+};
+
+// Requests that were not found during replay
+const getMisses = () => [...misses];
+
+// Forget loaded cassettes and counters
+const reset = () => {
+    replayIndex = null;
+    replayDir = null;
+    replayCursor.clear();
+    recordCounter.clear();
+    misses = [];
+};
+
+class Cassette {
+    static getMode = getMode;
+    static record = record;
+    static replay = replay;
+    static getMisses = getMisses;
+    static reset = reset;
+    static getKey = getKey;
+}
+
+module.exports = Cassette;
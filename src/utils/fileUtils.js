@@ -103,6 +103,22 @@ class FileUtils {
             baseFilename
         };
     }
+
+    // Save the relationship graph of a scan result: graphml, gexf, dot, cytoscape or all
+    static saveGraph(data, format, username, site) {
+        const GraphFormatter = require('../formatters/graphFormatter');
+        const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
+        const outputDir = this.createOutputDirectory();
+        const formats = format === 'all' ? Object.keys(GraphFormatter.FORMATS) : [format];
+
+        return formats.map(graphFormat => {
+            const filePath = path.join(outputDir, `${username}_${site}_network_${timestamp}.${GraphFormatter.FORMATS[graphFormat]}`);
+            fs.writeFileSync(filePath, GraphFormatter.generate(data, graphFormat, site.startsWith('gitlab') ? 'gitlab' : 'github'));
+            console.log(ColorUtils.green(`Network graph (${graphFormat}) saved to: ${ColorUtils.yellow(filePath)}`));
+            return filePath;
+        });
+    }
+
     static checkFileSize(filePath) {
         try {
             const stats = fs.statSync(filePath);
@@ -0,0 +1,231 @@
+// OpenPGP public key parsing (RFC 4880 / RFC 9580) - fingerprints, UIDs and subkeys
+
+const crypto = require('crypto');
+
+const PACKET_PUBLIC_KEY = 6;
+const PACKET_USER_ID = 13;
+const PACKET_PUBLIC_SUBKEY = 14;
+
+const ALGORITHMS = {
+    1: 'RSA',
+    2: 'RSA (encrypt-only)',
+    3: 'RSA (sign-only)',
+    16: 'ElGamal',
+    17: 'DSA',
+    18: 'ECDH',
+    19: 'ECDSA',
+    22: 'EdDSA',
+    25: 'X25519',
+    26: 'X448',
+    27: 'Ed25519',
+    28: 'Ed448'
+};
+
+// Curve OIDs (hex) used by ECDH/ECDSA/EdDSA keys
+const CURVES = {
+    '2a8648ce3d030107': { name: 'NIST P-256', bits: 256 },
+    '2b81040022': { name: 'NIST P-384', bits: 384 },
+    '2b81040023': { name: 'NIST P-521', bits: 521 },
+    '2b8104000a': { name: 'secp256k1', bits: 256 },
+    '2b2403030208010107': { name: 'brainpoolP256r1', bits: 256 },
+    '2b240303020801010b': { name: 'brainpoolP384r1', bits: 384 },
+    '2b240303020801010d': { name: 'brainpoolP512r1', bits: 512 },
+    '2b06010401da470f01': { name: 'Ed25519', bits: 256 },
+    '2b060104019755010501': { name: 'Curve25519', bits: 256 }
+};
+
+// Algorithms whose curve is implied by the algorithm itself
+const NATIVE_CURVES = {
+    25: { name: 'Curve25519', bits: 256 },
+    26: { name: 'Curve448', bits: 448 },
+    27: { name: 'Ed25519', bits: 256 },
+    28: { name: 'Ed448', bits: 448 }
+};
+
+// Strip ASCII armor; input without armor is treated as base64 packet data
+const dearmor = (text) => {
+    const blocks = [];
+    const armor = /-----BEGIN PGP PUBLIC KEY BLOCK-----([\s\S]*?)-----END PGP PUBLIC KEY BLOCK-----/g;
+    let match;
+
+    while ((match = armor.exec(text)) !== null) {
+        const lines = match[1].split(/\r?\n/);
+        // Armor headers (e.g. "Comment: ...") end at the first blank line
+        const blank = lines.findIndex((line, i) => i > 0 && line.trim() === '');
+        const body = lines.slice(blank === -1 ? 0 : blank + 1)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('=') && !line.includes(':'));
+        blocks.push(Buffer.from(body.join(''), 'base64'));
+    }
+
+    if (blocks.length === 0 && /^[A-Za-z0-9+/=\s]+$/.test(text)) {
+        blocks.push(Buffer.from(text.replace(/\s+/g, ''), 'base64'));
+    }
+
+    return blocks;
+};
+
+// Split binary packet data into { tag, body } packets
+const readPackets = (data) => {
+    const packets = [];
+    let offset = 0;
+
+    while (offset < data.length) {
+        const header = data[offset];
+        if (!(header & 0x80)) break;
+
+        let tag;
+        let length;
+        offset++;
+
+        if (header & 0x40) {
+            // New format header
+            tag = header & 0x3f;
+            const first = data[offset];
+            if (first < 192) {
+                length = first;
+                offset += 1;
+            } else if (first < 224) {
+                length = ((first - 192) << 8) + data[offset + 1] + 192;
+                offset += 2;
+            } else if (first === 255) {
+                length = data.readUInt32BE(offset + 1);
+                offset += 5;
+            } else {
+                // Partial body lengths never occur in key material
+                break;
+            }
+        } else {
+            // Old format header
+            tag = (header >> 2) & 0x0f;
+            const lengthType = header & 0x03;
+            if (lengthType === 0) {
+                length = data[offset];
+                offset += 1;
+            } else if (lengthType === 1) {
+                length = data.readUInt16BE(offset);
+                offset += 2;
+            } else if (lengthType === 2) {
+                length = data.readUInt32BE(offset);
+                offset += 4;
+            } else {
+                length = data.length - offset;
+            }
+        }
+
+        if (offset + length > data.length) break;
+        packets.push({ tag, body: data.subarray(offset, offset + length) });
+        offset += length;
+    }
+
+    return packets;
+};
+
+// Key size or curve of the public key material
+const describeMaterial = (algorithm, material) => {
+    if (NATIVE_CURVES[algorithm]) {
+        return { bits: NATIVE_CURVES[algorithm].bits, curve: NATIVE_CURVES[algorithm].name };
+    }
+
+    if ([18, 19, 22].includes(algorithm)) {
+        const oid = material.subarray(1, 1 + material[0]).toString('hex');
+        const curve = CURVES[oid];
+        return curve ? { bits: curve.bits, curve: curve.name } : { bits: null, curve: `OID ${oid}` };
+    }
+
+    // RSA, DSA and ElGamal start with an MPI: 2-byte bit count, then the value
+    if (material.length >= 2) {
+        return { bits: material.readUInt16BE(0), curve: null };
+    }
+    return { bits: null, curve: null };
+};
+
+// Parse a public key or subkey packet body
+const parseKeyPacket = (body) => {
+    const version = body[0];
+    const created = body.readUInt32BE(1);
+    const algorithm = version === 3 ? body[7] : body[5];
+    let fingerprint = null;
+    let keyId = null;
+
+    if (version === 4) {
+        const prefix = Buffer.from([0x99, (body.length >> 8) & 0xff, body.length & 0xff]);
+        fingerprint = crypto.createHash('sha1').update(prefix).update(body).digest('hex').toUpperCase();
+        keyId = fingerprint.slice(-16);
+    } else if (version === 5 || version === 6) {
+        const prefix = Buffer.alloc(5);
+        prefix[0] = version === 5 ? 0x9a : 0x9b;
+        prefix.writeUInt32BE(body.length, 1);
+        fingerprint = crypto.createHash('sha256').update(prefix).update(body).digest('hex').toUpperCase();
+        keyId = fingerprint.slice(0, 16);
+    }
+
+    // v5/v6 prefix the key material with its 4-byte length
+    const materialStart = version === 3 ? 8 : (version === 4 ? 6 : 10);
+
+    return {
+        version,
+        fingerprint,
+        key_id: keyId,
+        algorithm: ALGORITHMS[algorithm] || `Unknown (${algorithm})`,
+        ...describeMaterial(algorithm, body.subarray(materialStart)),
+        created_at: new Date(created * 1000).toISOString()
+    };
+};
+
+// Split "Name (comment) <email>" into its parts
+const parseUserId = (uid) => {
+    const email = uid.match(/<([^<>\s]+@[^<>\s]+)>/);
+    const comment = uid.match(/\(([^)]*)\)/);
+    const name = uid.replace(/<[^>]*>/, '').replace(/\([^)]*\)/, '').trim();
+    // A bare "user@host" UID is an email with no name part
+    const bareEmail = !email && /^\S+@\S+$/.test(name) ? name : null;
+
+    return {
+        uid,
+        name: bareEmail ? null : name || null,
+        email: email ? email[1] : bareEmail,
+        comment: comment ? comment[1] : null
+    };
+};
+
+// Parse armored (or base64) public keys into { fingerprint, key_id, algorithm, bits, curve, created_at, uids, subkeys }
+const parse = (text) => {
+    if (!text) {
+        return { error: true, message: 'No key data' };
+    }
+
+    const keys = [];
+    try {
+        dearmor(text).forEach(data => {
+            let current = null;
+
+            readPackets(data).forEach(({ tag, body }) => {
+                if (tag === PACKET_PUBLIC_KEY) {
+                    current = { ...parseKeyPacket(body), uids: [], subkeys: [] };
+                    keys.push(current);
+                } else if (tag === PACKET_USER_ID && current) {
+                    current.uids.push(parseUserId(body.toString('utf-8')));
+                } else if (tag === PACKET_PUBLIC_SUBKEY && current) {
+                    current.subkeys.push(parseKeyPacket(body));
+                }
+            });
+        });
+    } catch (error) {
+        // Truncated packet data; keep whatever was parsed before it
+        if (keys.length === 0) {
+            return { error: true, message: `Malformed key data: ${error.message}` };
+        }
+    }
+
+    return keys.length > 0 ? keys : { error: true, message: 'No public key packets found' };
+};
+
+class GpgParser {
+    static parse = parse;
+    static parseUserId = parseUserId;
+    static readPackets = readPackets;
+    static dearmor = dearmor;
+}
+
+module.exports = GpgParser;
@@ -0,0 +1,223 @@
+// Identity resolution - cluster emails and logins that belong to the same person
+
+// Evidence weights; a cluster's confidence is its weakest link
+const WEIGHTS = {
+    noreply: 0.95,         // <id>+<login>@users.noreply.github.com names the account
+    gpg: 0.95,             // email verified on the account's GPG key
+    commit_login: 0.9,     // the platform attributed the commit to the login
+    release_author: 0.85,  // the login published a release from a tag signed with the email
+    shared_key: 0.9,       // same SSH key uploaded to both accounts
+    name: 0.7,             // same normalized full name
+    local_part_login: 0.6, // jdoe@corp.com and login jdoe
+    local_part_name: 0.5   // john.doe@gmail.com and name "John Doe"
+};
+
+// Names that say nothing about who committed
+const GENERIC_NAMES = new Set([
+    'unknown', 'readme', 'manifest', 'discussion', 'gist', 'github', 'gitlab', 'root', 'admin', 'administrator', 'user', 'ubuntu',
+    'anonymous', 'bot', 'web flow', 'github action', 'github actions', 'dependabot'
+]);
+
+// Lowercase, strip accents and initials, sort tokens: "Doe, John A." and "john doe" both become "doe john"
+const normalizeName = (name) => {
+    if (!name) return '';
+    return name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(token => token.length > 1)
+        .sort()
+        .join(' ');
+};
+
+// A name links identities only if it is a full name and not a placeholder
+const isDistinctiveName = (normalized) => normalized.split(' ').length >= 2 && !GENERIC_NAMES.has(normalized);
+
+// Account behind a platform noreply address, or null
+const parseNoreply = (email) => {
+    const github = email.match(/^(?:(\d+)\+)?([^@+]+)@users\.noreply\.github\.com$/i);
+    if (github) return { site: 'github', login: github[2], id: github[1] ? parseInt(github[1], 10) : null };
+
+    const gitlab = email.match(/^(\d+)-([^@]+)@users\.noreply\.gitlab\.com$/i);
+    if (gitlab) return { site: 'gitlab', login: gitlab[2], id: parseInt(gitlab[1], 10) };
+
+    return null;
+};
+
+// Local part of an email as name tokens: "john.doe+work" -> "doe john"
+const localPartName = (email) => normalizeName(email.split('@')[0].replace(/\+.*$/, ''));
+
+const loginId = (site, login) => `login:${site}:${login.toLowerCase()}`;
+
+// Union-find over identifier nodes (emails and logins) with the evidence of every merge
+const createGraph = () => {
+    const parent = new Map();
+    const nodes = new Map(); // id -> { label, names: Set, keys: Set }
+    const merges = [];
+
+    const add = (id, label) => {
+        if (!nodes.has(id)) {
+            nodes.set(id, { label, names: new Set(), keys: new Set() });
+            parent.set(id, id);
+        }
+        return nodes.get(id);
+    };
+
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+
+    const union = (a, b, type, detail = null) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA === rootB) return;
+        parent.set(rootB, rootA);
+        merges.push({ a, b, type, weight: WEIGHTS[type], ...(detail && { detail }) });
+    };
+
+    return { nodes, add, find, union, merges };
+};
+
+// Build identities[] from a scan result: email_details (names, sources, github_username), tag_identities, keys or member_keys.
+// target ({ site, login, name }) is the scanned account; its commit, GPG and event emails are attributed to it.
+const resolve = (result, target = null) => {
+    const graph = createGraph();
+    const edges = [];
+    const site = target ? target.site : 'github';
+
+    if (target && target.login) {
+        const node = graph.add(loginId(target.site, target.login), `${target.site}:${target.login}`);
+        if (target.name) node.names.add(target.name);
+    }
+
+    (result.email_details || []).forEach(detail => {
+        const emailId = `email:${detail.email.toLowerCase()}`;
+        const node = graph.add(emailId, detail.email);
+        (detail.names || []).forEach(name => node.names.add(name));
+
+        const noreply = parseNoreply(detail.email);
+        if (noreply) {
+            graph.add(loginId(noreply.site, noreply.login), `${noreply.site}:${noreply.login}`);
+            edges.push([emailId, loginId(noreply.site, noreply.login), 'noreply']);
+        }
+
+        if (detail.github_username) {
+            graph.add(loginId('github', detail.github_username), `github:${detail.github_username}`);
+            edges.push([emailId, loginId('github', detail.github_username), 'commit_login']);
+        }
+
+        // In user scans, sources are tags: commit/event emails are the user's, gpg ones are verified
+        if (target && target.login && Array.isArray(detail.sources)) {
+            if (detail.sources.includes('gpg')) {
+                edges.push([emailId, loginId(target.site, target.login), 'gpg']);
+            } else if (detail.sources.includes('commit') || detail.sources.includes('event')) {
+                edges.push([emailId, loginId(target.site, target.login), 'commit_login']);
+            }
+        }
+    });
+
+    // Tagger emails of tags a human published a release from
+    (result.tag_identities || []).forEach(entry => {
+        if (!entry.tagger_email || !entry.release_author || entry.release_author_type === 'Bot') return;
+
+        const emailId = `email:${entry.tagger_email.toLowerCase()}`;
+        if (!graph.nodes.has(emailId)) return;
+        graph.add(loginId('github', entry.release_author), `github:${entry.release_author}`);
+        edges.push([emailId, loginId('github', entry.release_author), 'release_author', `${entry.repository}@${entry.tag}`]);
+    });
+
+    // SSH keys: the scanned account's keys, or every member's in an organization scan
+    const keyOwners = [];
+    if (target && target.login) {
+        keyOwners.push({ login: target.login, keys: result.keys || [] });
+    }
+    keyOwners.push(...(result.member_keys || []));
+
+    keyOwners.forEach(({ login, keys }) => keys.filter(key => key.fingerprint_sha256).forEach(key => {
+        const ownerId = loginId(site, login);
+        graph.add(ownerId, `${site}:${login}`).keys.add(key.fingerprint_sha256);
+        (key.also_used_by || []).forEach(owner => {
+            const otherId = loginId(owner.site, owner.login);
+            graph.add(otherId, `${owner.site}:${owner.login}`).keys.add(key.fingerprint_sha256);
+            edges.push([ownerId, otherId, 'shared_key', key.fingerprint_sha256]);
+        });
+    }));
+
+    // Same full name on several identifiers
+    const byName = new Map();
+    graph.nodes.forEach((node, id) => node.names.forEach(name => {
+        const normalized = normalizeName(name);
+        if (!isDistinctiveName(normalized)) return;
+        if (!byName.has(normalized)) byName.set(normalized, { label: name, ids: new Set() });
+        byName.get(normalized).ids.add(id);
+    }));
+    byName.forEach(({ label, ids }) => {
+        const [first, ...rest] = Array.from(ids);
+        rest.forEach(id => edges.push([first, id, 'name', label]));
+    });
+
+    // Email local parts that spell a known login or a known full name
+    const logins = Array.from(graph.nodes.keys()).filter(id => id.startsWith('login:'));
+    graph.nodes.forEach((node, id) => {
+        if (!id.startsWith('email:') || parseNoreply(node.label)) return;
+        const localPart = node.label.split('@')[0].replace(/\+.*$/, '').toLowerCase();
+
+        logins.filter(login => login.split(':')[2] === localPart).forEach(login => edges.push([id, login, 'local_part_login']));
+
+        const spelled = localPartName(node.label);
+        if (isDistinctiveName(spelled) && byName.has(spelled)) {
+            byName.get(spelled).ids.forEach(other => {
+                if (other !== id) edges.push([id, other, 'local_part_name', byName.get(spelled).label]);
+            });
+        }
+    });
+
+    // Strongest evidence first, so every merge is explained by the best available link
+    edges.sort((a, b) => WEIGHTS[b[2]] - WEIGHTS[a[2]])
+        .forEach(([a, b, type, detail]) => graph.union(a, b, type, detail));
+
+    const clusters = new Map();
+    graph.nodes.forEach((node, id) => {
+        const root = graph.find(id);
+        if (!clusters.has(root)) {
+            clusters.set(root, { emails: [], logins: [], names: new Set(), keys: new Set(), evidence: [] });
+        }
+        const cluster = clusters.get(root);
+        (id.startsWith('email:') ? cluster.emails : cluster.logins).push(node.label);
+        node.names.forEach(name => cluster.names.add(name));
+        node.keys.forEach(key => cluster.keys.add(key));
+    });
+    graph.merges.forEach(merge => {
+        clusters.get(graph.find(merge.a)).evidence.push({
+            type: merge.type,
+            link: [graph.nodes.get(merge.a).label, graph.nodes.get(merge.b).label],
+            weight: merge.weight,
+            ...(merge.detail && { detail: merge.detail })
+        });
+    });
+
+    return Array.from(clusters.values())
+        .map(cluster => ({
+            emails: cluster.emails,
+            logins: cluster.logins,
+            names: Array.from(cluster.names),
+            keys: Array.from(cluster.keys),
+            confidence: cluster.evidence.length > 0 ? Math.min(...cluster.evidence.map(entry => entry.weight)) : 1,
+            evidence: cluster.evidence
+        }))
+        .sort((a, b) => (b.emails.length + b.logins.length) - (a.emails.length + a.logins.length))
+        .map((identity, index) => ({ id: index + 1, ...identity }));
+};
+
+class IdentityResolver {
+    static WEIGHTS = WEIGHTS;
+    static resolve = resolve;
+    static normalizeName = normalizeName;
+    static parseNoreply = parseNoreply;
+}
+
+module.exports = IdentityResolver;
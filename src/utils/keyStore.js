@@ -0,0 +1,77 @@
+// Local index of SSH key fingerprints seen across scans
+
+const fs = require('fs');
+const path = require('path');
+const ColorUtils = require('./colors');
+const { getKeyStoreSettings } = require('../config/settings');
+
+// Store layout: { "<SHA256 fingerprint>": { type, bits, owners: [{ site, login, first_seen, last_seen }] } }.
+// A missing store is empty; one that can't be read or parsed is null, so that it is never overwritten.
+const load = () => {
+    const storePath = getKeyStoreSettings().path;
+    try {
+        const store = JSON.parse(fs.readFileSync(storePath, 'utf-8'));
+        if (store && typeof store === 'object' && !Array.isArray(store)) return store;
+        console.warn(ColorUtils.yellow(`Key store ${storePath} is not a fingerprint index - leaving it untouched`));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        console.warn(ColorUtils.yellow(`Key store ${storePath} could not be read (${error.message}) - leaving it untouched`));
+    }
+    return null;
+};
+
+const save = (store) => {
+    const storePath = getKeyStoreSettings().path;
+    try {
+        fs.mkdirSync(path.dirname(storePath), { recursive: true });
+        fs.writeFileSync(storePath, JSON.stringify(store, null, 2));
+    } catch {
+        // Correlation is a bonus, not worth failing the scan over
+    }
+};
+
+const isOwner = (owner, site, login) => owner.site === site && owner.login.toLowerCase() === login.toLowerCase();
+
+// Index the analyzed keys of accounts ([{ login, keys }]) with one read and one write of the store file,
+// and return the updated store for getOtherOwners. An unreadable store still correlates this scan's accounts
+// with each other but is not saved.
+const record = (site, accounts) => {
+    if (!getKeyStoreSettings().enabled) return {};
+
+    const stored = load();
+    const store = stored || {};
+    const now = new Date().toISOString();
+
+    accounts.forEach(({ login, keys }) => keys.filter(key => key.fingerprint_sha256).forEach(key => {
+        if (!store[key.fingerprint_sha256]) {
+            store[key.fingerprint_sha256] = { type: key.type, bits: key.bits, owners: [] };
+        }
+        const owners = store[key.fingerprint_sha256].owners;
+        const existing = owners.find(owner => isOwner(owner, site, login));
+        if (existing) {
+            existing.last_seen = now;
+        } else {
+            owners.push({ site, login, first_seen: now, last_seen: now });
+        }
+    }));
+
+    if (stored) save(store);
+    return store;
+};
+
+// Other accounts a key has been seen on in a store returned by record, as [{ site, login, first_seen }]
+const getOtherOwners = (store, fingerprint, site, login) => {
+    const entry = store[fingerprint];
+    if (!entry) return [];
+
+    return entry.owners
+        .filter(owner => !isOwner(owner, site, login))
+        .map(owner => ({ site: owner.site, login: owner.login, first_seen: owner.first_seen }));
+};
+
+class KeyStore {
+    static record = record;
+    static getOtherOwners = getOtherOwners;
+}
+
+module.exports = KeyStore;
@@ -0,0 +1,379 @@
+// Author metadata in package manifests, AUTHORS/CODEOWNERS files and LICENSE copyright lines
+
+const EMAIL = /^[^\s@<>()"',;:/]+@[^\s@<>()"',;:/]+\.[A-Za-z]{2,}$/;
+
+// Known files by name; the first match decides the format
+const FORMATS = [
+    { format: 'package-json', name: /^package\.json$/i },
+    { format: 'composer-json', name: /^composer\.json$/i },
+    { format: 'pyproject', name: /^pyproject\.toml$/i },
+    { format: 'cargo', name: /^Cargo\.toml$/i },
+    { format: 'setup-py', name: /^setup\.py$/i },
+    { format: 'pom', name: /^pom\.xml$/i },
+    { format: 'gemspec', name: /\.gemspec$/i },
+    { format: 'authors', name: /^(AUTHORS|CONTRIBUTORS|MAINTAINERS)(\.(md|txt))?$/i },
+    { format: 'codeowners', name: /^CODEOWNERS$/i },
+    { format: 'license', name: /^(LICEN[CS]E|COPYING)([.-].*)?$/i }
+];
+
+const detectFormat = (path) => {
+    const name = path.split('/').pop();
+    const known = FORMATS.find(entry => entry.name.test(name));
+    return known ? known.format : null;
+};
+
+const isEmail = (value) => typeof value === 'string' && EMAIL.test(value.trim());
+
+// npm-style person: "Name <email> (url)", a bare email, or { name, email }
+const parsePerson = (value) => {
+    if (!value) return null;
+    if (typeof value === 'object') {
+        return { name: typeof value.name === 'string' ? value.name.trim() || null : null, email: isEmail(value.email) ? value.email.trim() : null };
+    }
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim();
+    if (isEmail(text)) return { name: null, email: text };
+
+    const bracketed = text.match(/<([^<>]+)>/) || text.match(/\(([^()]+@[^()]+)\)/);
+    const name = text.replace(/<[^<>]*>|\([^()]*\)/g, '').trim();
+    return { name: name || null, email: bracketed && isEmail(bracketed[1]) ? bracketed[1].trim() : null };
+};
+
+// TOML, enough of it for manifests: tables, arrays of tables, dotted keys, all string forms,
+// arrays and inline tables. Numbers, booleans and dates are kept as their source text.
+const parseToml = (text) => {
+    const root = {};
+    let table = root;
+    let i = 0;
+
+    const fail = (message) => {
+        throw new Error(`TOML: ${message} at offset ${i}`);
+    };
+    const skipSpaces = () => {
+        while (text[i] === ' ' || text[i] === '\t') i++;
+    };
+    const skipBlank = () => {
+        for (;;) {
+            skipSpaces();
+            if (text[i] === '#') {
+                while (i < text.length && text[i] !== '\n') i++;
+            } else if (text[i] === '\n' || text[i] === '\r') {
+                i++;
+            } else {
+                return;
+            }
+        }
+    };
+
+    const parseString = () => {
+        const quote = text[i];
+        const multiline = text.startsWith(quote.repeat(3), i);
+        const end = multiline ? quote.repeat(3) : quote;
+        i += end.length;
+        if (multiline && text[i] === '\n') i++;
+
+        let value = '';
+        while (!text.startsWith(end, i)) {
+            if (i >= text.length || (!multiline && text[i] === '\n')) fail('unterminated string');
+            if (quote === '"' && text[i] === '\\') {
+                const escape = text[i + 1];
+                const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+                if (escape in simple) {
+                    value += simple[escape];
+                    i += 2;
+                } else if (escape === 'u' || escape === 'U') {
+                    const length = escape === 'u' ? 4 : 8;
+                    value += String.fromCodePoint(parseInt(text.substr(i + 2, length), 16));
+                    i += 2 + length;
+                } else {
+                    // Line-ending backslash in a multiline string trims the following whitespace
+                    i++;
+                    while (/\s/.test(text[i])) i++;
+                }
+                continue;
+            }
+            value += text[i++];
+        }
+        i += end.length;
+        return value;
+    };
+
+    const parseKey = () => {
+        const parts = [];
+        for (;;) {
+            skipSpaces();
+            if (text[i] === '"' || text[i] === '\'') {
+                parts.push(parseString());
+            } else {
+                const match = text.slice(i).match(/^[A-Za-z0-9_-]+/);
+                if (!match) fail('expected a key');
+                parts.push(match[0]);
+                i += match[0].length;
+            }
+            skipSpaces();
+            if (text[i] !== '.') return parts;
+            i++;
+        }
+    };
+
+    // Walk (and create) nested tables; an array of tables resolves to its last element
+    const descend = (from, keys) => keys.reduce((node, key) => {
+        if (node[key] === undefined) node[key] = {};
+        const next = node[key];
+        return Array.isArray(next) ? next[next.length - 1] : next;
+    }, from);
+
+    const assign = (target, keys, value) => {
+        descend(target, keys.slice(0, -1))[keys[keys.length - 1]] = value;
+    };
+
+    const parseValue = () => {
+        skipSpaces();
+        const char = text[i];
+        if (char === '"' || char === '\'') return parseString();
+
+        if (char === '[') {
+            i++;
+            const items = [];
+            for (;;) {
+                skipBlank();
+                if (text[i] === ']') {
+                    i++;
+                    return items;
+                }
+                items.push(parseValue());
+                skipBlank();
+                if (text[i] === ',') i++;
+                else if (text[i] !== ']') fail('expected , or ] in array');
+            }
+        }
+
+        if (char === '{') {
+            i++;
+            const inline = {};
+            for (;;) {
+                skipSpaces();
+                if (text[i] === '}') {
+                    i++;
+                    return inline;
+                }
+                const keys = parseKey();
+                if (text[i] !== '=') fail('expected = in inline table');
+                i++;
+                assign(inline, keys, parseValue());
+                skipSpaces();
+                if (text[i] === ',') i++;
+                else if (text[i] !== '}') fail('expected , or } in inline table');
+            }
+        }
+
+        const match = text.slice(i).match(/^[^,\]}\n#]+/);
+        if (!match) fail('expected a value');
+        i += match[0].length;
+        return match[0].trim();
+    };
+
+    for (;;) {
+        skipBlank();
+        if (i >= text.length) return root;
+
+        if (text.startsWith('[[', i)) {
+            i += 2;
+            const keys = parseKey();
+            if (!text.startsWith(']]', i)) fail('expected ]]');
+            i += 2;
+            const parent = descend(root, keys.slice(0, -1));
+            const last = keys[keys.length - 1];
+            if (!Array.isArray(parent[last])) parent[last] = [];
+            parent[last].push({});
+            table = parent[last][parent[last].length - 1];
+        } else if (text[i] === '[') {
+            i++;
+            const keys = parseKey();
+            if (text[i] !== ']') fail('expected ]');
+            i++;
+            table = descend(root, keys);
+        } else {
+            const keys = parseKey();
+            if (text[i] !== '=') fail('expected =');
+            i++;
+            assign(table, keys, parseValue());
+        }
+    }
+};
+
+// Python or Ruby string literal at the start of source: '...', "...", or triple-quoted; null otherwise
+const readQuoted = (source) => {
+    const match = source.match(/^[rRuU]?("""|'''|"|')/);
+    if (!match) return null;
+
+    const quote = match[1];
+    let value = '';
+    let i = match[0].length;
+    while (i < source.length && !source.startsWith(quote, i)) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+            value += source[i + 1];
+            i += 2;
+        } else {
+            value += source[i++];
+        }
+    }
+    return i < source.length ? { value, length: i + quote.length } : null;
+};
+
+// Literal value of a keyword argument or assignment: adjacent strings are concatenated, a list or
+// array yields every string in it, and anything else (a variable, a function call) yields nothing
+const readLiteral = (source) => {
+    let rest = source.replace(/^\s*\(?\s*/, '');
+
+    if (rest.startsWith('%w[') || rest.startsWith('%w(')) {
+        const close = rest.indexOf(rest[2] === '[' ? ']' : ')');
+        return close < 0 ? [] : rest.slice(3, close).split(/\s+/).filter(Boolean);
+    }
+
+    if (rest[0] === '[') {
+        const values = [];
+        rest = rest.slice(1);
+        for (;;) {
+            rest = rest.replace(/^[\s,]+/, '');
+            const quoted = readQuoted(rest);
+            if (!quoted) return values;
+            values.push(quoted.value);
+            rest = rest.slice(quoted.length);
+        }
+    }
+
+    let value = null;
+    for (;;) {
+        const quoted = readQuoted(rest);
+        if (!quoted) return value === null ? [] : [value];
+        value = (value || '') + quoted.value;
+        rest = rest.slice(quoted.length).replace(/^\s*(\\\s*)?/, '');
+    }
+};
+
+// Every literal assigned to name (Python keyword argument or Ruby spec.name = ...) in source
+const findAssignments = (source, pattern) => Array.from(source.matchAll(pattern), match => ({
+    values: readLiteral(source.slice(match.index + match[0].length)),
+    line: source.slice(0, match.index).split('\n').length
+}));
+
+// "A, B" names paired with "a@x, b@y" emails, as setup.py and gemspecs list several people
+const pairPeople = (names, emails, field, line = null) => {
+    const nameList = names.flatMap(name => name.split(',')).map(name => name.trim()).filter(Boolean);
+    return emails.flatMap(email => email.split(',')).map(email => email.trim()).filter(isEmail).map((email, index) => ({
+        name: nameList.length === 1 ? nameList[0] : nameList[index] || null,
+        email,
+        field,
+        ...(line && { line })
+    }));
+};
+
+const fromPeople = (people, field) => (Array.isArray(people) ? people : [people])
+    .map(parsePerson)
+    .filter(person => person && person.email)
+    .map(person => ({ ...person, field }));
+
+const PARSERS = {
+    'package-json': (content) => {
+        const manifest = JSON.parse(content);
+        return [
+            ...fromPeople(manifest.author, 'author'),
+            ...fromPeople(manifest.maintainers || [], 'maintainers'),
+            ...fromPeople(manifest.contributors || [], 'contributors')
+        ];
+    },
+
+    'composer-json': (content) => fromPeople(JSON.parse(content).authors || [], 'authors'),
+
+    pyproject: (content) => {
+        const manifest = parseToml(content);
+        const project = manifest.project || {};
+        const poetry = (manifest.tool && manifest.tool.poetry) || {};
+        return [
+            ...fromPeople(project.authors || [], 'project.authors'),
+            ...fromPeople(project.maintainers || [], 'project.maintainers'),
+            ...fromPeople(poetry.authors || [], 'tool.poetry.authors'),
+            ...fromPeople(poetry.maintainers || [], 'tool.poetry.maintainers')
+        ];
+    },
+
+    cargo: (content) => {
+        const manifest = parseToml(content);
+        return fromPeople((manifest.package && manifest.package.authors) || [], 'package.authors');
+    },
+
+    'setup-py': (content) => ['author', 'maintainer'].flatMap(role => {
+        const names = findAssignments(content, new RegExp(`\\b${role}\\s*=\\s*`, 'g'));
+        return findAssignments(content, new RegExp(`\\b${role}_email\\s*=\\s*`, 'g')).flatMap(({ values, line }) =>
+            pairPeople(names.flatMap(name => name.values), values, `${role}_email`, line));
+    }),
+
+    pom: (content) => {
+        const xml = content.replace(/<!--[\s\S]*?-->/g, '');
+        const text = (block, tag) => {
+            const match = block.match(new RegExp(`<${tag}>\\s*(?:<!\\[CDATA\\[)?([\\s\\S]*?)(?:\\]\\]>)?\\s*</${tag}>`));
+            return match ? match[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&amp;/g, '&').trim() : null;
+        };
+        return ['developer', 'contributor'].flatMap(tag => Array.from(xml.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g')), match => ({
+            name: text(match[1], 'name'),
+            email: text(match[1], 'email'),
+            field: `${tag}s`
+        }))).filter(person => isEmail(person.email));
+    },
+
+    gemspec: (content) => {
+        const names = findAssignments(content, /\.authors?\s*=\s*/g).flatMap(assignment => assignment.values);
+        return findAssignments(content, /\.email\s*=\s*/g).flatMap(({ values, line }) => pairPeople(names, values, 'email', line));
+    },
+
+    // One "Name <email>" per line; # starts a comment
+    authors: (content) => content.split(/\r?\n/).flatMap((text, index) => {
+        const entry = text.replace(/^\s*[-*]\s+/, '').trim();
+        if (!entry || entry.startsWith('#')) return [];
+        const person = parsePerson(entry);
+        return person && person.email ? [{ ...person, field: 'entry', line: index + 1 }] : [];
+    }),
+
+    // "<pattern> <owner> <owner>..." where owners are @users, @org/teams or emails
+    codeowners: (content) => content.split(/\r?\n/).flatMap((text, index) => {
+        const line = text.replace(/#.*$/, '').trim();
+        if (!line) return [];
+        return line.split(/\s+/).slice(1).filter(isEmail).map(email => ({ name: null, email, field: 'owner', line: index + 1 }));
+    }),
+
+    // "Copyright (c) 2019-2024 Jane Doe <jane@example.com>"
+    license: (content) => content.split(/\r?\n/).flatMap((text, index) => {
+        const match = text.match(/^\s*copyright\b(.*)$/i);
+        if (!match) return [];
+        const holder = match[1]
+            .replace(/^\s*(\(c\)|©|\s)*/i, '')
+            .replace(/^(\d{4}(\s*[-–,]\s*(\d{4}|present))*,?\s*)+/i, '')
+            .replace(/^by\s+/i, '')
+            .replace(/\.?\s*all rights reserved\.?$/i, '');
+        const person = parsePerson(holder);
+        return person && person.email ? [{ ...person, field: 'copyright', line: index + 1 }] : [];
+    })
+};
+
+// [{ name, email, field, line? }] for one known file; a file that doesn't parse yields nothing
+const parse = (path, content) => {
+    const format = detectFormat(path);
+    if (!format || !content) return [];
+
+    try {
+        return PARSERS[format](content);
+    } catch {
+        return [];
+    }
+};
+
+class ManifestParser {
+    static detectFormat = detectFormat;
+    static parse = parse;
+    static parsePerson = parsePerson;
+    static parseToml = parseToml;
+}
+
+module.exports = ManifestParser;
@@ -0,0 +1,140 @@
+// Async-iterator pager for list endpoints (GitHub Link headers, GitLab X-Next-Page)
+
+const ApiUtils = require('./apiUtils');
+const ColorUtils = require('./colors');
+
+// Parse an RFC 8288 Link header into { rel: url }
+const parseLinkHeader = (header) => {
+    const links = {};
+    if (!header) return links;
+
+    header.split(',').forEach(part => {
+        const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+        if (match) {
+            match[2].split(/\s+/).forEach(rel => {
+                links[rel] = match[1];
+            });
+        }
+    });
+    return links;
+};
+
+// Work out the URL of the page after the current one, or null on the last page
+const getNextUrl = (currentUrl, headers = {}) => {
+    const links = parseLinkHeader(headers.link);
+    if (links.next) {
+        return links.next;
+    }
+
+    // GitLab sends an empty X-Next-Page on the last page
+    const nextPage = headers['x-next-page'];
+    if (nextPage) {
+        const url = new URL(currentUrl);
+        url.searchParams.set('page', nextPage);
+        return url.toString();
+    }
+
+    return null;
+};
+
+class Paginator {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.maxPages = options.maxPages || Infinity;
+        this.maxItems = options.maxItems || Infinity;
+        this.select = options.select || ((data) => data); // pick the item array out of a page
+        this.callOptions = options.callOptions || {};
+        this.stopWhen = options.stopWhen || null; // checked after each consumed page, before fetching the next
+        this.error = null; // error object of the page that failed, if any
+        this.truncated = false; // stopped by maxPages/maxItems while more was available
+        this.pages = 0;
+        this.items = 0;
+    }
+
+    async *[Symbol.asyncIterator]() {
+        let nextUrl = this.url;
+
+        while (nextUrl) {
+            if (this.pages >= this.maxPages || this.items >= this.maxItems) {
+                this.truncated = true;
+                return;
+            }
+
+            const result = await ApiUtils.call(nextUrl, { ...this.callOptions, includeHeaders: true });
+            if (result.error) {
+                this.error = result;
+                return;
+            }
+
+            // An empty body (204 No Content, e.g. contributors of an empty repository) is an empty list
+            const items = result.data === '' ? [] : this.select(result.data);
+            if (!Array.isArray(items)) {
+                this.error = {
+                    error: true,
+                    message: (result.data && result.data.message) || 'Unexpected response for a list endpoint'
+                };
+                return;
+            }
+
+            this.pages++;
+            for (const item of items) {
+                if (this.items >= this.maxItems) {
+                    this.truncated = true;
+                    return;
+                }
+                this.items++;
+                yield item;
+            }
+
+            if (this.stopWhen && this.stopWhen()) {
+                return;
+            }
+
+            nextUrl = getNextUrl(nextUrl, result.headers);
+        }
+    }
+
+    // Collect every item; the error object is returned only if nothing could be fetched
+    async collect() {
+        const items = [];
+        for await (const item of this) {
+            items.push(item);
+        }
+
+        if (this.error && items.length === 0) {
+            return this.error;
+        }
+        if (this.error) {
+            console.warn(ColorUtils.yellow(`Listing stopped after ${this.pages} page(s) of ${this.url}: ${this.error.message}`));
+        }
+        return items;
+    }
+
+    // Why the listing stopped early, or null once every page was read: { reason, message?, status?, pages, items }
+    // with reason 'error' (a page failed, e.g. the request budget ran out) or 'page_limit' (maxPages/maxItems)
+    getIncomplete() {
+        if (!this.error && !this.truncated) {
+            return null;
+        }
+        return {
+            reason: this.error ? 'error' : 'page_limit',
+            ...(this.error && { message: this.error.message || 'Unknown error', status: this.error.status || null }),
+            pages: this.pages,
+            items: this.items
+        };
+    }
+
+    static create(url, options = {}) {
+        return new Paginator(url, options);
+    }
+
+    // Shorthand for Paginator.create(url, options).collect()
+    static async collect(url, options = {}) {
+        return new Paginator(url, options).collect();
+    }
+
+    static parseLinkHeader = parseLinkHeader;
+    static getNextUrl = getNextUrl;
+}
+
+module.exports = Paginator;
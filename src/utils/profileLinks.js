@@ -0,0 +1,137 @@
+// Social profile links - provider detection and extraction from profile README markdown
+
+// host pattern, path pattern capturing the handle; first match wins
+const PROVIDERS = [
+    { provider: 'linkedin', host: /(^|\.)linkedin\.com$/, path: /^\/(?:in|company)\/([^/]+)/ },
+    { provider: 'twitter', host: /^(twitter|x)\.com$/, path: /^\/(?!intent|share|home|hashtag)([A-Za-z0-9_]{1,15})$/ },
+    { provider: 'github', host: /^github\.com$/, path: /^\/([A-Za-z0-9-]+)$/ },
+    { provider: 'gitlab', host: /^gitlab\.com$/, path: /^\/([A-Za-z0-9_.-]+)$/ },
+    { provider: 'facebook', host: /(^|\.)facebook\.com$/, path: /^\/([A-Za-z0-9.]+)$/ },
+    { provider: 'instagram', host: /^instagram\.com$/, path: /^\/([A-Za-z0-9_.]+)$/ },
+    { provider: 'youtube', host: /^youtube\.com$/, path: /^\/(?:(@[^/]+)|(?:c|user|channel)\/([^/]+))$/ },
+    { provider: 'bluesky', host: /^bsky\.app$/, path: /^\/profile\/([^/]+)$/ },
+    { provider: 'reddit', host: /(^|\.)reddit\.com$/, path: /^\/(?:u|user)\/([^/]+)$/ },
+    { provider: 'stackoverflow', host: /^stackoverflow\.com$/, path: /^\/users\/(\d+)/ },
+    { provider: 'medium', host: /^medium\.com$/, path: /^\/(@[^/]+)$/ },
+    { provider: 'devto', host: /^dev\.to$/, path: /^\/([A-Za-z0-9_]+)$/ },
+    { provider: 'keybase', host: /^keybase\.io$/, path: /^\/([A-Za-z0-9_]+)$/ },
+    { provider: 'telegram', host: /^t\.me$/, path: /^\/([A-Za-z0-9_]+)$/ },
+    { provider: 'twitch', host: /^twitch\.tv$/, path: /^\/([A-Za-z0-9_]+)$/ },
+    { provider: 'npm', host: /^npmjs\.com$/, path: /^\/~([^/]+)$/ },
+    { provider: 'hackernews', host: /^news\.ycombinator\.com$/, path: /^\/user$/, query: 'id' },
+    // Any Mastodon-compatible instance: https://<host>/@<user>
+    { provider: 'mastodon', host: /./, path: /^\/@([A-Za-z0-9_]+)$/ }
+];
+
+// Badges, stats cards and other images embedded in profile READMEs
+const IGNORED_HOSTS = /(^|\.)(shields\.io|githubusercontent\.com|github-readme-stats\.vercel\.app|github-profile-trophy\.vercel\.app|readme-typing-svg\.(herokuapp\.com|demolab\.com)|komarev\.com|skillicons\.dev|visitor-badge\.laobi\.icu)$/;
+const IMAGE_PATH = /\.(png|jpe?g|gif|svg|webp|ico)$/i;
+
+// mailto: targets are percent-encoded; a malformed escape keeps the raw text
+const decodeMailto = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+};
+
+// Canonical form: https, lowercase host without www, no trailing slash or fragment
+const normalizeUrl = (value) => {
+    // mailto:, javascript: and friends are never profiles
+    if (/^[a-z][a-z0-9+.-]*:(?!\d)/i.test(value) && !/^https?:\/\//i.test(value)) return null;
+
+    let url;
+    try {
+        url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+    } catch {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    const pathname = url.pathname.replace(/\/+$/, '');
+    return { url: `https://${host}${pathname}${url.search}`, host, pathname, searchParams: url.searchParams };
+};
+
+// { provider, handle, url } for a link; unknown sites are 'website' with no handle
+const detectProvider = (value) => {
+    const normalized = normalizeUrl(value);
+    if (!normalized) return null;
+
+    const { url, host, pathname, searchParams } = normalized;
+    for (const rule of PROVIDERS) {
+        if (!rule.host.test(host)) continue;
+        const match = pathname.match(rule.path);
+        if (!match) continue;
+
+        const handle = rule.query ? searchParams.get(rule.query) : match.slice(1).find(Boolean);
+        if (!handle) continue;
+        return { provider: rule.provider, handle: rule.provider === 'mastodon' ? `@${handle}@${host}` : handle, url };
+    }
+    return { provider: 'website', handle: null, url };
+};
+
+// Links, emails and fediverse handles of a profile README. Only links to known providers are returned;
+// a README links plenty of projects and docs that say nothing about the person.
+const extractFromMarkdown = (markdown) => {
+    const text = markdown || '';
+    const urls = new Set();
+
+    // Markdown links and images, <autolinks>, HTML href/src and bare URLs
+    const images = new Set(Array.from(text.matchAll(/!\[[^\]]*\]\(([^)\s]+)[^)]*\)/g), match => match[1]));
+    const candidates = [
+        ...Array.from(text.matchAll(/\]\(([^)\s]+)[^)]*\)/g), match => match[1]),
+        ...Array.from(text.matchAll(/href=["']([^"']+)["']/gi), match => match[1]),
+        ...Array.from(text.matchAll(/(?:^|[\s(<])(https?:\/\/[^\s)<>"'\]]+)/g), match => match[1])
+    ];
+    candidates.forEach(candidate => {
+        if (!images.has(candidate) && /^https?:\/\//i.test(candidate)) urls.add(candidate.replace(/[.,;:]+$/, ''));
+    });
+
+    const links = [];
+    urls.forEach(candidate => {
+        const detected = detectProvider(candidate);
+        if (!detected || detected.provider === 'website') return;
+
+        const { host, pathname } = normalizeUrl(candidate);
+        if (IGNORED_HOSTS.test(host) || IMAGE_PATH.test(pathname)) return;
+        links.push(detected);
+    });
+
+    // @user@instance.social handles written out in the text
+    Array.from(text.matchAll(/(?:^|[\s(])@([A-Za-z0-9_]+)@([a-z0-9-]+(?:\.[a-z0-9-]+)+)/gi)).forEach(([, user, host]) => {
+        links.push({ provider: 'mastodon', handle: `@${user}@${host.toLowerCase()}`, url: `https://${host.toLowerCase()}/@${user}` });
+    });
+
+    const emails = new Set();
+    Array.from(text.matchAll(/mailto:([^)\s"'?>]+)/gi)).forEach(match => emails.add(decodeMailto(match[1])));
+    (text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g) || []).forEach(email => {
+        // Skip the user@host part of fediverse handles already captured above
+        if (!links.some(link => link.provider === 'mastodon' && link.handle.toLowerCase() === `@${email.toLowerCase()}`)) emails.add(email);
+    });
+
+    return { links, emails: Array.from(emails) };
+};
+
+// Merge { provider, handle, url, source } entries into social_profiles[], one per URL with every source that listed it
+const merge = (entries) => {
+    const profiles = new Map();
+    entries.filter(Boolean).forEach(({ provider, handle, url, source }) => {
+        const key = url.toLowerCase();
+        if (!profiles.has(key)) {
+            profiles.set(key, { provider, handle, url, sources: [] });
+        }
+        const profile = profiles.get(key);
+        if (!profile.sources.includes(source)) profile.sources.push(source);
+    });
+    return Array.from(profiles.values());
+};
+
+class ProfileLinks {
+    static detectProvider = detectProvider;
+    static extractFromMarkdown = extractFromMarkdown;
+    static merge = merge;
+}
+
+module.exports = ProfileLinks;
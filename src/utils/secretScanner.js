@@ -0,0 +1,174 @@
+// Secret detection in commit diffs - rule pack, entropy check and redaction
+
+const crypto = require('crypto');
+
+// Each rule's first capture group (or the whole match) is the secret
+const RULES = [
+    {
+        id: 'aws-access-key-id',
+        description: 'AWS access key ID',
+        pattern: /\b((?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16})\b/
+    },
+    {
+        id: 'aws-secret-access-key',
+        description: 'AWS secret access key',
+        pattern: /aws.{0,20}?(?:secret|key).{0,20}?[=:]\s*['"]?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/i
+    },
+    {
+        id: 'github-token',
+        description: 'GitHub personal access, OAuth, app or refresh token',
+        pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,255})\b/
+    },
+    {
+        id: 'github-fine-grained-token',
+        description: 'GitHub fine-grained personal access token',
+        pattern: /\b(github_pat_[A-Za-z0-9_]{82})\b/
+    },
+    {
+        id: 'slack-token',
+        description: 'Slack bot, user or app token',
+        pattern: /\b(xox[abposr]-[0-9A-Za-z-]{10,})\b/
+    },
+    {
+        id: 'slack-webhook',
+        description: 'Slack incoming webhook URL',
+        pattern: /(https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+)/
+    },
+    {
+        id: 'private-key',
+        description: 'Private key block',
+        pattern: /-----BEGIN (?:RSA |DSA |EC |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/
+    },
+    {
+        id: 'jwt',
+        description: 'JSON Web Token',
+        pattern: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})(?![A-Za-z0-9_-])/
+    },
+    {
+        id: 'generic-high-entropy',
+        description: 'High-entropy value assigned to a secret-looking name',
+        pattern: /(?:key|secret|token|passw(?:or)?d|pwd|auth|credential)[A-Za-z0-9_-]*['"]?\s*[:=]\s*['"]?([A-Za-z0-9+/=_.-]{20,})/i,
+        minEntropy: 4.0
+    }
+];
+
+// Shannon entropy in bits per character
+const shannonEntropy = (value) => {
+    const counts = new Map();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+
+    let entropy = 0;
+    counts.forEach(count => {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    });
+    return entropy;
+};
+
+// A plain hash of a short or low-entropy secret can be brute-forced back, so secret_hash is keyed with a
+// random per-run key: findings of one scan can be matched with each other, never reversed or linked across runs
+const HASH_KEY = crypto.randomBytes(32);
+const hashSecret = (secret) => crypto.createHmac('sha256', HASH_KEY).update(secret).digest('hex').substring(0, 16);
+
+// Keep just enough of a secret to recognize it
+const redact = (secret) => (secret.length <= 8 ? '*'.repeat(8) : `${secret.slice(0, 4)}${'*'.repeat(8)}`);
+
+// Match one added line against the rule pack; a value claimed by a specific rule isn't reported again as generic
+const scanLine = (text) => {
+    const matches = [];
+    const claimed = new Set();
+
+    RULES.forEach(rule => {
+        const match = text.match(rule.pattern);
+        if (!match) return;
+
+        const secret = match[1] || match[0];
+        if (rule.minEntropy && (claimed.has(secret) || shannonEntropy(secret) < rule.minEntropy)) return;
+
+        claimed.add(secret);
+        matches.push({ rule, secret });
+    });
+
+    return matches;
+};
+
+// Scan the added lines of a unified diff; yields { rule, secret, line } with new-file line numbers
+const scanPatch = (patch) => {
+    const findings = [];
+    let line = 0;
+
+    (patch || '').split('\n').forEach(text => {
+        const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+        if (hunk) {
+            line = parseInt(hunk[1], 10);
+            return;
+        }
+
+        if (text.startsWith('+')) {
+            scanLine(text.slice(1)).forEach(match => findings.push({ ...match, line }));
+            line++;
+        } else if (!text.startsWith('-') && !text.startsWith('\\')) {
+            line++;
+        }
+    });
+
+    return findings;
+};
+
+// Scan every line of a file's content rather than a diff; yields { rule, secret, line }
+const scanText = (text) => {
+    const findings = [];
+    (text || '').split('\n').forEach((line, index) => {
+        scanLine(line).forEach(match => findings.push({ ...match, line: index + 1 }));
+    });
+    return findings;
+};
+
+// Reportable form of a matched secret: redacted unless showSecrets is set
+const describeSecret = (rule, secret, showSecrets = false) => ({
+    rule_id: rule.id,
+    description: rule.description,
+    match: showSecrets ? secret : redact(secret),
+    redacted: !showSecrets,
+    // Lets the same secret be recognized across commits without storing it
+    secret_hash: hashSecret(secret)
+});
+
+// Scan a commit as returned by /repos/:owner/:repo/commits/:sha; secrets are redacted unless showSecrets is set
+const scanCommit = (commit, repository, options = {}) => {
+    const { showSecrets = false } = options;
+    const findings = [];
+
+    (commit.files || []).forEach(file => {
+        scanPatch(file.patch).forEach(({ rule, secret, line }) => {
+            const { rule_id, description, ...described } = describeSecret(rule, secret, showSecrets);
+            findings.push({
+                rule_id,
+                description,
+                repository,
+                commit: commit.sha,
+                file: file.filename,
+                line,
+                author_email: commit.commit && commit.commit.author ? commit.commit.author.email : null,
+                date: commit.commit && commit.commit.author ? commit.commit.author.date : null,
+                ...described
+            });
+        });
+    });
+
+    return findings;
+};
+
+class SecretScanner {
+    static RULES = RULES;
+    static scanCommit = scanCommit;
+    static scanPatch = scanPatch;
+    static scanText = scanText;
+    static describeSecret = describeSecret;
+    static shannonEntropy = shannonEntropy;
+    static redact = redact;
+}
+
+module.exports = SecretScanner;
@@ -0,0 +1,165 @@
+// OpenSSH public key parsing - fingerprints, key sizes and weak-key checks
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ECDSA_BITS = {
+    nistp256: 256,
+    nistp384: 384,
+    nistp521: 521
+};
+
+// ROCA (CVE-2017-15361): moduli from vulnerable Infineon chips are, for each of these primes,
+// congruent to a power of 65537 - random moduli practically never are
+const ROCA_PRIMES = [3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53, 59, 61, 67, 71, 73, 79, 83, 89, 97,
+    101, 103, 107, 109, 113, 127, 131, 137, 139, 149, 151, 157, 163, 167];
+
+const ROCA_SUBGROUPS = ROCA_PRIMES.map(prime => {
+    const powers = new Set();
+    let value = 1;
+    do {
+        powers.add(value);
+        value = (value * 65537) % prime;
+    } while (!powers.has(value));
+    return { prime: BigInt(prime), powers };
+});
+
+// Fingerprints from a --bad-keys-file blocklist
+let badKeys = new Set();
+
+// Read the SSH wire-format strings of a key blob
+const readFields = (blob) => {
+    const fields = [];
+    let offset = 0;
+    while (offset + 4 <= blob.length) {
+        const length = blob.readUInt32BE(offset);
+        offset += 4;
+        if (offset + length > blob.length) break;
+        fields.push(blob.subarray(offset, offset + length));
+        offset += length;
+    }
+    return fields;
+};
+
+// Bit length of an mpint, ignoring its sign padding
+const mpintBits = (mpint) => {
+    let start = 0;
+    while (start < mpint.length && mpint[start] === 0) start++;
+    if (start === mpint.length) return 0;
+    return (mpint.length - start - 1) * 8 + mpint[start].toString(2).length;
+};
+
+const isRocaModulus = (modulus) => {
+    const n = BigInt(`0x${modulus.toString('hex') || '0'}`);
+    return ROCA_SUBGROUPS.every(({ prime, powers }) => powers.has(Number(n % prime)));
+};
+
+// Key size in bits (curve size for ECDSA, fixed for Ed25519)
+const getBits = (type, fields) => {
+    if (type === 'ssh-rsa') return fields[2] ? mpintBits(fields[2]) : null;
+    if (type === 'ssh-dss') return fields[1] ? mpintBits(fields[1]) : null;
+    if (type.includes('ed25519')) return 256;
+    if (type.includes('ed448')) return 456;
+
+    const curve = type.match(/nistp(256|384|521)/);
+    return curve ? ECDSA_BITS[`nistp${curve[1]}`] : null;
+};
+
+// Why a key should not be trusted, if at all
+const getWeaknesses = (type, bits, fields, fingerprints) => {
+    const weaknesses = [];
+
+    if (type === 'ssh-dss') {
+        weaknesses.push('DSA keys are limited to 1024 bits and disabled by default in OpenSSH');
+    }
+    if (type === 'ssh-rsa' && bits && bits < 2048) {
+        weaknesses.push(`RSA key is only ${bits} bits (minimum 2048)`);
+    }
+    if (type === 'ssh-rsa' && fields[2] && isRocaModulus(fields[2])) {
+        weaknesses.push('RSA modulus is vulnerable to ROCA (CVE-2017-15361)');
+    }
+    if (isBadKey(fingerprints)) {
+        weaknesses.push('Fingerprint is on the known-bad key list');
+    }
+
+    return weaknesses;
+};
+
+// Check fingerprints against the blocklist; short hex entries match an MD5 suffix (Debian openssh-blacklist style)
+const isBadKey = ({ sha256, md5 }) => {
+    if (badKeys.size === 0) return false;
+
+    const md5Hex = md5.replace(/^MD5:/, '').replace(/:/g, '');
+    if (badKeys.has(sha256) || badKeys.has(md5Hex)) return true;
+
+    for (let length = 20; length < 32; length++) {
+        if (badKeys.has(md5Hex.slice(-length))) return true;
+    }
+    return false;
+};
+
+// Analyze an OpenSSH public key line ("type base64 [comment]"); returns an error object if it can't be decoded
+const analyze = (keyLine) => {
+    const parts = (keyLine || '').trim().split(/\s+/);
+    if (parts.length < 2) {
+        return { error: true, message: 'Not an OpenSSH public key' };
+    }
+
+    const blob = Buffer.from(parts[1], 'base64');
+    const fields = readFields(blob);
+    if (fields.length === 0 || fields[0].toString() !== parts[0]) {
+        return { error: true, message: 'Key blob does not match its type' };
+    }
+
+    const type = parts[0];
+    const bits = getBits(type, fields);
+    const fingerprints = {
+        sha256: `SHA256:${crypto.createHash('sha256').update(blob).digest('base64').replace(/=+$/, '')}`,
+        md5: `MD5:${crypto.createHash('md5').update(blob).digest('hex').match(/../g).join(':')}`
+    };
+    const weaknesses = getWeaknesses(type, bits, fields, fingerprints);
+
+    return {
+        type,
+        bits,
+        fingerprint_sha256: fingerprints.sha256,
+        fingerprint_md5: fingerprints.md5,
+        weak: weaknesses.length > 0,
+        weaknesses
+    };
+};
+
+// Load a blocklist: one fingerprint per line (SHA256:..., MD5 hex with or without colons, or an MD5 suffix).
+// Returns the number of fingerprints, or { error, message } for an unreadable file or a malformed line.
+const loadBadKeys = (filePath) => {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf-8');
+    } catch (error) {
+        return { error: true, message: `Cannot read bad keys file ${filePath}: ${error.message}` };
+    }
+
+    const fingerprints = new Set();
+    const lines = content.split(/\r?\n/);
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index].trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const fingerprint = line.startsWith('SHA256:') ? line : line.replace(/^MD5:/i, '').replace(/:/g, '').toLowerCase();
+        if (!/^SHA256:[A-Za-z0-9+/]{43}=?$/.test(fingerprint) && !/^[0-9a-f]{1,32}$/.test(fingerprint)) {
+            return { error: true, message: `Invalid fingerprint on line ${index + 1} of ${filePath}: ${line}` };
+        }
+        fingerprints.add(fingerprint);
+    }
+
+    badKeys = fingerprints;
+    return badKeys.size;
+};
+
+class SshKeyParser {
+    static analyze = analyze;
+    static loadBadKeys = loadBadKeys;
+    static isRocaModulus = isRocaModulus;
+}
+
+module.exports = SshKeyParser;
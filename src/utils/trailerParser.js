@@ -0,0 +1,83 @@
+// Commit message trailer parsing (Co-authored-by, Signed-off-by, ...)
+
+// Trailers that carry a person's identity
+const IDENTITY_TRAILERS = [
+    'co-authored-by',
+    'signed-off-by',
+    'reviewed-by',
+    'reported-by',
+    'acked-by',
+    'tested-by',
+    'suggested-by',
+    'helped-by'
+];
+
+const TRAILER_LINE = new RegExp(`^\\s*(${IDENTITY_TRAILERS.join('|')})\\s*:\\s*(.*?)\\s*<([^<>\\s]+@[^<>\\s]+)>\\s*$`, 'i');
+
+// Extract { trailer, name, email, source } identities from a commit message
+const parse = (message) => {
+    if (!message) return [];
+
+    const identities = [];
+    const seen = new Set();
+
+    message.split(/\r?\n/).forEach(line => {
+        const match = line.match(TRAILER_LINE);
+        if (!match) return;
+
+        const trailer = match[1].toLowerCase();
+        const email = match[3];
+        const key = `${trailer} ${email.toLowerCase()}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        identities.push({
+            trailer,
+            name: match[2] || null,
+            email,
+            source: `trailer:${trailer}`
+        });
+    });
+
+    return identities;
+};
+
+// Add a commit's trailer identities to identities (email -> { names, sources, linked_to }),
+// linking each one to the commit author; returns the identities found
+const collect = (message, authorEmail, identities) => {
+    const found = parse(message);
+
+    found.forEach(({ name, email, source }) => {
+        if (!identities.has(email)) {
+            identities.set(email, { names: new Set(), sources: new Set(), linked_to: new Set() });
+        }
+        const entry = identities.get(email);
+        if (name) entry.names.add(name);
+        entry.sources.add(source);
+        if (authorEmail && authorEmail.toLowerCase() !== email.toLowerCase()) {
+            entry.linked_to.add(authorEmail);
+        }
+    });
+
+    return found;
+};
+
+// Report fields for an email found in trailers: { trailers, linked_to }, or {} otherwise
+const describe = (identities, email) => {
+    const entry = identities.get(email);
+    if (!entry) return {};
+
+    return {
+        trailers: Array.from(entry.sources),
+        linked_to: Array.from(entry.linked_to)
+    };
+};
+
+class TrailerParser {
+    static IDENTITY_TRAILERS = IDENTITY_TRAILERS;
+    static parse = parse;
+    static collect = collect;
+    static describe = describe;
+}
+
+module.exports = TrailerParser;
@@ -0,0 +1,87 @@
+// Offline scans of local clones and bundles
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const LocalRepo = require('../../src/services/local/localRepo');
+
+const git = (cwd, args, env = {}) => execFileSync('git', args, { cwd, env: { ...process.env, ...env }, stdio: 'pipe' });
+
+const identity = (name, email, date) => ({
+    GIT_AUTHOR_NAME: name,
+    GIT_AUTHOR_EMAIL: email,
+    GIT_AUTHOR_DATE: date,
+    GIT_COMMITTER_NAME: name,
+    GIT_COMMITTER_EMAIL: email,
+    GIT_COMMITTER_DATE: date
+});
+
+describe('LocalRepo', () => {
+    let workDir;
+    let repoDir;
+
+    beforeAll(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitrecon-local-'));
+        repoDir = path.join(workDir, 'project');
+        git(workDir, ['init', '-q', '-b', 'main', 'project']);
+        git(repoDir, ['commit', '-q', '--allow-empty', '-m', 'initial'], identity('Alice', 'alice@home.example', '2020-01-01T10:00:00+02:00'));
+        git(repoDir, ['checkout', '-q', '-b', 'feature']);
+        git(repoDir, ['commit', '-q', '--allow-empty', '-m', 'wip'], {
+            ...identity('Alice W', 'alice@old.example', '2021-06-01T09:00:00Z'),
+            GIT_COMMITTER_NAME: 'CI Bot',
+            GIT_COMMITTER_EMAIL: 'bot@ci.example'
+        });
+        git(repoDir, ['checkout', '-q', 'main']);
+        git(repoDir, ['commit', '-q', '--allow-empty', '-m', 'release'], identity('Alice', 'alice@home.example', '2022-03-01T08:00:00-05:00'));
+        git(repoDir, ['bundle', 'create', path.join(workDir, 'project.bundle'), '--all']);
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'table').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('attributes identities to roles, branches and dates', async () => {
+        const result = await LocalRepo.runRecon(repoDir);
+
+        expect(result.repository).toBe('project');
+        expect(result.branches.sort()).toEqual(['feature', 'main']);
+        expect(result.commits_scanned).toBe(3);
+        expect(result.leaked_emails.sort()).toEqual(['alice@home.example', 'alice@old.example', 'bot@ci.example']);
+
+        const home = result.email_details.find(detail => detail.email === 'alice@home.example');
+        expect(home.roles).toEqual(['author', 'committer']);
+        expect(home.branches.sort()).toEqual(['feature', 'main']);
+        expect(home.commit_count).toBe(2);
+        expect(home.first_seen).toBe('2020-01-01T10:00:00+02:00');
+        expect(home.last_seen).toBe('2022-03-01T08:00:00-05:00');
+
+        const bot = result.email_details.find(detail => detail.email === 'bot@ci.example');
+        expect(bot.roles).toEqual(['committer']);
+        expect(bot.branches).toEqual(['feature']);
+    });
+
+    test('reads git bundles through a temporary mirror', async () => {
+        const result = await LocalRepo.runRecon(path.join(workDir, 'project.bundle'));
+
+        expect(result.scan_mode).toBe('local-bundle');
+        expect(result.commits_scanned).toBe(3);
+        expect(result.leaked_emails).toHaveLength(3);
+    });
+
+    test('returns null for a directory that is not a repository', async () => {
+        expect(await LocalRepo.runRecon(workDir)).toBeNull();
+    });
+});
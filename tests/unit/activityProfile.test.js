@@ -0,0 +1,54 @@
+// Commit-time histogram and timezone inference
+
+const ActivityProfile = require('../../src/utils/activityProfile');
+
+const profile = (dates) => {
+    const timestamps = new Map();
+    dates.forEach((date, i) => ActivityProfile.record(timestamps, `sha${i}`, [date]));
+    return ActivityProfile.build(timestamps);
+};
+
+describe('ActivityProfile', () => {
+    test('buckets commits by local hour and weekday using their UTC offset', () => {
+        // Wednesday 09:30 in Lisbon summer time and Wednesday 23:30 in Tokyo
+        const result = profile(['2024-07-03T09:30:00+01:00', '2024-07-03T23:30:00+09:00']);
+        const wednesday = result.histogram.days.indexOf('Wed');
+
+        expect(result.histogram.counts[wednesday][9]).toBe(1);
+        expect(result.histogram.counts[wednesday][23]).toBe(1);
+        expect(result.utc_offsets.map(entry => entry.offset)).toEqual(['+01:00', '+09:00']);
+    });
+
+    test('infers the dominant offset and detects timezone changes', () => {
+        const result = profile([
+            '2023-01-10T10:00:00+01:00', '2023-01-11T11:00:00+01:00',
+            '2023-04-12T10:00:00+02:00', '2023-04-13T15:00:00+02:00', '2023-04-14T16:00:00+02:00',
+            '2023-09-01T09:00:00-04:00'
+        ]);
+
+        expect(result.timezone).toEqual({ offset: '+02:00', method: 'declared', share: 0.5 });
+        expect(result.timezone_changes).toEqual([
+            { from: '+01:00', to: '+02:00', since: '2023-04', dst: true },
+            { from: '+02:00', to: '-04:00', since: '2023-09', dst: false }
+        ]);
+    });
+
+    test('estimates the offset from working hours when dates are UTC', () => {
+        // Commits between 15:00 and 23:00 UTC look like a 10:00-18:00 day at UTC-05:00
+        const dates = [15, 16, 17, 18, 19, 20, 21, 22].map(hour => `2024-03-05T${hour}:00:00Z`);
+
+        const result = profile(dates);
+        expect(result.timezone).toEqual({ offset: '-05:00', method: 'activity', share: null });
+        expect(result.utc_offsets).toEqual([]);
+        expect(result.note).toMatch(/no UTC offset/);
+    });
+
+    test('counts a commit once and returns null without timestamps', () => {
+        const timestamps = new Map();
+        ActivityProfile.record(timestamps, 'abc', ['2024-01-01T10:00:00+01:00', '2024-01-01T10:00:00+01:00']);
+        ActivityProfile.record(timestamps, 'abc', ['2024-01-02T10:00:00+01:00']);
+
+        expect(ActivityProfile.build(timestamps).timestamps_analyzed).toBe(1);
+        expect(ActivityProfile.build(new Map())).toBeNull();
+    });
+});
@@ -0,0 +1,65 @@
+// Retry classification and backoff of failed API requests
+
+const ApiUtils = require('../../src/utils/apiUtils');
+const { getRetrySettings, setRetrySettings } = require('../../src/config/settings');
+
+const failure = (status, headers = {}, data = {}) => ({ response: { status, headers, data } });
+
+describe('ApiUtils retries', () => {
+    const defaults = getRetrySettings();
+
+    afterEach(() => {
+        setRetrySettings(defaults);
+        jest.restoreAllMocks();
+    });
+
+    test('retries network errors and server errors but not client errors', () => {
+        expect(ApiUtils.classifyFailure({ request: {} })).toEqual({ retryable: true, waitMs: 0 });
+        expect(ApiUtils.classifyFailure(new Error('bad config'))).toEqual({ retryable: false, waitMs: 0 });
+        expect(ApiUtils.classifyFailure(failure(502))).toEqual({ retryable: true, waitMs: 0 });
+        expect(ApiUtils.classifyFailure(failure(404))).toEqual({ retryable: false, waitMs: 0 });
+        expect(ApiUtils.classifyFailure(failure(403, {}, { message: 'Resource not accessible' }))).toEqual({ retryable: false, waitMs: 0 });
+    });
+
+    test('honours Retry-After on secondary rate limits and server errors', () => {
+        expect(ApiUtils.classifyFailure(failure(403, { 'retry-after': '30' }))).toEqual({ retryable: true, waitMs: 30000, rateLimit: 'secondary' });
+        expect(ApiUtils.classifyFailure(failure(403, {}, { message: 'You have exceeded a secondary rate limit' })))
+            .toEqual({ retryable: true, waitMs: 60000, rateLimit: 'secondary' });
+        expect(ApiUtils.classifyFailure(failure(429))).toEqual({ retryable: true, waitMs: 60000, rateLimit: 'secondary' });
+        expect(ApiUtils.classifyFailure(failure(503, { 'retry-after': '5' }))).toEqual({ retryable: true, waitMs: 5000 });
+    });
+
+    test('waits for a primary rate limit reset only when it is within the maximum delay', () => {
+        setRetrySettings({ maxDelay: 60000 });
+        const resetIn = (seconds) => String(Math.floor(Date.now() / 1000) + seconds);
+
+        const soon = ApiUtils.classifyFailure(failure(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': resetIn(30) }));
+        expect(soon).toMatchObject({ retryable: true, rateLimit: 'primary' });
+        expect(soon.waitMs).toBeGreaterThan(29000);
+
+        const later = ApiUtils.classifyFailure(failure(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': resetIn(3600) }));
+        expect(later).toMatchObject({ retryable: false, rateLimit: 'primary' });
+    });
+
+    test('backs off exponentially up to the cap, never below the server minimum', () => {
+        setRetrySettings({ baseDelay: 1000, maxDelay: 5000 });
+        jest.spyOn(Math, 'random').mockReturnValue(0.999);
+
+        expect(ApiUtils.getBackoffDelay(0, 0)).toBe(999);
+        expect(ApiUtils.getBackoffDelay(2, 0)).toBe(3996);
+        expect(ApiUtils.getBackoffDelay(10, 0)).toBe(4995);
+        expect(ApiUtils.getBackoffDelay(0, 30000)).toBe(30000);
+    });
+});
+
+describe('ApiUtils budget', () => {
+    test('records each skipped phase once', () => {
+        const result = { skipped_phases: [] };
+
+        ApiUtils.skipPhase(result, 'tags');
+        ApiUtils.skipPhase(result, 'tags');
+        ApiUtils.skipPhase(result, 'manifests');
+
+        expect(result).toEqual({ skipped_phases: ['tags', 'manifests'], scan_interrupted: true });
+    });
+});
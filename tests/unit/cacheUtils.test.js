@@ -0,0 +1,86 @@
+// On-disk response cache and 304 revalidation
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const ApiUtils = require('../../src/utils/apiUtils');
+const CacheUtils = require('../../src/utils/cacheUtils');
+const { getCacheSettings, setCacheSettings } = require('../../src/config/settings');
+const { getDelay, setDelay } = require('../../src/config/constants');
+
+const URL = 'https://api.github.com/users/octo-demo';
+const TOKEN = { Authorization: 'token secret-token' };
+
+describe('CacheUtils', () => {
+    const defaults = { cache: getCacheSettings(), delay: getDelay() };
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitrecon-cache-'));
+        setCacheSettings({ enabled: true, dir, ttl: 3600 });
+        setDelay(0);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        setCacheSettings(defaults.cache);
+        setDelay(defaults.delay);
+        jest.restoreAllMocks();
+    });
+
+    test('stores responses per URL and credential, without the token itself', () => {
+        CacheUtils.write(URL, TOKEN, { status: 200, headers: { etag: '"v1"', 'x-ratelimit-remaining': '10' }, data: { login: 'octo-demo' } });
+
+        const entry = CacheUtils.read(URL, TOKEN);
+        expect(entry).toMatchObject({ url: URL, status: 200, headers: { etag: '"v1"' }, data: { login: 'octo-demo' } });
+        expect(entry.headers['x-ratelimit-remaining']).toBeUndefined();
+        expect(CacheUtils.read(URL, {})).toBeNull();
+        expect(fs.readdirSync(dir).map(file => fs.readFileSync(path.join(dir, file), 'utf-8')).join('')).not.toContain('secret-token');
+    });
+
+    test('serves entries within the TTL and revalidates older ones conditionally', () => {
+        CacheUtils.write(URL, {}, { status: 200, headers: { etag: '"v1"', 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' }, data: {} });
+        const entry = CacheUtils.read(URL, {});
+        expect(CacheUtils.isFresh(entry)).toBe(true);
+
+        setCacheSettings({ ttl: 0 });
+        expect(CacheUtils.isFresh(entry)).toBe(false);
+        expect(CacheUtils.getConditionalHeaders(entry)).toEqual({
+            'If-None-Match': '"v1"',
+            'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT'
+        });
+    });
+
+    test('skips entries that could never be revalidated when there is no TTL', () => {
+        setCacheSettings({ ttl: 0 });
+        CacheUtils.write(URL, {}, { status: 200, headers: {}, data: {} });
+
+        expect(CacheUtils.read(URL, {})).toBeNull();
+    });
+
+    test('a 304 answer serves the cached body and refreshes the entry', async () => {
+        setCacheSettings({ ttl: 0 });
+        const request = jest.spyOn(axios, 'request')
+            .mockResolvedValueOnce({ status: 200, headers: { etag: '"v1"' }, data: { login: 'octo-demo' } })
+            .mockResolvedValueOnce({ status: 304, headers: {}, data: '' });
+
+        await expect(ApiUtils.call(URL)).resolves.toEqual({ login: 'octo-demo' });
+        const storedAt = CacheUtils.read(URL, request.mock.calls[0][0].headers).stored_at;
+
+        await expect(ApiUtils.call(URL)).resolves.toEqual({ login: 'octo-demo' });
+        const revalidation = request.mock.calls[1][0];
+        expect(revalidation.headers['If-None-Match']).toBe('"v1"');
+        expect(revalidation.validateStatus(304)).toBe(true);
+        expect(CacheUtils.read(URL, revalidation.headers).stored_at).toBeGreaterThanOrEqual(storedAt);
+    });
+
+    test('fresh entries are served without a request', async () => {
+        const request = jest.spyOn(axios, 'request').mockResolvedValue({ status: 200, headers: { etag: '"v1"' }, data: { login: 'octo-demo' } });
+
+        await ApiUtils.call(URL);
+        await expect(ApiUtils.call(URL)).resolves.toEqual({ login: 'octo-demo' });
+        expect(request).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,78 @@
+// API URL overrides for GHES / self-managed GitLab and --config file precedence
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const Scanner = require('../../src/core/scanner');
+const { API_URL, GITLAB_API_URL, getApiUrl, getGitlabApiUrl, setApiUrl, getWebUrl, getGraphqlUrl } = require('../../src/config/constants');
+
+describe('API URL overrides', () => {
+    afterEach(() => {
+        setApiUrl(API_URL, 'github');
+        setApiUrl(GITLAB_API_URL, 'gitlab');
+    });
+
+    test('derive web and GraphQL URLs for github.com and GitLab.com', () => {
+        expect(getWebUrl('github')).toBe('https://github.com');
+        expect(getGraphqlUrl()).toBe('https://api.github.com/graphql');
+        expect(getWebUrl('gitlab')).toBe('https://gitlab.com');
+    });
+
+    test('point GitHub at an Enterprise Server', () => {
+        setApiUrl('https://ghe.example.com/api/v3/', 'github');
+
+        expect(getApiUrl()).toBe('https://ghe.example.com/api/v3');
+        expect(getWebUrl('github')).toBe('https://ghe.example.com');
+        expect(getGraphqlUrl()).toBe('https://ghe.example.com/api/graphql');
+        expect(getGitlabApiUrl()).toBe(GITLAB_API_URL);
+    });
+
+    test('point GitLab at a self-managed instance', () => {
+        setApiUrl('https://git.example.com/gitlab/api/v4', 'gitlab');
+
+        expect(getGitlabApiUrl()).toBe('https://git.example.com/gitlab/api/v4');
+        expect(getWebUrl('gitlab')).toBe('https://git.example.com/gitlab');
+        expect(getApiUrl()).toBe(API_URL);
+    });
+});
+
+describe('Scanner.applyConfigFile', () => {
+    let configPath;
+    let scanner;
+
+    const parse = (argv) => scanner.parser.parse(scanner.applyConfigFile(argv));
+
+    beforeEach(() => {
+        configPath = path.join(os.tmpdir(), `gitrecon-config-${process.pid}.json`);
+        fs.writeFileSync(configPath, JSON.stringify({
+            site: 'gitlab',
+            api_url: 'https://git.example.com/api/v4',
+            parallel: 5,
+            verbose: true,
+            'include-forks': false
+        }));
+        scanner = new Scanner();
+    });
+
+    afterEach(() => {
+        fs.unlinkSync(configPath);
+    });
+
+    test('uses config values as defaults, accepting dashed and underscored keys', () => {
+        const args = parse(['--config', configPath, '--user', 'octo']);
+
+        expect(args).toMatchObject({ site: 'gitlab', api_url: 'https://git.example.com/api/v4', parallel: 5, verbose: true, user: 'octo' });
+        expect(args.include_forks).toBeFalsy();
+    });
+
+    test('lets the command line override the config file', () => {
+        const args = parse(['--config', configPath, '--user', 'octo', '--site', 'github', '--parallel', '2']);
+
+        expect(args).toMatchObject({ site: 'github', parallel: 2 });
+    });
+
+    test('reports unreadable config files', () => {
+        expect(() => scanner.applyConfigFile(['--config', path.join(os.tmpdir(), 'gitrecon-missing.json')]))
+            .toThrow(/Could not read config file/);
+    });
+});
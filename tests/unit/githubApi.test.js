@@ -0,0 +1,107 @@
+// Branch and tag walking with a shared seen-SHA set, commit trailers
+
+const ApiUtils = require('../../src/utils/apiUtils');
+const GitHubApi = require('../../src/services/github/githubApi');
+
+const commit = (sha, parents, email, message = 'Update') => ({
+    sha,
+    parents: parents.map(parent => ({ sha: parent })),
+    author: { login: 'octo' },
+    commit: {
+        author: { name: 'Octo', email },
+        committer: { name: 'GitHub', email: 'noreply@github.com' },
+        message
+    }
+});
+
+const page = (data, headers = {}) => ({ data, headers });
+
+describe('GitHubApi.walkRepoRefs', () => {
+    let requested;
+
+    beforeEach(() => {
+        requested = [];
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+
+        // main: c3 <- c2 <- c1, feature: f2 <- f1 <- c2, tag v1 at c1
+        const responses = {
+            '/branches?per_page=100': page([{ name: 'main', commit: { sha: 'c3' } }, { name: 'feature', commit: { sha: 'f2' } }]),
+            '/tags?per_page=100': page([{ name: 'v1', commit: { sha: 'c1' } }]),
+            '/commits?per_page=100&sha=c3': page([
+                commit('c3', ['c2'], 'octo@work.example'),
+                commit('c2', ['c1'], 'octo@work.example'),
+                commit('c1', [], 'octo@work.example')
+            ]),
+            '/commits?per_page=100&sha=f2': page([
+                commit('f2', ['f1'], 'octo@work.example'),
+                commit('f1', ['c2'], 'octo@old.example', 'Pair on parser\n\nCo-authored-by: Jane <jane@personal.example>')
+            ], { link: '<https://api.github.com/repos/octo/app/commits?per_page=100&sha=f2&page=2>; rel="next"' })
+        };
+
+        jest.spyOn(ApiUtils, 'call').mockImplementation(async (url) => {
+            const path = url.replace('https://api.github.com/repos/octo/app', '');
+            requested.push(path);
+            return responses[path] || { error: true, message: 'Not Found', status: 404 };
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('fetches shared history once and skips refs already walked', async () => {
+        const seen = [];
+        const walk = await GitHubApi.walkRepoRefs('octo', 'app', (item, ref) => seen.push(`${ref}:${item.sha}`));
+
+        expect(walk).toEqual({ refs: ['main', 'feature', 'tags/v1'], commits: 5 });
+        expect(seen).toEqual(['main:c3', 'main:c2', 'main:c1', 'feature:f2', 'feature:f1']);
+        // feature's second page only repeats main's history; the tag points at a known commit
+        expect(requested.filter(path => path.startsWith('/commits'))).toEqual(['/commits?per_page=100&sha=c3', '/commits?per_page=100&sha=f2']);
+    });
+
+    test('getEmails records refs and trailer identities', async () => {
+        const emailRefs = new Map();
+        const trailerIdentities = new Map();
+        const emails = await GitHubApi.getEmails('octo', 'app', { allRefs: true, emailRefs, trailerIdentities });
+
+        expect(Array.from(emails.keys())).toEqual(['octo@work.example', 'noreply@github.com', 'octo@old.example']);
+        expect(Array.from(emailRefs.get('octo@old.example'))).toEqual(['feature']);
+        expect(Array.from(emailRefs.get('octo@work.example'))).toEqual(['main', 'feature']);
+        expect(Array.from(trailerIdentities.get('jane@personal.example').linked_to)).toEqual(['octo@old.example']);
+    });
+});
+
+describe('GitHubApi.getRepoContributors', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('returns the error of a failed listing instead of an empty list', async () => {
+        jest.spyOn(ApiUtils, 'call').mockResolvedValue({ error: true, message: 'Forbidden', status: 403 });
+
+        expect(await GitHubApi.getRepoContributors('octo', 'app')).toEqual({ error: true, message: 'Forbidden', status: 403 });
+    });
+
+    test('treats the empty body of an empty repository as no contributors', async () => {
+        jest.spyOn(ApiUtils, 'call').mockResolvedValue(page(''));
+
+        expect(await GitHubApi.getRepoContributors('octo', 'app')).toEqual([]);
+    });
+});
+
+describe('GitHubApi organization listings', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('report a member list cut short by a failing page', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(ApiUtils, 'call')
+            .mockResolvedValueOnce(page([{ login: 'octo' }], { link: '<https://api.github.com/orgs/demo/members?per_page=100&page=2>; rel="next"' }))
+            .mockResolvedValueOnce({ error: true, message: 'Internal Server Error', status: 500 });
+        const onIncomplete = jest.fn();
+
+        expect(await GitHubApi.getOrganizationMembers('demo', { onIncomplete })).toEqual([{ login: 'octo' }]);
+        expect(onIncomplete).toHaveBeenCalledWith({ reason: 'error', message: 'Internal Server Error', status: 500, pages: 1, items: 1 });
+    });
+});
@@ -0,0 +1,29 @@
+// Discussion mining limits
+
+const ApiUtils = require('../../src/utils/apiUtils');
+const GitHubDiscussions = require('../../src/services/github/githubDiscussions');
+
+describe('GitHubDiscussions.scanRepository', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('records comment listings cut short by the page cap', async () => {
+        jest.spyOn(ApiUtils, 'call').mockImplementation(async (url) => {
+            // Issue comments always have another page; the other listings are a single page
+            if (url.includes('/issues/comments')) {
+                const page = Number(new URL(url).searchParams.get('page') || 1);
+                return {
+                    data: [{ user: { login: 'someone' }, body: `ping ${page}`, html_url: `https://github.com/octo/app/issues/1#c${page}` }],
+                    headers: { link: `<https://api.github.com/repos/octo/app/issues/comments?per_page=100&page=${page + 1}>; rel="next"` }
+                };
+            }
+            return { data: [], headers: {} };
+        });
+
+        const scan = await GitHubDiscussions.scanRepository('octo', 'app', { author: 'octo' });
+
+        expect(scan.findings).toEqual([]);
+        expect(scan.incomplete).toEqual([{ listing: 'issue_comments', reason: 'page_limit', pages: 2, items: 2 }]);
+    });
+});
@@ -0,0 +1,70 @@
+// Gist revision walk: emails and sensitive keywords attributed to gist, file and revision
+
+const ApiUtils = require('../../src/utils/apiUtils');
+const Paginator = require('../../src/utils/paginator');
+const GitHubGists = require('../../src/services/github/githubGists');
+
+const gist = (files) => ({ files });
+
+describe('GitHubGists', () => {
+    beforeEach(() => {
+        // Newest first, as the API lists them
+        jest.spyOn(Paginator, 'collect').mockResolvedValue([
+            { version: 'rev3', committed_at: '2024-03-03T00:00:00Z' },
+            { version: 'rev2', committed_at: '2024-03-02T00:00:00Z' },
+            { version: 'rev1', committed_at: '2024-03-01T00:00:00Z' }
+        ]);
+        const revisions = {
+            rev1: gist({ 'deploy.sh': { filename: 'deploy.sh', size: 60, content: 'export API_KEY=abc\n# ask ops@corp.example' } }),
+            rev2: gist({ 'deploy.sh': { filename: 'deploy.sh', size: 40, content: '# ask ops@corp.example' } }),
+            rev3: gist({
+                'deploy.sh': { filename: 'deploy.sh', size: 40, content: '# ask ops@corp.example' },
+                'dump.sql': { filename: 'dump.sql', size: 5 * 1024 * 1024, content: 'INSERT INTO users VALUES (\'big@corp.example\');' }
+            })
+        };
+        jest.spyOn(ApiUtils, 'call').mockImplementation(async (url) => revisions[url.split('/').pop()]);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('finds emails and sensitive keywords line by line', () => {
+        expect(GitHubGists.scanContent('user: me@home.example\npassword: hunter2')).toEqual([
+            { type: 'email', value: 'me@home.example', line: 1 },
+            { type: 'sensitive', value: 'password', pattern: '/password/i', line: 2 }
+        ]);
+    });
+
+    test('runs the secret rule pack over file content and redacts what it finds', () => {
+        const token = `ghp_${'a1B2c3D4e5'.repeat(4)}`;
+        const [secret] = GitHubGists.scanContent(`# deploy\nexport GH=${token}`);
+
+        expect(secret).toEqual(expect.objectContaining({ type: 'secret', rule_id: 'github-token', value: 'ghp_********', redacted: true, line: 2 }));
+        expect(secret.secret_hash).toHaveLength(16);
+        expect(GitHubGists.scanContent(`export GH=${token}`, { showSecrets: true })[0].value).toBe(token);
+    });
+
+    test('attributes findings to their first revision and flags content edited away', async () => {
+        const scan = await GitHubGists.scanGist('abc123');
+
+        expect(ApiUtils.call.mock.calls.map(([url]) => url.split('/').pop())).toEqual(['rev1', 'rev2', 'rev3']);
+        expect(scan.findings.map(({ file, revision, type, value, line, removed }) => ({ file, revision, type, value, line, removed }))).toEqual([
+            { file: 'deploy.sh', revision: 'rev1', type: 'sensitive', value: 'API_KEY', line: 1, removed: true },
+            { file: 'deploy.sh', revision: 'rev1', type: 'email', value: 'ops@corp.example', line: 2, removed: false }
+        ]);
+        expect(scan.findings[0].gist_id).toBe('abc123');
+        expect(scan.oversized_files).toEqual(['dump.sql']);
+        expect(scan.revisions).toBe(3);
+    });
+
+    test('walks the original and the newest revisions up to the cap and counts the rest as skipped', async () => {
+        const scan = await GitHubGists.scanGist('abc123', { maxRevisions: 2 });
+
+        expect(ApiUtils.call.mock.calls.map(([url]) => url.split('/').pop())).toEqual(['rev1', 'rev3']);
+        expect(scan.scanned_revisions).toBe(2);
+        expect(scan.skipped_revisions).toBe(1);
+        expect(scan.findings.map(finding => [finding.revision, finding.value, finding.removed])).toEqual([
+            ['rev1', 'API_KEY', true],
+            ['rev1', 'ops@corp.example', false]
+        ]);
+    });
+});
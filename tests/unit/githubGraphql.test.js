@@ -0,0 +1,81 @@
+// GraphQL history queries, commit normalization and partial group failures
+
+const ApiUtils = require('../../src/utils/apiUtils');
+const GitHubGraphql = require('../../src/services/github/githubGraphql');
+
+const actor = (name, email, login = null, date = '2024-05-01T10:00:00+02:00') => ({ name, email, date, user: login ? { login } : null });
+
+const history = (nodes, endCursor = null) => ({
+    defaultBranchRef: {
+        target: {
+            history: {
+                pageInfo: { hasNextPage: !!endCursor, endCursor },
+                nodes
+            }
+        }
+    }
+});
+
+const node = (oid, email) => ({ oid, message: 'Update', author: actor('Octo', email, 'octo'), committer: actor('Octo', email, 'octo') });
+
+describe('GitHubGraphql', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('builds one aliased history query per repository group', () => {
+        const { text, variables } = GitHubGraphql.buildHistoryQuery([
+            { owner: 'octo', name: 'app', cursor: null },
+            { owner: 'octo', name: 'lib', cursor: 'abc 100' }
+        ]);
+
+        expect(variables).toEqual({ owner: 'octo', name0: 'app', cursor0: null, name1: 'lib', cursor1: 'abc 100' });
+        expect(text).toContain('query($owner: String!, $name0: String!, $cursor0: String, $name1: String!, $cursor1: String)');
+        expect(text).toContain('r0: repository(owner: $owner, name: $name0)');
+        expect(text).toContain('history(first: 100, after: $cursor1)');
+    });
+
+    test('normalizes history nodes to the REST commit shape', () => {
+        expect(GitHubGraphql.normalizeCommit({
+            oid: 'c1',
+            message: 'Fix',
+            author: actor('Octo', 'octo@work.example', 'octo'),
+            committer: actor('GitHub', 'noreply@github.com')
+        })).toEqual({
+            sha: 'c1',
+            commit: {
+                author: { name: 'Octo', email: 'octo@work.example', date: '2024-05-01T10:00:00+02:00' },
+                committer: { name: 'GitHub', email: 'noreply@github.com', date: '2024-05-01T10:00:00+02:00' },
+                message: 'Fix'
+            },
+            author: { login: 'octo' },
+            committer: null
+        });
+    });
+
+    test('retries a failed group one repository at a time and keeps pages already harvested', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const queries = [];
+        jest.spyOn(ApiUtils, 'post').mockImplementation(async (url, { variables }) => {
+            queries.push(variables);
+            // First page of both, then the pair query fails; app alone resumes and lib alone keeps failing
+            if (queries.length === 1) {
+                return { data: { r0: history([node('a1', 'octo@work.example')], 'app-1'), r1: history([node('l1', 'octo@lib.example')], 'lib-1') } };
+            }
+            if (variables.name1 || variables.name0 === 'lib') {
+                return { error: true, message: 'Something went wrong' };
+            }
+            return { data: { r0: history([node('a2', 'octo@home.example')]) } };
+        });
+
+        const commitsByRepo = new Map();
+        const emails = await GitHubGraphql.getEmails('octo', ['app', 'lib'], { commitsByRepo });
+
+        expect(Array.from(emails.keys())).toEqual(['app']);
+        expect(Array.from(emails.get('app').keys())).toEqual(['octo@work.example', 'octo@home.example']);
+        expect(commitsByRepo.get('app')).toEqual(['a1', 'a2']);
+        expect(queries.filter(variables => variables.name0 === 'app' && !variables.name1)).toEqual([
+            { owner: 'octo', name0: 'app', cursor0: 'app-1' }
+        ]);
+    });
+});
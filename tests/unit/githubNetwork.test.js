@@ -0,0 +1,92 @@
+// Breadth-first follow graph crawl and its request estimate
+
+const ApiUtils = require('../../src/utils/apiUtils');
+const GitHubApi = require('../../src/services/github/githubApi');
+const GitHubNetwork = require('../../src/services/github/githubNetwork');
+
+const users = (...logins) => logins.map(login => ({ login }));
+
+describe('GitHubNetwork', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(ApiUtils, 'isBudgetExhausted').mockReturnValue(false);
+
+        // octo <-> ann, bob -> octo, ann -> bob, ann <-> cy
+        const graph = {
+            octo: { followers: users('ann', 'bob'), following: users('ann') },
+            ann: { followers: users('octo', 'cy'), following: users('octo', 'bob', 'cy') },
+            bob: { followers: users('ann'), following: users('octo') }
+        };
+        jest.spyOn(GitHubApi, 'getUserNetwork').mockImplementation(async (login, options) => ({
+            followers: graph[login].followers.slice(0, options.maxFollowers),
+            following: graph[login].following.slice(0, options.maxFollowing)
+        }));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('estimates an upper bound on requests per hop', () => {
+        expect(GitHubNetwork.estimateRequests({ depth: 1, fanOut: [100, 20] })).toBe(2);
+        expect(GitHubNetwork.estimateRequests({ depth: 2, fanOut: [100, 20] })).toBe(2 + 200 * 2);
+        expect(GitHubNetwork.estimateRequests({ depth: 1, fanOut: [250], harvest: true })).toBe(6 + 500 * 3);
+    });
+
+    test('expands accounts hop by hop and marks mutual follows', async () => {
+        const graph = await GitHubNetwork.crawl('octo', { depth: 2, fanOut: [100, 20], rootOrgs: ['demo-org'] });
+
+        expect(graph.nodes.map(node => [node.id, node.hop, node.expanded])).toEqual([
+            ['octo', 0, true], ['ann', 1, true], ['bob', 1, true], ['cy', 2, false]
+        ]);
+        expect(graph.nodes[0].orgs).toEqual(['demo-org']);
+        expect(graph.edges.filter(edge => edge.mutual).map(edge => `${edge.source}->${edge.target}`).sort())
+            .toEqual(['ann->cy', 'ann->octo', 'cy->ann', 'octo->ann']);
+        expect(graph.rootFollows.followers.map(user => user.login)).toEqual(['ann', 'bob']);
+        expect(graph.truncated).toBe(false);
+    });
+
+    test('applies the fan-out limit of each hop and stops when the budget runs out', async () => {
+        ApiUtils.isBudgetExhausted.mockReturnValueOnce(false).mockReturnValue(true);
+
+        const graph = await GitHubNetwork.crawl('octo', { depth: 2, fanOut: [1] });
+
+        expect(graph.nodes.map(node => node.id)).toEqual(['octo', 'ann']);
+        expect(graph.nodes[1].expanded).toBe(false);
+        expect(graph.truncated).toBe(true);
+    });
+
+    test('counts accounts the budget ran out on in the middle of a hop as truncation', async () => {
+        const exhausted = { error: true, message: 'Request budget exhausted (10 requests)', budget_exhausted: true, retries: 0 };
+        const getUserNetwork = GitHubApi.getUserNetwork.getMockImplementation();
+        GitHubApi.getUserNetwork.mockImplementation(async (login, options) => (login === 'bob' ? exhausted : getUserNetwork(login, options)));
+
+        const graph = await GitHubNetwork.crawl('octo', { depth: 2 });
+
+        expect(graph.nodes.map(node => [node.id, node.expanded])).toEqual([['octo', true], ['ann', true], ['bob', false], ['cy', false]]);
+        expect(graph.truncated).toBe(true);
+        expect(graph.error).toBeNull();
+    });
+
+    test('counts harvests cut short by the budget as truncation', async () => {
+        jest.spyOn(GitHubApi, 'getUserProfile').mockImplementation(async login => (login === 'ann'
+            ? { error: true, message: 'Request budget exhausted (10 requests)', budget_exhausted: true, retries: 0 }
+            : { name: 'Bob', email: 'bob@example.com' }));
+        jest.spyOn(GitHubApi, 'getUserEvents').mockResolvedValue([]);
+        jest.spyOn(GitHubApi, 'getUserOrganizations').mockResolvedValue([]);
+
+        const graph = await GitHubNetwork.crawl('octo', { depth: 1, harvest: true });
+
+        expect(graph.nodes.map(node => [node.id, node.name, node.emails])).toEqual([
+            ['octo', null, []], ['ann', null, []], ['bob', 'Bob', ['bob@example.com']]
+        ]);
+        expect(graph.truncated).toBe(true);
+    });
+
+    test('records a root whose connections could not be listed', async () => {
+        GitHubApi.getUserNetwork.mockResolvedValueOnce({ error: true, message: 'Server Error', status: 502 });
+
+        const graph = await GitHubNetwork.crawl('octo', { depth: 2 });
+
+        expect(graph.error).toEqual({ message: 'Server Error', status: 502 });
+        expect(graph.nodes.map(node => [node.id, node.expanded])).toEqual([['octo', false]]);
+    });
+});
@@ -0,0 +1,38 @@
+// GitLab group scan bookkeeping
+
+const GitLabApi = require('../../src/services/gitlab/gitlabApi');
+const GitLabGroup = require('../../src/services/gitlab/gitlabGroup');
+const FileUtils = require('../../src/utils/fileUtils');
+
+describe('GitLabGroup', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'table').mockImplementation(() => {});
+        jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        jest.spyOn(FileUtils, 'createOutputDirectory').mockReturnValue('/tmp');
+        jest.spyOn(FileUtils, 'saveRealTime').mockImplementation(() => {});
+
+        jest.spyOn(GitLabApi, 'getGroup').mockResolvedValue({ name: 'demo', path: 'demo', id: 1, web_url: 'https://gitlab.com/demo' });
+        jest.spyOn(GitLabApi, 'getGroupMembers').mockResolvedValue([]);
+        jest.spyOn(GitLabApi, 'getGroupProjects').mockResolvedValue([
+            { id: 10, name: 'app' },
+            { id: 11, name: 'broken' }
+        ]);
+        jest.spyOn(GitLabApi, 'getProjectCommits').mockImplementation(async (projectId) => (projectId === 10
+            ? [{ author_name: 'Ann', author_email: 'ann@example.com', message: 'init' }]
+            : { error: true, message: 'Internal Server Error', status: 500, retries: 3 }));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('records a project whose commits could not be fetched', async () => {
+        const result = await GitLabGroup.runRecon('demo');
+
+        expect(result.leaked_emails).toEqual(['ann@example.com']);
+        expect(result.incomplete_projects).toEqual([
+            { project: 'broken', message: 'Internal Server Error', status: 500, retries: 3 }
+        ]);
+    });
+});
@@ -0,0 +1,40 @@
+// OpenPGP key packet parsing
+
+const fs = require('fs');
+const path = require('path');
+const GpgParser = require('../../src/utils/gpgParser');
+
+const ARMORED = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'gpg', 'octo-demo.asc'), 'utf-8');
+
+describe('GpgParser', () => {
+    test('computes fingerprints and reads UIDs and subkeys from an armored key', () => {
+        const [key] = GpgParser.parse(ARMORED);
+
+        // Values as reported by `gpg --with-colons --with-subkey-fingerprint`
+        expect(key.fingerprint).toBe('E978D88421ACD860AC19E5CD20AB364D49075C55');
+        expect(key.key_id).toBe('20AB364D49075C55');
+        expect(key.algorithm).toBe('EdDSA');
+        expect(key.curve).toBe('Ed25519');
+        expect(key.uids.map(uid => uid.email)).toEqual(['octo@demo-org.example', 'octo@personal.example']);
+        expect(key.uids[0]).toMatchObject({ name: 'Octo Demo', comment: 'work' });
+        expect(key.subkeys).toEqual([expect.objectContaining({
+            fingerprint: 'B34A7AD890639642250BEB2EA7AFBEB3EF054A04',
+            algorithm: 'ECDH',
+            curve: 'Curve25519'
+        })]);
+    });
+
+    test('reports unparseable input as an error object', () => {
+        expect(GpgParser.parse('')).toEqual({ error: true, message: 'No key data' });
+        expect(GpgParser.parse('not a key!').error).toBe(true);
+    });
+
+    test('splits user IDs without a name or comment', () => {
+        expect(GpgParser.parseUserId('octo@demo-org.example')).toEqual({
+            uid: 'octo@demo-org.example',
+            name: null,
+            email: 'octo@demo-org.example',
+            comment: null
+        });
+    });
+});
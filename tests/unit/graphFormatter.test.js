@@ -0,0 +1,79 @@
+// Typed relationship graph and its GraphML, GEXF, DOT and Cytoscape.js renderings
+
+const GraphFormatter = require('../../src/formatters/graphFormatter');
+
+const result = {
+    username: 'octo',
+    name: 'Octo "The" Cat',
+    organizations: [{ login: 'demo-org' }],
+    network: {
+        graph: {
+            nodes: [{ id: 'octo', hop: 0, orgs: ['demo-org'] }, { id: 'ann', hop: 1, orgs: null }],
+            edges: [{ source: 'octo', target: 'ann', mutual: true }, { source: 'ann', target: 'octo', mutual: true }]
+        }
+    },
+    email_details: [
+        { email: 'octo@corp.example', names: ['Octo'], sources: ['commit'], repositories: ['tools'] },
+        { email: 'ann@corp.example', names: ['Ann'], sources: ['trailer:co-authored-by'], repositories: [] }
+    ],
+    keys: [{ fingerprint_sha256: 'SHA256:abc', type: 'ssh-ed25519', also_used_by: [{ site: 'github', login: 'ann' }] }]
+};
+
+describe('GraphFormatter', () => {
+    test('builds typed nodes and edges from a user scan', () => {
+        const graph = GraphFormatter.buildGraph(result);
+
+        expect(graph.nodes.map(node => node.id)).toEqual([
+            'user:octo', 'org:demo-org', 'user:ann', 'email:octo@corp.example', 'repo:octo/tools', 'email:ann@corp.example', 'key:SHA256:abc'
+        ]);
+        expect(graph.edges.map(edge => `${edge.source} ${edge.type} ${edge.target}`)).toEqual([
+            'user:octo member_of org:demo-org',
+            'user:octo follows user:ann',
+            'user:ann follows user:octo',
+            'user:octo committed_with email:octo@corp.example',
+            'email:octo@corp.example authored_in repo:octo/tools',
+            'user:octo uses_key key:SHA256:abc',
+            'user:ann uses_key key:SHA256:abc'
+        ]);
+        expect(graph.edges[1].mutual).toBe(true);
+    });
+
+    test('links organization emails to repositories whatever the repositories are named', () => {
+        const graph = GraphFormatter.buildGraph({
+            organization: 'demo-org',
+            email_details: [{ email: 'ops@demo-org.example', names: ['Ops'], sources: ['contributors'], repositories: ['contributors'], github_username: 'ops' }]
+        });
+
+        expect(graph.edges.map(edge => `${edge.source} ${edge.type} ${edge.target}`)).toEqual([
+            'user:ops committed_with email:ops@demo-org.example',
+            'email:ops@demo-org.example authored_in repo:demo-org/contributors'
+        ]);
+    });
+
+    test('renders escaped GraphML, GEXF, DOT and Cytoscape.js documents', () => {
+        const graphml = GraphFormatter.generate(result, 'graphml');
+        expect(graphml).toContain('<key id="n_type" for="node" attr.name="type" attr.type="string"/>');
+        expect(graphml).toContain('<key id="e_mutual" for="edge" attr.name="mutual" attr.type="boolean"/>');
+        expect(graphml).toContain('<data key="n_name">Octo &quot;The&quot; Cat</data>');
+
+        const gexf = GraphFormatter.generate(result, 'gexf');
+        expect(gexf).toContain('<attribute id="hop" title="hop" type="integer"/>');
+        expect(gexf).toContain('<edge id="user:octo|follows|user:ann" source="user:octo" target="user:ann" label="follows">');
+
+        const dot = GraphFormatter.generate(result, 'dot');
+        expect(dot).toMatch(/^digraph gitrecon \{/);
+        expect(dot).toContain('"user:octo" [type="user", label="octo", name="Octo \\"The\\" Cat", hop="0", shape=ellipse];');
+        expect(dot).toContain('"email:octo@corp.example" -> "repo:octo/tools" [type="authored_in", label="authored_in"];');
+
+        const cytoscape = JSON.parse(GraphFormatter.generate(result, 'cytoscape'));
+        expect(cytoscape.elements.nodes[0].data).toEqual({ id: 'user:octo', type: 'user', label: 'octo', name: 'Octo "The" Cat', hop: 0 });
+        expect(cytoscape.elements.edges).toHaveLength(7);
+    });
+
+    test('drops control characters that XML 1.0 does not allow', () => {
+        const graphml = GraphFormatter.generate({ ...result, name: 'Octo\u0000\u001b[31m Cat\u0008' }, 'graphml');
+
+        expect(graphml).toContain('<data key="n_name">Octo[31m Cat</data>');
+        expect(GraphFormatter.generate({ ...result, name: 'Octo\u000b' }, 'gexf')).not.toMatch(/[\x00-\x08\x0B\x0C\x0E-\x1F]/);
+    });
+});
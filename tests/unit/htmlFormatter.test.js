@@ -0,0 +1,27 @@
+// HTML report escaping of API, commit and profile values
+
+const HtmlFormatter = require('../../src/formatters/htmlFormatter');
+
+describe('HtmlFormatter', () => {
+    test('escapes markup in every character class that matters to HTML', () => {
+        expect(HtmlFormatter.escapeHtml('<a href="x" title=\'y\'>&</a>')).toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+        expect(HtmlFormatter.escapeHtml(null)).toBe('');
+        expect(HtmlFormatter.escapeHtml(42)).toBe('42');
+    });
+
+    test('never emits commit or profile values as markup', () => {
+        const payload = '<script>alert(1)</script>';
+        const html = HtmlFormatter.generate({
+            username: 'octo',
+            bio: payload,
+            keys: [{ id: 1, title: payload, key: 'ssh-ed25519 AAAA' }],
+            shared_keys: [{ fingerprint_sha256: 'SHA256:abc', type: 'ssh-ed25519', used_by: [payload] }],
+            identities: [{ id: 1, names: [payload], logins: ['octo'], emails: [`${payload}@x.example`], confidence: 0.9, evidence: [] }],
+            leaked_emails: ['octo@x.example'],
+            email_details: [{ email: 'octo@x.example', names: [payload], sources: ['commit'] }]
+        });
+
+        expect(html).not.toContain('<script>');
+        expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    });
+});
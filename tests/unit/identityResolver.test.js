@@ -0,0 +1,56 @@
+// Alias clustering across emails, names, logins and SSH keys
+
+const IdentityResolver = require('../../src/utils/identityResolver');
+
+describe('IdentityResolver', () => {
+    test('normalizes names and parses noreply addresses', () => {
+        expect(IdentityResolver.normalizeName('Doe, John A.')).toBe('doe john');
+        expect(IdentityResolver.normalizeName('José Núñez')).toBe('jose nunez');
+        expect(IdentityResolver.parseNoreply('123+jdoe@users.noreply.github.com')).toEqual({ site: 'github', login: 'jdoe', id: 123 });
+        expect(IdentityResolver.parseNoreply('jdoe@users.noreply.github.com')).toEqual({ site: 'github', login: 'jdoe', id: null });
+        expect(IdentityResolver.parseNoreply('42-jdoe@users.noreply.gitlab.com')).toEqual({ site: 'gitlab', login: 'jdoe', id: 42 });
+        expect(IdentityResolver.parseNoreply('jdoe@corp.com')).toBeNull();
+    });
+
+    test('merges a user\'s aliases and keeps unrelated committers apart', () => {
+        const identities = IdentityResolver.resolve({
+            email_details: [
+                { email: 'jdoe@corp.com', names: ['John Doe'], sources: ['commit'] },
+                { email: 'john.doe@gmail.com', names: ['Doe, John'], sources: ['trailer:co-authored-by'] },
+                { email: '123+jdoe@users.noreply.github.com', names: ['jdoe'], sources: [] },
+                { email: 'root@localhost', names: ['root'], sources: ['trailer:signed-off-by'] },
+                { email: 'ann@corp.com', names: ['Ann Lee'], sources: ['trailer:reviewed-by'] }
+            ]
+        }, { site: 'github', login: 'jdoe', name: 'John Doe' });
+
+        expect(identities).toHaveLength(3);
+        expect(identities[0]).toMatchObject({
+            id: 1,
+            logins: ['github:jdoe'],
+            emails: ['jdoe@corp.com', 'john.doe@gmail.com', '123+jdoe@users.noreply.github.com'],
+            confidence: 0.7
+        });
+        expect(identities[0].evidence.map(entry => entry.type).sort()).toEqual(['commit_login', 'name', 'noreply']);
+        expect(identities.slice(1).map(identity => identity.emails)).toEqual([['root@localhost'], ['ann@corp.com']]);
+        expect(identities[1].confidence).toBe(1);
+    });
+
+    test('links accounts that share an SSH key', () => {
+        const identities = IdentityResolver.resolve({
+            member_keys: [{
+                login: 'builder',
+                keys: [{ fingerprint_sha256: 'SHA256:abc', also_used_by: [{ site: 'github', login: 'octo-demo', first_seen: null }] }]
+            }]
+        });
+
+        expect(identities).toEqual([{
+            id: 1,
+            emails: [],
+            logins: ['github:builder', 'github:octo-demo'],
+            names: [],
+            keys: ['SHA256:abc'],
+            confidence: 0.9,
+            evidence: [{ type: 'shared_key', link: ['github:builder', 'github:octo-demo'], weight: 0.9, detail: 'SHA256:abc' }]
+        }]);
+    });
+});
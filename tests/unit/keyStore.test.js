@@ -0,0 +1,53 @@
+// Local SSH key fingerprint index shared by scans
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KeyStore = require('../../src/utils/keyStore');
+const { setKeyStoreSettings } = require('../../src/config/settings');
+
+const accounts = [
+    { login: 'octo', keys: [{ fingerprint_sha256: 'SHA256:abc', type: 'ssh-ed25519', bits: 256 }] },
+    { login: 'ann', keys: [{ fingerprint_sha256: 'SHA256:abc', type: 'ssh-ed25519', bits: 256 }] }
+];
+
+describe('KeyStore', () => {
+    let workDir;
+    let storePath;
+
+    beforeEach(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitrecon-keys-'));
+        storePath = path.join(workDir, 'store', 'keys.json');
+        setKeyStoreSettings({ enabled: true, path: storePath });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        setKeyStoreSettings({ enabled: false });
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('creates a missing store and correlates owners across scans', () => {
+        KeyStore.record('github', accounts.slice(0, 1));
+        const store = KeyStore.record('gitlab', accounts.slice(1));
+
+        expect(JSON.parse(fs.readFileSync(storePath, 'utf-8'))).toEqual(store);
+        expect(KeyStore.getOtherOwners(store, 'SHA256:abc', 'gitlab', 'ann')).toEqual([
+            { site: 'github', login: 'octo', first_seen: expect.any(String) }
+        ]);
+        expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    test('leaves a store it cannot parse untouched', () => {
+        fs.mkdirSync(path.dirname(storePath));
+        fs.writeFileSync(storePath, '{"SHA256:abc": {"owners": [');
+
+        const store = KeyStore.record('github', accounts);
+
+        expect(fs.readFileSync(storePath, 'utf-8')).toBe('{"SHA256:abc": {"owners": [');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('leaving it untouched'));
+        // The accounts of this scan are still correlated with each other
+        expect(KeyStore.getOtherOwners(store, 'SHA256:abc', 'github', 'ann').map(owner => owner.login)).toEqual(['octo']);
+    });
+});
@@ -0,0 +1,78 @@
+// Author metadata in manifests, AUTHORS/CODEOWNERS files and LICENSE copyright lines
+
+const ManifestParser = require('../../src/utils/manifestParser');
+
+const emails = (path, content) => ManifestParser.parse(path, content).map(({ email, name, field }) => [email, name, field]);
+
+describe('ManifestParser', () => {
+    test('detects known files by name', () => {
+        expect(['package.json', 'demo.gemspec', '.github/CODEOWNERS', 'LICENSE.md', 'COPYING', 'index.js'].map(ManifestParser.detectFormat))
+            .toEqual(['package-json', 'gemspec', 'codeowners', 'license', 'license', null]);
+    });
+
+    test('parses npm people in every form', () => {
+        const manifest = JSON.stringify({
+            author: 'Jane Doe <jane@example.com> (https://jane.dev)',
+            maintainers: [{ name: 'Bob', email: 'bob@example.com' }],
+            contributors: ['ann@example.com', 'No Mail']
+        });
+        expect(emails('package.json', manifest)).toEqual([
+            ['jane@example.com', 'Jane Doe', 'author'],
+            ['bob@example.com', 'Bob', 'maintainers'],
+            ['ann@example.com', null, 'contributors']
+        ]);
+    });
+
+    test('parses TOML tables, inline tables and multiline strings', () => {
+        const pyproject = [
+            '[project]',
+            'description = """',
+            'Not = [a, table]',
+            '"""',
+            'authors = [',
+            '  { name = "Jane Doe", email = "jane@example.com" },  # lead',
+            ']',
+            '',
+            '[tool.poetry]',
+            'authors = ["Poet <poet@example.com>"]'
+        ].join('\n');
+        expect(emails('pyproject.toml', pyproject)).toEqual([
+            ['jane@example.com', 'Jane Doe', 'project.authors'],
+            ['poet@example.com', 'Poet', 'tool.poetry.authors']
+        ]);
+        expect(emails('Cargo.toml', '[package]\nauthors = ["Rusty <rusty@example.com>"]\n\n[[bin]]\nname = "x"')).toEqual([
+            ['rusty@example.com', 'Rusty', 'package.authors']
+        ]);
+        expect(ManifestParser.parse('Cargo.toml', 'authors = [')).toEqual([]);
+    });
+
+    test('pairs names and emails of setup.py keywords and gemspec assignments', () => {
+        const setup = "setup(\n    author='Jane Doe, Bob',\n    author_email=('jane@example.com, '\n                  \"bob@example.com\"),\n    maintainer_email=MAINTAINER,\n)";
+        expect(emails('setup.py', setup)).toEqual([
+            ['jane@example.com', 'Jane Doe', 'author_email'],
+            ['bob@example.com', 'Bob', 'author_email']
+        ]);
+
+        const gemspec = 'Gem::Specification.new do |spec|\n  spec.authors = ["Jane Doe", \'Bob\']\n  spec.email = %w[jane@example.com bob@example.com]\nend';
+        expect(emails('demo.gemspec', gemspec).map(([email, name]) => [email, name])).toEqual([
+            ['jane@example.com', 'Jane Doe'],
+            ['bob@example.com', 'Bob']
+        ]);
+    });
+
+    test('reads pom.xml developers, skipping commented-out ones', () => {
+        const pom = '<project><!-- <developer><email>old@example.com</email></developer> --><developers><developer id="j"><name>A &amp; B</name><email>ab@example.com</email></developer></developers></project>';
+        expect(emails('pom.xml', pom)).toEqual([['ab@example.com', 'A & B', 'developers']]);
+    });
+
+    test('reads AUTHORS entries, CODEOWNERS owners and copyright holders with their line', () => {
+        expect(ManifestParser.parse('AUTHORS', '# Authors\nJane Doe <jane@example.com>\n- Bob (bob@example.com)\nNo email'))
+            .toEqual([
+                { name: 'Jane Doe', email: 'jane@example.com', field: 'entry', line: 2 },
+                { name: 'Bob', email: 'bob@example.com', field: 'entry', line: 3 }
+            ]);
+        expect(emails('CODEOWNERS', '* @org/team jane@example.com # lead')).toEqual([['jane@example.com', null, 'owner']]);
+        expect(ManifestParser.parse('LICENSE', 'MIT License\n\nCopyright (c) 2019-2024 Jane Doe <jane@example.com>\nCopyright 2020 The Authors'))
+            .toEqual([{ name: 'Jane Doe', email: 'jane@example.com', field: 'copyright', line: 3 }]);
+    });
+});
@@ -0,0 +1,81 @@
+// Link header parsing and paging caps
+
+const ApiUtils = require('../../src/utils/apiUtils');
+const Paginator = require('../../src/utils/paginator');
+
+const page = (data, headers = {}) => ({ data, headers });
+
+describe('Paginator', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('parses GitHub Link headers', () => {
+        const links = Paginator.parseLinkHeader(
+            '<https://api.github.com/user/1/repos?page=2>; rel="next", <https://api.github.com/user/1/repos?page=5>; rel="last"'
+        );
+        expect(links).toEqual({
+            next: 'https://api.github.com/user/1/repos?page=2',
+            last: 'https://api.github.com/user/1/repos?page=5'
+        });
+        expect(Paginator.parseLinkHeader(undefined)).toEqual({});
+    });
+
+    test('follows GitLab X-Next-Page and stops on an empty value', () => {
+        const url = 'https://gitlab.com/api/v4/groups/g/projects?per_page=100';
+        expect(Paginator.getNextUrl(url, { 'x-next-page': '3' })).toBe('https://gitlab.com/api/v4/groups/g/projects?per_page=100&page=3');
+        expect(Paginator.getNextUrl(url, { 'x-next-page': '' })).toBeNull();
+    });
+
+    test('collects every page until there is no next link', async () => {
+        const call = jest.spyOn(ApiUtils, 'call')
+            .mockResolvedValueOnce(page([1, 2], { link: '<https://api.test/items?page=2>; rel="next"' }))
+            .mockResolvedValueOnce(page([3]));
+
+        expect(await Paginator.collect('https://api.test/items')).toEqual([1, 2, 3]);
+        expect(call).toHaveBeenCalledTimes(2);
+        expect(call.mock.calls[1][0]).toBe('https://api.test/items?page=2');
+    });
+
+    test('honors maxItems and maxPages and reports truncation', async () => {
+        jest.spyOn(ApiUtils, 'call').mockResolvedValue(page([1, 2, 3], { link: '<https://api.test/items?page=2>; rel="next"' }));
+
+        const byItems = Paginator.create('https://api.test/items', { maxItems: 4 });
+        expect(await byItems.collect()).toEqual([1, 2, 3, 1]);
+        expect(byItems.truncated).toBe(true);
+
+        const byPages = Paginator.create('https://api.test/items', { maxPages: 1 });
+        expect(await byPages.collect()).toEqual([1, 2, 3]);
+        expect(byPages.truncated).toBe(true);
+    });
+
+    test('returns the error object when the first page fails', async () => {
+        const failure = { error: true, message: 'Not Found', status: 404, retries: 0 };
+        jest.spyOn(ApiUtils, 'call').mockResolvedValue(failure);
+
+        const pager = Paginator.create('https://api.test/items');
+        expect(await pager.collect()).toBe(failure);
+        expect(pager.error).toBe(failure);
+    });
+
+    test('describes why a listing stopped early', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(ApiUtils, 'call')
+            .mockResolvedValueOnce(page([1, 2], { link: '<https://api.test/items?page=2>; rel="next"' }))
+            .mockResolvedValueOnce({ error: true, message: 'Server Error', status: 502 })
+            .mockResolvedValue(page([1], { link: '<https://api.test/items?page=2>; rel="next"' }));
+
+        const failed = Paginator.create('https://api.test/items');
+        expect(await failed.collect()).toEqual([1, 2]);
+        expect(failed.getIncomplete()).toEqual({ reason: 'error', message: 'Server Error', status: 502, pages: 1, items: 2 });
+
+        const capped = Paginator.create('https://api.test/items', { maxPages: 1 });
+        await capped.collect();
+        expect(capped.getIncomplete()).toEqual({ reason: 'page_limit', pages: 1, items: 1 });
+
+        const complete = Paginator.create('https://api.test/items', { maxPages: 1 });
+        jest.spyOn(ApiUtils, 'call').mockResolvedValue(page([1]));
+        await complete.collect();
+        expect(complete.getIncomplete()).toBeNull();
+    });
+});
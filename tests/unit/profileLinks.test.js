@@ -0,0 +1,45 @@
+// Social profile link detection, profile README extraction and merging
+
+const ProfileLinks = require('../../src/utils/profileLinks');
+
+describe('ProfileLinks', () => {
+    test('detects providers and handles from profile URLs', () => {
+        expect(ProfileLinks.detectProvider('https://www.linkedin.com/in/octo-demo/')).toEqual({
+            provider: 'linkedin', handle: 'octo-demo', url: 'https://linkedin.com/in/octo-demo'
+        });
+        expect(ProfileLinks.detectProvider('x.com/octodemo').provider).toBe('twitter');
+        expect(ProfileLinks.detectProvider('https://fosstodon.org/@octodemo').handle).toBe('@octodemo@fosstodon.org');
+        expect(ProfileLinks.detectProvider('https://octo.example/blog/')).toEqual({ provider: 'website', handle: null, url: 'https://octo.example/blog' });
+        expect(ProfileLinks.detectProvider('mailto:octo@octo.example')).toBeNull();
+    });
+
+    test('extracts provider links and emails from README markdown, skipping badges', () => {
+        const { links, emails } = ProfileLinks.extractFromMarkdown([
+            '[![Twitter](https://img.shields.io/badge/twitter-blue)](https://twitter.com/octodemo)',
+            '![stats](https://github-readme-stats.vercel.app/api?username=octo-demo)',
+            'Find me on <a href="https://bsky.app/profile/octo.example">Bluesky</a> or @octodemo@fosstodon.org.',
+            'Docs live at https://octo.example/docs - write to [me](mailto:hello@octo.example)'
+        ].join('\n'));
+
+        expect(links.map(link => `${link.provider}:${link.handle}`)).toEqual([
+            'twitter:octodemo', 'bluesky:octo.example', 'mastodon:@octodemo@fosstodon.org'
+        ]);
+        expect(emails).toEqual(['hello@octo.example']);
+    });
+
+    test('keeps mailto targets with malformed percent escapes as written', () => {
+        expect(() => ProfileLinks.extractFromMarkdown('[deals](mailto:50%off@x.example)')).not.toThrow();
+        expect(ProfileLinks.extractFromMarkdown('[deals](mailto:50%off@x.example)').emails).toEqual(['50%off@x.example']);
+        expect(ProfileLinks.extractFromMarkdown('[me](mailto:octo%2Bgit@octo.example)').emails).toContain('octo+git@octo.example');
+    });
+
+    test('merges entries for the same URL and keeps every source', () => {
+        const profiles = ProfileLinks.merge([
+            { provider: 'twitter', handle: 'octodemo', url: 'https://twitter.com/octodemo', source: 'profile' },
+            null,
+            { provider: 'twitter', handle: 'octodemo', url: 'https://twitter.com/OctoDemo', source: 'profile_readme' }
+        ]);
+
+        expect(profiles).toEqual([{ provider: 'twitter', handle: 'octodemo', url: 'https://twitter.com/octodemo', sources: ['profile', 'profile_readme'] }]);
+    });
+});
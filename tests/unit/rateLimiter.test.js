@@ -0,0 +1,68 @@
+// Token pool rotation and exhaustion
+
+const RateLimiter = require('../../src/core/rateLimiter');
+const Commands = require('../../src/cli/commands');
+
+const inSeconds = (seconds) => String(Math.floor(Date.now() / 1000) + seconds);
+
+describe('RateLimiter token pool', () => {
+    let limiter;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        limiter = new RateLimiter();
+        limiter.addTokens(['token-a', 'token-b', 'token-a'], 'github');
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('rotates to the token with the most remaining budget', () => {
+        expect(limiter.getTokenPoolStatus('github')).toHaveLength(2);
+        // Neither token has reported a budget yet, so the first one wins
+        expect(limiter.selectToken('github')).toBe('token-a');
+
+        limiter.updateTokenFromHeaders('token-a', { 'x-ratelimit-remaining': '10', 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': inSeconds(600) });
+        expect(limiter.selectToken('github')).toBe('token-b');
+
+        limiter.updateTokenFromHeaders('token-b', { 'x-ratelimit-remaining': '5', 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': inSeconds(600) });
+        expect(limiter.selectToken('github')).toBe('token-a');
+    });
+
+    test('skips exhausted tokens until their reset passes', () => {
+        limiter.markTokenExhausted('token-a', new Date(Date.now() + 600000));
+        expect(limiter.selectToken('github')).toBe('token-b');
+
+        limiter.markTokenExhausted('token-b', new Date(Date.now() + 600000));
+        expect(limiter.selectToken('github')).toBeNull();
+
+        limiter.markTokenExhausted('token-a', new Date(Date.now() - 1000));
+        expect(limiter.selectToken('github')).toBe('token-a');
+    });
+
+    test('acquireToken waits for the earliest reset when every token is spent', async () => {
+        limiter.markTokenExhausted('token-a', new Date(Date.now() + 600000));
+        limiter.markTokenExhausted('token-b', new Date(Date.now() + 300000));
+
+        const waits = [];
+        limiter.sleep = async (ms) => {
+            waits.push(ms);
+            limiter.markTokenExhausted('token-b', new Date(Date.now() - 1000));
+        };
+
+        await expect(limiter.acquireToken('github')).resolves.toBe('token-b');
+        expect(waits).toHaveLength(1);
+        expect(waits[0]).toBeGreaterThan(300000);
+        expect(waits[0]).toBeLessThan(600000);
+    });
+
+    test('acquireToken returns null without a pool', async () => {
+        await expect(limiter.acquireToken('gitlab')).resolves.toBeNull();
+    });
+
+    test('Commands.execute installs the supplied tokens', async () => {
+        const pool = new RateLimiter();
+        await new Commands(pool).execute({ site: 'github', token: ['token-c'] });
+
+        expect(pool.selectToken('github')).toBe('token-c');
+    });
+});
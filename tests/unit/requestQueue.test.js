@@ -0,0 +1,79 @@
+// Shared request queue limits and ordered parallel mapping
+
+const RequestQueue = require('../../src/core/requestQueue');
+
+const deferred = () => {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RequestQueue', () => {
+    test('never runs more tasks than the global and per-host limits allow', async () => {
+        const queue = new RequestQueue({ concurrency: 3, perHostLimit: 2 });
+        const gates = Array.from({ length: 5 }, deferred);
+        const hosts = ['a', 'a', 'a', 'b', 'b'];
+        const results = gates.map((gate, i) => queue.schedule(hosts[i], () => gate.promise.then(() => i)));
+
+        await tick();
+        // Two from host a, one from host b; the third a request waits for its host
+        expect(queue.getStatus()).toMatchObject({ active: 3, pending: 2 });
+
+        gates.forEach(gate => gate.resolve());
+        await expect(Promise.all(results)).resolves.toEqual([0, 1, 2, 3, 4]);
+        expect(queue.getStatus().stats).toEqual({ scheduled: 5, completed: 5, maxActive: 3 });
+    });
+
+    test('passes task failures to the caller and keeps draining', async () => {
+        const queue = new RequestQueue({ concurrency: 1 });
+        const failed = queue.schedule('a', () => { throw new Error('boom'); });
+        const next = queue.schedule('a', () => 'ok');
+
+        await expect(failed).rejects.toThrow('boom');
+        await expect(next).resolves.toBe('ok');
+    });
+
+    test('mapOrdered emits results in item order with at most `limit` workers in flight', async () => {
+        const gates = Array.from({ length: 4 }, deferred);
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const emitted = [];
+
+        const mapping = RequestQueue.mapOrdered([0, 1, 2, 3], async (item) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await gates[item].promise;
+            inFlight--;
+            return item * 10;
+        }, (result, item) => emitted.push([item, result]), 2);
+
+        // The second item finishes first but is held back until the first one is emitted
+        gates[1].resolve();
+        await tick();
+        expect(emitted).toEqual([]);
+
+        gates[0].resolve();
+        await tick();
+        expect(emitted).toEqual([[0, 0], [1, 10]]);
+
+        gates[3].resolve();
+        gates[2].resolve();
+        await expect(mapping).resolves.toEqual([0, 10, 20, 30]);
+        expect(emitted.map(([item]) => item)).toEqual([0, 1, 2, 3]);
+        expect(maxInFlight).toBe(2);
+    });
+
+    test('mapOrdered turns worker errors into error results and propagates onResult errors', async () => {
+        const results = await RequestQueue.mapOrdered(['ok', 'bad'], async (item) => {
+            if (item === 'bad') throw new Error('worker failed');
+            return item;
+        });
+        expect(results).toEqual(['ok', { error: true, message: 'worker failed' }]);
+
+        await expect(RequestQueue.mapOrdered([1], async item => item, () => {
+            throw new Error('consumer failed');
+        })).rejects.toThrow('consumer failed');
+    });
+});
@@ -0,0 +1,69 @@
+// OpenSSH public key fingerprints and weak-key checks
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const SshKeyParser = require('../../src/utils/sshKeyParser');
+
+const ED25519 = 'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAINztHOQoR0yQ6QK0eapT3YOToKp2+ZLwbKURwRIlPixI a';
+const RSA_1024 = 'ssh-rsa AAAAB3NzaC1yc2EAAAADAQABAAAAgQDRlq2Y2wvPoLxInV/XpaLVAOq6MvzQeLxtn8SGPAjFUieJD8VLxd1zx18+GKyR4FjbFht2ivIXJhdEbBzQuQ6Fp1l1BocjZf66xosBK9ton9ym+k8MRLOY/83AxFax6/RX0kV+875LzFmuCtBcCCwsAqfo7AZBtMT4MQlzLUdWnw== b';
+
+describe('SshKeyParser', () => {
+    afterEach(() => {
+        const empty = path.join(os.tmpdir(), `gitrecon-empty-${process.pid}`);
+        fs.writeFileSync(empty, '');
+        SshKeyParser.loadBadKeys(empty);
+        fs.unlinkSync(empty);
+    });
+
+    test('computes fingerprints like ssh-keygen -l', () => {
+        // Values as reported by `ssh-keygen -lf` and `ssh-keygen -E md5 -lf`
+        expect(SshKeyParser.analyze(ED25519)).toEqual({
+            type: 'ssh-ed25519',
+            bits: 256,
+            fingerprint_sha256: 'SHA256:sdY1kmLlt/T054+dN10AccXkgW6ywp/F3uIP6DIJT8Y',
+            fingerprint_md5: 'MD5:c0:b5:40:54:29:2c:8b:5d:21:d3:d8:4f:42:12:27:13',
+            weak: false,
+            weaknesses: []
+        });
+    });
+
+    test('flags short RSA keys', () => {
+        const key = SshKeyParser.analyze(RSA_1024);
+
+        expect(key.fingerprint_sha256).toBe('SHA256:BDJpY0VYAjZ3AnqpPcEWxnMi2B8F3OpvXL7CDInX8dk');
+        expect(key.bits).toBe(1024);
+        expect(key.weak).toBe(true);
+        expect(key.weaknesses).toEqual(['RSA key is only 1024 bits (minimum 2048)']);
+    });
+
+    test('flags keys from a bad-keys file, including openssh-blacklist MD5 suffixes', () => {
+        const list = path.join(os.tmpdir(), `gitrecon-bad-keys-${process.pid}`);
+        fs.writeFileSync(list, '# debian weak keys\n2c8b5d21d3d84f42122713\n');
+        expect(SshKeyParser.loadBadKeys(list)).toBe(1);
+        fs.unlinkSync(list);
+
+        expect(SshKeyParser.analyze(ED25519).weaknesses).toEqual(['Fingerprint is on the known-bad key list']);
+        expect(SshKeyParser.analyze(RSA_1024).weaknesses).not.toContain('Fingerprint is on the known-bad key list');
+    });
+
+    test('rejects unreadable bad-keys files and malformed fingerprints', () => {
+        const list = path.join(os.tmpdir(), `gitrecon-bad-keys-${process.pid}`);
+        expect(SshKeyParser.loadBadKeys(list)).toMatchObject({ error: true });
+
+        fs.writeFileSync(list, 'SHA256:sdY1kmLlt/T054+dN10AccXkgW6ywp/F3uIP6DIJT8Y\nssh-ed25519 AAAA\n');
+        expect(SshKeyParser.loadBadKeys(list)).toEqual({ error: true, message: `Invalid fingerprint on line 2 of ${list}: ssh-ed25519 AAAA` });
+        fs.unlinkSync(list);
+    });
+
+    test('detects ROCA-structured moduli', () => {
+        // 65537 is trivially a power of 65537 modulo every prime
+        expect(SshKeyParser.isRocaModulus(Buffer.from([0x01, 0x00, 0x01]))).toBe(true);
+        expect(SshKeyParser.isRocaModulus(Buffer.from(RSA_1024.split(' ')[1], 'base64').subarray(22))).toBe(false);
+    });
+
+    test('reports undecodable keys as an error object', () => {
+        expect(SshKeyParser.analyze('garbage')).toEqual({ error: true, message: 'Not an OpenSSH public key' });
+        expect(SshKeyParser.analyze('ssh-rsa AAAAC3NzaC1lZDI1NTE5AAAAINzt').error).toBe(true);
+    });
+});
@@ -0,0 +1,41 @@
+// Commit message trailer identities
+
+const TrailerParser = require('../../src/utils/trailerParser');
+
+const MESSAGE = `Fix token refresh race
+
+The refresh timer could fire twice.
+
+Co-authored-by: Jane Doe <jane@personal.example>
+co-authored-by: Jane Doe <jane@personal.example>
+Signed-off-by: Octo Demo <octo@demo-org.example>
+Reviewed-by: <reviewer@demo-org.example>
+Closes: #42`;
+
+describe('TrailerParser', () => {
+    test('parses identity trailers case-insensitively and ignores others', () => {
+        expect(TrailerParser.parse(MESSAGE)).toEqual([
+            { trailer: 'co-authored-by', name: 'Jane Doe', email: 'jane@personal.example', source: 'trailer:co-authored-by' },
+            { trailer: 'signed-off-by', name: 'Octo Demo', email: 'octo@demo-org.example', source: 'trailer:signed-off-by' },
+            { trailer: 'reviewed-by', name: null, email: 'reviewer@demo-org.example', source: 'trailer:reviewed-by' }
+        ]);
+        expect(TrailerParser.parse('Mention Signed-off-by: inline <x@y.example> is not a trailer')).toEqual([]);
+        expect(TrailerParser.parse(null)).toEqual([]);
+    });
+
+    test('collects identities linked to the commit author', () => {
+        const identities = new Map();
+        TrailerParser.collect(MESSAGE, 'octo@demo-org.example', identities);
+
+        expect(TrailerParser.describe(identities, 'jane@personal.example')).toEqual({
+            trailers: ['trailer:co-authored-by'],
+            linked_to: ['octo@demo-org.example']
+        });
+        // A sign-off by the author themselves is not a link
+        expect(TrailerParser.describe(identities, 'octo@demo-org.example')).toEqual({
+            trailers: ['trailer:signed-off-by'],
+            linked_to: []
+        });
+        expect(TrailerParser.describe(identities, 'nobody@example.com')).toEqual({});
+    });
+});